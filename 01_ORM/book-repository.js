@@ -0,0 +1,111 @@
+// The bookstore table as a book repository (see shared/book-repository.js),
+// so the book-store apps can keep their books in Postgres with
+// BOOKS_STORE=postgres. Ids come from the serial column.
+const { and, arrayContains, asc, count, eq, gte, ilike, lte, sql } = require('drizzle-orm');
+const db = require('./db');
+const { booksTable } = require('./drizzle/schema');
+const { DuplicateIsbnError } = require('../shared/book-repository');
+
+// Only these columns can be written; the id is assigned by the database.
+const bookValues = ({ isbn, title, author, publishedYear, genres, price, stock }) =>
+    Object.fromEntries(
+        Object.entries({ isbn, title, author, publishedYear, genres, price, stock })
+            .filter(([, value]) => value !== undefined)
+    );
+
+// % and _ in the search text are matched literally
+const containing = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+const bookFilters = ({ title, author, genre, isbn, publishedYearMin, publishedYearMax }) => and(
+    title !== undefined ? ilike(booksTable.title, containing(title)) : undefined,
+    author !== undefined ? ilike(booksTable.author, containing(author)) : undefined,
+    genre !== undefined ? arrayContains(booksTable.genres, [genre]) : undefined,
+    isbn !== undefined ? eq(booksTable.isbn, isbn) : undefined,
+    publishedYearMin !== undefined ? gte(booksTable.publishedYear, publishedYearMin) : undefined,
+    publishedYearMax !== undefined ? lte(booksTable.publishedYear, publishedYearMax) : undefined,
+);
+
+// The unique index on isbn turns a taken ISBN into a unique_violation
+const rejectDuplicateIsbn = (isbn) => (error) => {
+    if ((error.cause ?? error).code === '23505') {
+        throw new DuplicateIsbnError(isbn);
+    }
+    throw error;
+};
+
+class PostgresBookRepository {
+    async list() {
+        return db.select().from(booksTable).orderBy(asc(booksTable.id));
+    }
+
+    async search({ sort = 'id', order = 'asc', limit, offset = 0, ...filters } = {}) {
+        const where = bookFilters(filters);
+        const direction = order === 'desc' ? sql`desc` : sql`asc`;
+        const column = booksTable[sort];
+        const orderBy = sort === 'id'
+            ? [sql`${booksTable.id} ${direction}`]
+            : [sql`${column} ${direction} nulls last`, sql`${booksTable.id} ${direction}`];
+
+        let query = db.select().from(booksTable).where(where).orderBy(...orderBy).offset(offset);
+        if (limit !== undefined) {
+            query = query.limit(limit);
+        }
+        const [books, [{ total }]] = await Promise.all([
+            query,
+            db.select({ total: count() }).from(booksTable).where(where),
+        ]);
+        return { books, total };
+    }
+
+    async findById(id) {
+        const [book] = await db.select().from(booksTable).where(eq(booksTable.id, id));
+        return book ?? null;
+    }
+
+    async create(data) {
+        const [book] = await db.insert(booksTable).values(bookValues(data)).returning()
+            .catch(rejectDuplicateIsbn(data.isbn));
+        return book;
+    }
+
+    // Runs `write(executor)`. With a precondition it runs in a transaction that
+    // first locks the book and checks it, so nothing can change the book in
+    // between; null when there's no such book.
+    async write(id, precondition, write) {
+        if (!precondition) {
+            return write(db);
+        }
+        return db.transaction(async (tx) => {
+            const [current] = await tx.select().from(booksTable).where(eq(booksTable.id, id)).for('update');
+            if (!current) {
+                return null;
+            }
+            precondition(current);
+            return write(tx);
+        });
+    }
+
+    async update(id, changes, { precondition } = {}) {
+        const values = bookValues(changes);
+        if (Object.keys(values).length === 0) {
+            return this.findById(id);
+        }
+        return this.write(id, precondition, async (executor) => {
+            const [book] = await executor.update(booksTable).set(values).where(eq(booksTable.id, id)).returning()
+                .catch(rejectDuplicateIsbn(changes.isbn));
+            return book ?? null;
+        });
+    }
+
+    async remove(id, { precondition } = {}) {
+        const removed = await this.write(id, precondition, async (executor) => {
+            const deleted = await executor.delete(booksTable).where(eq(booksTable.id, id)).returning({ id: booksTable.id });
+            return deleted.length > 0;
+        });
+        return removed ?? false;
+    }
+}
+
+module.exports = {
+    PostgresBookRepository,
+};
@@ -0,0 +1,147 @@
+// Import and export the bookstore table as CSV, JSON or NDJSON.
+//
+//   node books-transfer.js export [--format csv|json|ndjson] [--out books.csv]
+//   node books-transfer.js import <file|-> [--format csv|ndjson]
+//
+// Without --format the file extension decides (.csv, .json, .ndjson/.jsonl);
+// exports default to JSON on stdout. Imports read the file as a stream,
+// validate every row and print the rejected ones with their line number.
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { Readable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+const { asc, gt } = require('drizzle-orm');
+const db = require('./db');
+const { booksTable } = require('./drizzle/schema');
+const { validateObject } = require('../shared/validate');
+const {
+    EXPORT_FORMATS,
+    IMPORT_FORMATS,
+    serializeRecords,
+    readRecords,
+} = require('../shared/import-export');
+
+const COLUMNS = ['id', 'isbn', 'title', 'author', 'publishedYear', 'genres', 'price', 'stock'];
+const BATCH_SIZE = 500;
+
+// Same limits as the table columns. `id` is assigned by the database, so an
+// exported id column is ignored on import.
+const bookRow = {
+    id: { type: 'integer' },
+    title: { type: 'string', trim: true, minLength: 1, maxLength: 255, required: true },
+    author: { type: 'string', trim: true, minLength: 1, maxLength: 255, required: true },
+    publishedYear: { type: 'integer', min: 0, max: 9999, nullable: true },
+    isbn: { type: 'string', format: 'isbn', nullable: true },
+    genres: { type: 'array', maxLength: 20, items: { type: 'string', trim: true, minLength: 1, maxLength: 50 } },
+    price: { type: 'number', min: 0, max: 99999999.99, nullable: true },
+    stock: { type: 'integer', min: 0, max: 1000000 },
+};
+
+const EXTENSIONS = { '.csv': 'csv', '.json': 'json', '.ndjson': 'ndjson', '.jsonl': 'ndjson' };
+
+const formatFor = (option, file, allowed, fallback) => {
+    const format = option ?? EXTENSIONS[path.extname(file ?? '').toLowerCase()] ?? fallback;
+    if (!allowed.includes(format)) {
+        throw new Error(`Unknown format ${format ?? '(none)'}. Use --format ${allowed.join('|')}.`);
+    }
+    return format;
+};
+
+// Reads the table in id order, one batch at a time.
+async function* allBooks() {
+    let lastId = 0;
+    for (;;) {
+        const books = await db.select().from(booksTable)
+            .where(gt(booksTable.id, lastId))
+            .orderBy(asc(booksTable.id))
+            .limit(BATCH_SIZE);
+        yield* books;
+        if (books.length < BATCH_SIZE) {
+            return;
+        }
+        lastId = books[books.length - 1].id;
+    }
+}
+
+async function exportBooks({ format, out }) {
+    format = formatFor(format, out, EXPORT_FORMATS, 'json');
+    const output = out ? fs.createWriteStream(out) : process.stdout;
+    await pipeline(Readable.from(serializeRecords(allBooks(), format, COLUMNS)), output, { end: Boolean(out) });
+}
+
+async function importBooks(file, { format }) {
+    if (!file) {
+        throw new Error('Usage: node books-transfer.js import <file|-> [--format csv|ndjson]');
+    }
+    format = formatFor(format, file === '-' ? null : file, IMPORT_FORMATS);
+    const input = file === '-' ? process.stdin : fs.createReadStream(file);
+
+    let imported = 0;
+    let rejected = 0;
+    let duplicates = 0;
+    let batch = [];
+    const flush = async () => {
+        if (batch.length > 0) {
+            // Books whose ISBN is already taken (or repeated in the file) are skipped
+            const inserted = await db.insert(booksTable).values(batch)
+                .onConflictDoNothing({ target: booksTable.isbn })
+                .returning({ id: booksTable.id });
+            imported += inserted.length;
+            duplicates += batch.length - inserted.length;
+            batch = [];
+        }
+    };
+
+    for await (const { line, row, error } of readRecords(input, format)) {
+        // CSV cells hold genres as a `;`-separated list
+        if (format === 'csv' && typeof row?.genres === 'string') {
+            row.genres = row.genres.split(';');
+        }
+        // "row" (not "body") lets CSV strings through as numbers
+        const { value, problems } = error
+            ? { problems: [{ message: `row ${error}` }] }
+            : validateObject(row, bookRow, 'row');
+        if (problems.length > 0) {
+            rejected++;
+            console.error(`line ${line}: ${problems.map((problem) => problem.message).join('; ')}`);
+            continue;
+        }
+        const { id, ...book } = value;
+        batch.push(book);
+        if (batch.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    console.error(`Imported ${imported} books, rejected ${rejected} rows, skipped ${duplicates} with a duplicate ISBN.`);
+    if (rejected > 0 || duplicates > 0) {
+        process.exitCode = 1;
+    }
+}
+
+async function main() {
+    const { positionals, values } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string' },
+            out: { type: 'string' },
+        },
+    });
+    const [command, file] = positionals;
+    if (command === 'export') {
+        await exportBooks(values);
+    } else if (command === 'import') {
+        await importBooks(file, values);
+    } else {
+        throw new Error('Usage: node books-transfer.js export|import ... (see the top of books-transfer.js)');
+    }
+}
+
+main()
+    .catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.$client.end());
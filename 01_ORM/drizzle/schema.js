@@ -1,14 +1,76 @@
 
-const {pgTable, varchar, integer, serial} = require('drizzle-orm/pg-core');
+const {pgTable, pgEnum, varchar, integer, serial, text, numeric, timestamp, primaryKey, index, check} = require('drizzle-orm/pg-core');
+const {sql} = require('drizzle-orm');
 
 
 const booksTable = pgTable('bookstore', {
     id: serial('id').primaryKey(),
+    // ISBN-13 without hyphens (ISBN-10s are converted, see shared/validate.js)
+    isbn: varchar({length: 13}).unique(),
     title: varchar({length: 255}).notNull(),
     author: varchar({length: 255}).notNull(),
     publishedYear: integer('published_year'),
-});
+    genres: text().array().notNull().default([]),
+    price: numeric({precision: 10, scale: 2, mode: 'number'}),
+    // Copies available to order; checkout takes them, cancelling gives them back
+    stock: integer().notNull().default(0),
+    // Last-Modified of the book in the APIs; bumped by every update
+    updatedAt: timestamp('updated_at', {withTimezone: true}).notNull().defaultNow().$onUpdate(() => new Date()),
+}, (table) => [
+    check('bookstore_stock_check', sql`${table.stock} >= 0`),
+]);
+
+// The book-store apps have no accounts, so user ids are whatever the client
+// identifies itself with (the X-User-Id header, see shared/book-shop.js).
+const cartItemsTable = pgTable('cart_items', {
+    userId: varchar('user_id', {length: 64}).notNull(),
+    bookId: integer('book_id').notNull().references(() => booksTable.id, {onDelete: 'cascade'}),
+    quantity: integer().notNull(),
+    addedAt: timestamp('added_at', {withTimezone: true}).notNull().defaultNow(),
+}, (table) => [
+    primaryKey({columns: [table.userId, table.bookId]}),
+    // MAX_QUANTITY in shared/book-shop.js: adding to a cart can't pile up more
+    check('cart_items_quantity_check', sql`${table.quantity} between 1 and 100`),
+]);
+
+// pending -> paying -> paid -> shipped, and pending or paid -> cancelling ->
+// cancelled. paying and cancelling are held while the payment provider is
+// called (see shop.js).
+const orderStatus = pgEnum('order_status', ['pending', 'paying', 'paid', 'shipped', 'cancelling', 'cancelled']);
+
+const ordersTable = pgTable('orders', {
+    id: serial('id').primaryKey(),
+    userId: varchar('user_id', {length: 64}).notNull(),
+    status: orderStatus().notNull().default('pending'),
+    total: numeric({precision: 10, scale: 2, mode: 'number'}).notNull(),
+    // Set by the payment provider when the order is paid
+    paymentProvider: varchar('payment_provider', {length: 50}),
+    paymentId: varchar('payment_id', {length: 255}),
+    createdAt: timestamp('created_at', {withTimezone: true}).notNull().defaultNow(),
+    updatedAt: timestamp('updated_at', {withTimezone: true}).notNull().defaultNow(),
+    paidAt: timestamp('paid_at', {withTimezone: true}),
+    shippedAt: timestamp('shipped_at', {withTimezone: true}),
+    cancelledAt: timestamp('cancelled_at', {withTimezone: true}),
+}, (table) => [
+    index('orders_user_index').on(table.userId, table.id),
+]);
+
+// What was bought, at the price of the day. The title is kept so the order
+// still reads right if the book is deleted later.
+const orderItemsTable = pgTable('order_items', {
+    orderId: integer('order_id').notNull().references(() => ordersTable.id, {onDelete: 'cascade'}),
+    bookId: integer('book_id').references(() => booksTable.id, {onDelete: 'set null'}),
+    title: varchar({length: 255}).notNull(),
+    quantity: integer().notNull(),
+    unitPrice: numeric('unit_price', {precision: 10, scale: 2, mode: 'number'}).notNull(),
+}, (table) => [
+    index('order_items_order_index').on(table.orderId),
+]);
 
 module.exports = {
-booksTable
-};
\ No newline at end of file
+booksTable,
+cartItemsTable,
+orderStatus,
+ordersTable,
+orderItemsTable
+};
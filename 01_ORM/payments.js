@@ -0,0 +1,93 @@
+// Payment providers for book orders (see shop.js). A provider is an object
+// with:
+//   name                                     stored on the orders it pays
+//   charge({ amount, currency, token, idempotencyKey, description }) -> { id }
+//   refund({ paymentId, amount, currency, idempotencyKey })          -> { id }
+// Both throw a PaymentError when the provider turns the request down (card
+// declined, unknown payment...); any other error means it couldn't be reached.
+// Retrying with the same idempotencyKey must not charge or refund twice.
+//
+// PAYMENT_PROVIDER picks the provider for new payments (default fake). Real
+// providers are added with registerPaymentProvider(name, () => provider).
+const { randomUUID } = require('node:crypto');
+const { ShopError } = require('../shared/book-shop');
+
+class PaymentError extends ShopError {
+    constructor(message) {
+        super(402, 'PAYMENT_FAILED', message);
+        this.name = 'PaymentError';
+    }
+}
+
+// Local stand-in that never leaves the process, for development and tests.
+// Any token works except these:
+//   tok_declined           the card is declined
+//   tok_insufficient_funds declined for insufficient funds
+const DECLINED_TOKENS = {
+    tok_declined: 'Your card was declined.',
+    tok_insufficient_funds: 'Your card has insufficient funds.',
+};
+
+class FakePaymentProvider {
+    constructor() {
+        this.name = 'fake';
+        // idempotencyKey -> result, so retries get the first answer back
+        this.charges = new Map();
+        this.refunds = new Map();
+    }
+
+    async charge({ amount, token = 'tok_visa', idempotencyKey }) {
+        if (this.charges.has(idempotencyKey)) {
+            return this.charges.get(idempotencyKey);
+        }
+        if (DECLINED_TOKENS[token]) {
+            throw new PaymentError(DECLINED_TOKENS[token]);
+        }
+        if (!(amount > 0)) {
+            throw new PaymentError('The amount must be positive.');
+        }
+        const charge = { id: `fake_ch_${randomUUID()}`, amount };
+        this.charges.set(idempotencyKey, charge);
+        return charge;
+    }
+
+    async refund({ paymentId, amount, idempotencyKey }) {
+        if (this.refunds.has(idempotencyKey)) {
+            return this.refunds.get(idempotencyKey);
+        }
+        if (!paymentId?.startsWith('fake_ch_')) {
+            throw new PaymentError(`Unknown payment ${paymentId}.`);
+        }
+        const refund = { id: `fake_re_${randomUUID()}`, paymentId, amount };
+        this.refunds.set(idempotencyKey, refund);
+        return refund;
+    }
+}
+
+const factories = new Map([['fake', () => new FakePaymentProvider()]]);
+const providers = new Map();
+
+const registerPaymentProvider = (name, createProvider) => {
+    factories.set(name, createProvider);
+    providers.delete(name);
+};
+
+// The provider called `name`, created on first use. Orders are refunded
+// through the provider that charged them, whatever PAYMENT_PROVIDER says now.
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+    if (!providers.has(name)) {
+        const createProvider = factories.get(name);
+        if (!createProvider) {
+            throw new Error(`Unknown payment provider ${name}. Known: ${[...factories.keys()].join(', ')}`);
+        }
+        providers.set(name, createProvider());
+    }
+    return providers.get(name);
+};
+
+module.exports = {
+    PaymentError,
+    FakePaymentProvider,
+    registerPaymentProvider,
+    getPaymentProvider,
+};
@@ -0,0 +1,354 @@
+// Stock, carts and orders on the bookstore tables, behind the /cart and
+// /orders routes of the book-store apps (see shared/book-shop.js). Every
+// function takes the user id the request came with and only sees that user's
+// cart and orders, except shipOrder: shipping is up to the staff, for any
+// user's order.
+//
+// Checkout takes the books out of stock in the same transaction that creates
+// the order. Each book's stock is decremented with
+//   UPDATE bookstore SET stock = stock - n WHERE id = ? AND stock >= n
+// so of two checkouts racing for the last copy, the second one waits for the
+// first one's row lock, then sees the new stock and updates nothing: it fails
+// with OUT_OF_STOCK and rolls back whatever it had already reserved. Books
+// are always updated in id order, so concurrent checkouts can't deadlock.
+//
+// Order states:  pending -> paying -> paid -> shipped,
+//                pending | paid -> cancelling -> cancelled
+// Cancelling refunds a paid order and puts its books back in stock.
+//
+// The payment provider is never called inside a transaction: paying (or
+// cancelling a paid order) first moves the order to paying (cancelling) and
+// commits, then charges (refunds), then saves the outcome. Other requests for
+// the order see it in progress instead of waiting on its row lock for as long
+// as the provider takes.
+const { and, asc, count, desc, eq, gte, inArray, isNotNull, sql } = require('drizzle-orm');
+const db = require('./db');
+const { booksTable, cartItemsTable, ordersTable, orderItemsTable } = require('./drizzle/schema');
+const { PaymentError, getPaymentProvider } = require('./payments');
+const { MAX_QUANTITY, ShopError } = require('../shared/book-shop');
+
+const CURRENCY = process.env.SHOP_CURRENCY || 'USD';
+
+// Money is added up in whole cents so totals don't pick up float errors
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+// The state each action leads to, and the states it can start from. An order
+// left paying or cancelling (the provider couldn't be reached, the process
+// stopped) is finished by asking again.
+const TRANSITIONS = {
+    pay: { to: 'paid', from: ['pending', 'paying'] },
+    ship: { to: 'shipped', from: ['paid'] },
+    cancel: { to: 'cancelled', from: ['pending', 'paid', 'cancelling'] },
+};
+
+const assertCan = (action, order) => {
+    const { to, from } = TRANSITIONS[action];
+    if (!from.includes(order.status)) {
+        throw new ShopError(409, 'INVALID_STATUS',
+            `Only ${from.join(' or ')} orders can be ${to}; this one is ${order.status}`,
+            { status: order.status });
+    }
+};
+
+const cartView = (rows) => {
+    const items = rows.map((row) => ({
+        ...row,
+        lineTotal: row.price === null ? null : fromCents(toCents(row.price) * row.quantity),
+    }));
+    const total = items.reduce((cents, item) => cents + toCents(item.lineTotal ?? 0), 0);
+    return { items, total: fromCents(total) };
+};
+
+async function getCart(userId) {
+    const rows = await db
+        .select({
+            bookId: cartItemsTable.bookId,
+            title: booksTable.title,
+            price: booksTable.price,
+            stock: booksTable.stock,
+            quantity: cartItemsTable.quantity,
+            addedAt: cartItemsTable.addedAt,
+        })
+        .from(cartItemsTable)
+        .innerJoin(booksTable, eq(booksTable.id, cartItemsTable.bookId))
+        .where(eq(cartItemsTable.userId, userId))
+        .orderBy(asc(cartItemsTable.addedAt), asc(cartItemsTable.bookId));
+    return cartView(rows);
+}
+
+// Adds `quantity` copies, on top of any already in the cart, up to
+// MAX_QUANTITY copies in all. Stock isn't checked here: it may change before
+// checkout, which is where it counts.
+async function addToCart(userId, bookId, quantity = 1) {
+    await db
+        .insert(cartItemsTable)
+        .values({ userId, bookId, quantity })
+        .onConflictDoUpdate({
+            target: [cartItemsTable.userId, cartItemsTable.bookId],
+            set: { quantity: sql`${cartItemsTable.quantity} + excluded.quantity` },
+        })
+        .catch((error) => {
+            // foreign_key_violation: there's no such book
+            if ((error.cause ?? error).code === '23503') {
+                throw new ShopError(404, 'BOOK_NOT_FOUND', 'Book not found');
+            }
+            // check_violation: the cart would hold more than MAX_QUANTITY
+            if ((error.cause ?? error).code === '23514') {
+                throw new ShopError(409, 'CART_LIMIT',
+                    `A cart can hold at most ${MAX_QUANTITY} copies of a book`,
+                    { bookId, max: MAX_QUANTITY });
+            }
+            throw error;
+        });
+    return getCart(userId);
+}
+
+async function removeFromCart(userId, bookId) {
+    const removed = await db
+        .delete(cartItemsTable)
+        .where(and(eq(cartItemsTable.userId, userId), eq(cartItemsTable.bookId, bookId)))
+        .returning({ bookId: cartItemsTable.bookId });
+    if (removed.length === 0) {
+        throw new ShopError(404, 'NOT_IN_CART', 'This book is not in the cart');
+    }
+    return getCart(userId);
+}
+
+// Adds their items to orders (in the order given)
+async function withItems(orders, tx = db) {
+    if (orders.length === 0) {
+        return [];
+    }
+    const items = await tx
+        .select()
+        .from(orderItemsTable)
+        .where(inArray(orderItemsTable.orderId, orders.map((order) => order.id)))
+        .orderBy(asc(orderItemsTable.orderId), asc(orderItemsTable.bookId));
+    return orders.map((order) => ({
+        ...order,
+        items: items
+            .filter((item) => item.orderId === order.id)
+            .map(({ orderId, ...item }) => item),
+    }));
+}
+
+// Turns the user's cart into a pending order, taking its books out of stock.
+// Books without a price can't be bought.
+async function checkout(userId) {
+    const order = await db.transaction(async (tx) => {
+        // Locks the cart, so a second checkout of the same cart waits and
+        // then finds it empty
+        const cart = await tx
+            .select({ bookId: cartItemsTable.bookId, quantity: cartItemsTable.quantity })
+            .from(cartItemsTable)
+            .where(eq(cartItemsTable.userId, userId))
+            .orderBy(asc(cartItemsTable.bookId))
+            .for('update');
+        if (cart.length === 0) {
+            throw new ShopError(400, 'CART_EMPTY', 'The cart is empty');
+        }
+
+        const items = [];
+        const unavailable = [];
+        for (const { bookId, quantity } of cart) {
+            const [book] = await tx
+                .update(booksTable)
+                .set({ stock: sql`${booksTable.stock} - ${quantity}` })
+                .where(and(eq(booksTable.id, bookId), gte(booksTable.stock, quantity), isNotNull(booksTable.price)))
+                .returning({ title: booksTable.title, price: booksTable.price });
+            if (book) {
+                items.push({ bookId, title: book.title, quantity, unitPrice: book.price });
+            } else {
+                unavailable.push({ bookId, quantity });
+            }
+        }
+        if (unavailable.length > 0) {
+            const books = await tx
+                .select({ id: booksTable.id, stock: booksTable.stock, price: booksTable.price })
+                .from(booksTable)
+                .where(inArray(booksTable.id, unavailable.map((item) => item.bookId)));
+            throw new ShopError(409, 'OUT_OF_STOCK', 'Some books in the cart are not available in that quantity',
+                unavailable.map(({ bookId, quantity }) => {
+                    const book = books.find((b) => b.id === bookId);
+                    return book.price === null
+                        ? { bookId, requested: quantity, available: 0, reason: 'not for sale' }
+                        : { bookId, requested: quantity, available: book.stock };
+                }));
+        }
+
+        const total = items.reduce((cents, item) => cents + toCents(item.unitPrice) * item.quantity, 0);
+        const [created] = await tx.insert(ordersTable).values({ userId, total: fromCents(total) }).returning();
+        await tx.insert(orderItemsTable).values(items.map((item) => ({ ...item, orderId: created.id })));
+        // Only what was ordered: a book added meanwhile stays in the cart
+        await tx.delete(cartItemsTable).where(and(
+            eq(cartItemsTable.userId, userId),
+            inArray(cartItemsTable.bookId, cart.map((item) => item.bookId)),
+        ));
+        return created;
+    });
+    return getOrder(userId, order.id);
+}
+
+// The user's orders, newest first: { orders, total }
+async function listOrders(userId, { status, limit = 20, offset = 0 } = {}) {
+    const where = and(
+        eq(ordersTable.userId, userId),
+        status !== undefined ? eq(ordersTable.status, status) : undefined,
+    );
+    const [orders, [{ total }]] = await Promise.all([
+        db.select().from(ordersTable).where(where).orderBy(desc(ordersTable.id)).limit(limit).offset(offset),
+        db.select({ total: count() }).from(ordersTable).where(where),
+    ]);
+    return { orders: await withItems(orders), total };
+}
+
+// The orders with this id that `userId` may see: all of them (i.e. the one)
+// when userId is undefined, which is how staff actions find any user's order
+const ownOrder = (userId, id) => and(
+    eq(ordersTable.id, id),
+    userId !== undefined ? eq(ordersTable.userId, userId) : undefined,
+);
+
+// The order with its items, or null when the user has no such order
+async function getOrder(userId, id, tx = db) {
+    const [order] = await tx
+        .select()
+        .from(ordersTable)
+        .where(ownOrder(userId, id));
+    if (!order) {
+        return null;
+    }
+    const [found] = await withItems([order], tx);
+    return found;
+}
+
+// Locks the order, saves the columns `change(order, tx, now)` returns and
+// returns the order as it ends up, or null when the user has no such order.
+// Requests for the same order queue up behind the lock, so an order can't be
+// paid twice, or paid while it's being cancelled.
+async function changeOrder(userId, id, change) {
+    return db.transaction(async (tx) => {
+        const [order] = await tx
+            .select()
+            .from(ordersTable)
+            .where(ownOrder(userId, id))
+            .for('update');
+        if (!order) {
+            return null;
+        }
+        const now = new Date();
+        await tx
+            .update(ordersTable)
+            .set({ ...(await change(order, tx, now)), updatedAt: now })
+            .where(eq(ordersTable.id, id));
+        return getOrder(userId, id, tx);
+    });
+}
+
+// Saves the columns `change(order, tx, now)` returns if the order is still
+// `from`; another request may have finished it meanwhile.
+const finishOrder = (userId, id, from, change) => changeOrder(userId, id,
+    async (order, tx, now) => (order.status === from ? change(order, tx, now) : {}));
+
+// Puts the order's books back in stock. Books deleted since are skipped.
+async function restock(tx, orderId) {
+    const items = await tx
+        .select({ bookId: orderItemsTable.bookId, quantity: orderItemsTable.quantity })
+        .from(orderItemsTable)
+        .where(and(eq(orderItemsTable.orderId, orderId), isNotNull(orderItemsTable.bookId)))
+        .orderBy(asc(orderItemsTable.bookId));
+    for (const { bookId, quantity } of items) {
+        await tx
+            .update(booksTable)
+            .set({ stock: sql`${booksTable.stock} + ${quantity}` })
+            .where(eq(booksTable.id, bookId));
+    }
+}
+
+// Charges the order through PAYMENT_PROVIDER, after marking it paying. The
+// charge's idempotency key is the order id, so paying an order left paying
+// again doesn't charge twice. A declined payment answers 402 and puts the
+// order back to pending. Free orders are marked paid without a charge.
+async function payOrder(userId, id, { paymentToken } = {}) {
+    const order = await changeOrder(userId, id, async (current, tx, now) => {
+        assertCan('pay', current);
+        return current.total === 0 ? { status: 'paid', paidAt: now } : { status: 'paying' };
+    });
+    if (order?.status !== 'paying') {
+        return order;
+    }
+    const provider = getPaymentProvider();
+    let payment;
+    try {
+        payment = await provider.charge({
+            amount: order.total,
+            currency: CURRENCY,
+            token: paymentToken,
+            idempotencyKey: `order-${order.id}`,
+            description: `Book store order ${order.id}`,
+        });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            await finishOrder(userId, id, 'paying', () => ({ status: 'pending' }));
+        }
+        throw error;
+    }
+    return finishOrder(userId, id, 'paying', (current, tx, now) => ({
+        status: 'paid', paymentProvider: provider.name, paymentId: payment.id, paidAt: now,
+    }));
+}
+
+// A staff action: ships the order whoever it belongs to
+async function shipOrder(id) {
+    return changeOrder(undefined, id, async (order, tx, now) => {
+        assertCan('ship', order);
+        return { status: 'shipped', shippedAt: now };
+    });
+}
+
+// Puts the books back in stock. A paid order is marked cancelling and
+// refunded (through the provider that charged it) first; a refund the
+// provider turns down answers 402 and leaves the order paid.
+async function cancelOrder(userId, id) {
+    const order = await changeOrder(userId, id, async (current, tx, now) => {
+        assertCan('cancel', current);
+        if (current.paymentId) {
+            return { status: 'cancelling' };
+        }
+        await restock(tx, current.id);
+        return { status: 'cancelled', cancelledAt: now };
+    });
+    if (order?.status !== 'cancelling') {
+        return order;
+    }
+    try {
+        await getPaymentProvider(order.paymentProvider).refund({
+            paymentId: order.paymentId,
+            amount: order.total,
+            currency: CURRENCY,
+            idempotencyKey: `refund-order-${order.id}`,
+        });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            await finishOrder(userId, id, 'cancelling', () => ({ status: 'paid' }));
+        }
+        throw error;
+    }
+    return finishOrder(userId, id, 'cancelling', async (current, tx, now) => {
+        await restock(tx, current.id);
+        return { status: 'cancelled', cancelledAt: now };
+    });
+}
+
+module.exports = {
+    getCart,
+    addToCart,
+    removeFromCart,
+    checkout,
+    listOrders,
+    getOrder,
+    payOrder,
+    shipOrder,
+    cancelOrder,
+};
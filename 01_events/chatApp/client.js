@@ -0,0 +1,64 @@
+// A terminal client for server.js.
+//
+//   node client.js <name> [ws://localhost:8080]
+//
+// Prints what happens in the room and sends every line you type as a
+// message. /quit (or Ctrl+D) leaves.
+const readline = require('readline');
+const { connect } = require('./websocket.js');
+
+const [user, url = 'ws://localhost:8080'] = process.argv.slice(2);
+if (!user) {
+    console.error('Usage: node client.js <name> [ws://localhost:8080]');
+    process.exit(1);
+}
+
+const show = (event) => {
+    switch (event.type) {
+        case 'welcome':
+            console.log(`Welcome to ${event.room}, ${event.user}. In the room: ${event.users.join(', ')}`);
+            break;
+        case 'userJoined':
+            console.log(`${event.user} has joined the chat.`);
+            break;
+        case 'userLeft':
+            console.log(`${event.user} has left the chat.`);
+            break;
+        case 'message':
+            console.log(`${event.user}: ${event.message}`);
+            break;
+        case 'error':
+            console.error(`Error: ${event.message}`);
+            break;
+    }
+};
+
+const main = async () => {
+    const target = new URL(url);
+    target.searchParams.set('user', user);
+    const ws = await connect(target.href);
+
+    const input = readline.createInterface({ input: process.stdin });
+    input.on('line', (line) => {
+        if (line.trim() === '/quit') {
+            return ws.close();
+        }
+        if (line.trim() !== '') {
+            ws.send(JSON.stringify({ type: 'message', message: line }));
+        }
+    });
+    input.on('close', () => ws.close());
+
+    ws.on('message', (text) => show(JSON.parse(text)));
+    ws.on('close', (code, reason) => {
+        if (code !== 1000) {
+            console.log(`Disconnected (${code}${reason ? `: ${reason}` : ''})`);
+        }
+        input.close();
+    });
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
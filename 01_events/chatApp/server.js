@@ -0,0 +1,145 @@
+// A ChatRoom that real clients can join over WebSocket.
+//
+//   node server.js [--port 8080] [--room General] [--heartbeat 30]
+//
+// Clients connect to ws://localhost:8080/?user=<name> (try client.js). Each
+// connection is a user of the room: it joins when the handshake completes and
+// leaves when the connection closes, however that happens. Names are 1-32
+// letters, digits, spaces, dots, dashes or underscores, and must be free: a
+// taken name is answered 409 before the handshake.
+//
+// Everything is JSON text frames.
+//   client -> server   { "type": "message", "message": "Hello!" }
+//   server -> client   { "type": "welcome", "room", "user", "users": [...] }
+//                      { "type": "userJoined" | "userLeft", "user", "time" }
+//                      { "type": "message", "user", "message", "time" }
+//                      { "type": "error", "message" }   (bad frames only)
+//
+// Every --heartbeat seconds each connection is pinged; one that hasn't
+// answered the previous ping is dropped, so users whose network went away
+// leave the room too. So is a client that stops reading: once 1 MiB of
+// messages is waiting for it (see maxWriteBuffer in websocket.js), instead of
+// the server holding every broadcast for it.
+const http = require('http');
+const { parseArgs } = require('util');
+const ChatRoom = require('./chatRoom.js');
+const { CLOSE, acceptUpgrade, rejectUpgrade } = require('./websocket.js');
+
+const USER_NAME = /^[\w .-]{1,32}$/;
+const MAX_MESSAGE_LENGTH = 2000;
+
+const createChatServer = ({ room = new ChatRoom('General'), heartbeatSeconds = 30 } = {}) => {
+    // user name -> WebSocket
+    const connections = new Map();
+
+    const broadcast = (event) => {
+        const frame = JSON.stringify({ ...event, time: new Date().toISOString() });
+        for (const ws of connections.values()) {
+            ws.send(frame);
+        }
+    };
+
+    room.on('userJoined', (user) => broadcast({ type: 'userJoined', user }));
+    room.on('userLeft', (user) => broadcast({ type: 'userLeft', user }));
+    room.on('message', ({ user, message }) => broadcast({ type: 'message', user, message }));
+
+    const handleMessage = (user, ws, text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            data = null;
+        }
+        if (data?.type !== 'message' || typeof data.message !== 'string' || data.message.trim() === '') {
+            return ws.send(JSON.stringify({ type: 'error', message: 'Send {"type":"message","message":"..."}' }));
+        }
+        if (data.message.length > MAX_MESSAGE_LENGTH) {
+            return ws.send(JSON.stringify({ type: 'error', message: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` }));
+        }
+        room.sendMessage(user, data.message);
+    };
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8', Upgrade: 'websocket' });
+        res.end(`This is a WebSocket server: connect to ws://${req.headers.host}/?user=<name>\n`);
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+        const user = new URL(req.url, 'ws://localhost').searchParams.get('user')?.trim();
+        if (!user || !USER_NAME.test(user)) {
+            return rejectUpgrade(socket, 400, 'Pick a name of 1-32 letters, digits, spaces, dots, dashes or underscores: ?user=<name>');
+        }
+        if (connections.has(user)) {
+            return rejectUpgrade(socket, 409, `${user} is already in the room`);
+        }
+        const ws = acceptUpgrade(req, socket, head);
+        if (!ws) {
+            return;
+        }
+
+        ws.alive = true;
+        ws.on('pong', () => (ws.alive = true));
+        ws.on('message', (text) => handleMessage(user, ws, text));
+        ws.on('close', () => {
+            connections.delete(user);
+            room.leave(user);
+        });
+
+        connections.set(user, ws);
+        ws.send(JSON.stringify({ type: 'welcome', room: room.roomName, user, users: [...room.users, user] }));
+        room.join(user);
+    });
+
+    const heartbeat = setInterval(() => {
+        for (const ws of connections.values()) {
+            if (!ws.alive) {
+                ws.terminate();
+                continue;
+            }
+            ws.alive = false;
+            ws.ping();
+        }
+    }, heartbeatSeconds * 1000);
+    heartbeat.unref();
+
+    server.on('close', () => clearInterval(heartbeat));
+    // Closes every connection (1001 Going Away), then the server
+    server.shutdown = () => {
+        for (const ws of connections.values()) {
+            ws.close(CLOSE.goingAway, 'Server shutting down');
+        }
+        server.close();
+    };
+
+    return server;
+};
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: process.env.PORT || '8080' },
+            room: { type: 'string', default: 'General' },
+            heartbeat: { type: 'string', default: '30' },
+        },
+    });
+    const heartbeatSeconds = Number(values.heartbeat);
+    if (!(heartbeatSeconds > 0)) {
+        console.error('Usage: node server.js [--port 8080] [--room General] [--heartbeat 30]');
+        process.exit(1);
+    }
+
+    const room = new ChatRoom(values.room);
+    room.on('userJoined', (user) => console.log(`${user} has joined the chat.`));
+    room.on('userLeft', (user) => console.log(`${user} has left the chat.`));
+    room.on('message', ({ user, message }) => console.log(`${user}: ${message}`));
+
+    const server = createChatServer({ room, heartbeatSeconds });
+    server.listen(Number(values.port), () => {
+        console.log(`Chat room "${room.roomName}" on ws://localhost:${server.address().port}/?user=<name>`);
+    });
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => server.shutdown());
+    }
+}
+
+module.exports = createChatServer;
@@ -0,0 +1,452 @@
+// A small WebSocket (RFC 6455) implementation on top of Node's http module,
+// enough for the chat server and its CLI client. No dependencies.
+//
+//   acceptUpgrade(req, socket, head)  server side: answers the handshake of an
+//                                     http 'upgrade' event -> WebSocket | null
+//   connect(url, { headers })         client side: opens ws:// or wss:// URLs
+//                                     -> Promise<WebSocket>
+//
+// A WebSocket is an EventEmitter:
+//   send(text)           sends a text message
+//   ping() / 'pong'      heartbeat (pings from the other side are answered
+//                        automatically)
+//   close(code, reason)  closing handshake; terminate() drops the connection
+//   'message' (text)     a complete text message (fragments are joined)
+//   'close' (code, reason)  once, however the connection ended; 1006 when it
+//                        was dropped without a closing handshake
+//
+// Only text messages are supported: binary ones close the connection with
+// 1003. No extensions (no compression) and no subprotocols. A message larger
+// than maxMessageSize (64 KiB by default) or split into more than
+// MAX_FRAGMENTS frames closes the connection with 1009.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
+
+// Appended to the client's key to prove the server speaks WebSocket
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa,
+};
+
+// Close codes (RFC 6455 section 7.4.1)
+const CLOSE = {
+    normal: 1000,
+    goingAway: 1001,
+    protocolError: 1002,
+    unsupportedData: 1003,
+    noStatus: 1005,
+    abnormal: 1006,
+    invalidData: 1007,
+    tooBig: 1009,
+};
+
+const DEFAULT_MAX_MESSAGE_SIZE = 64 * 1024;
+// Unsent bytes a connection may pile up (a client that stops reading)
+// before it's dropped
+const DEFAULT_MAX_WRITE_BUFFER = 1024 * 1024;
+// Frames one message may be split into. Empty continuation frames cost
+// nothing towards the size limit, so they need a limit of their own.
+const MAX_FRAGMENTS = 128;
+// How long close() waits for the other side's close frame
+const CLOSE_TIMEOUT_MS = 5000;
+
+const acceptKey = (key) => crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+
+// One frame with FIN set. Clients must mask what they send, servers must not.
+const encodeFrame = (opcode, payload, masked) => {
+    const length = payload.length;
+    const extendedLength = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + extendedLength + (masked ? 4 : 0));
+    header[0] = 0x80 | opcode;
+    header[1] = (masked ? 0x80 : 0) | (extendedLength === 0 ? length : extendedLength === 2 ? 126 : 127);
+    if (extendedLength === 2) {
+        header.writeUInt16BE(length, 2);
+    } else if (extendedLength === 8) {
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    if (!masked) {
+        return Buffer.concat([header, payload]);
+    }
+    const mask = crypto.randomBytes(4);
+    mask.copy(header, 2 + extendedLength);
+    const body = Buffer.from(payload);
+    for (let i = 0; i < body.length; i++) {
+        body[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([header, body]);
+};
+
+class WebSocket extends EventEmitter {
+    // `head` is whatever arrived after the handshake: it's read first
+    constructor(socket, {
+        client = false,
+        maxMessageSize = DEFAULT_MAX_MESSAGE_SIZE,
+        maxWriteBuffer = DEFAULT_MAX_WRITE_BUFFER,
+        head,
+    } = {}) {
+        super();
+        this.socket = socket;
+        this.client = client;
+        this.maxMessageSize = maxMessageSize;
+        this.maxWriteBuffer = maxWriteBuffer;
+        this.state = 'open';
+        // Received bytes not parsed yet, kept as the chunks they came in
+        this.chunks = [];
+        this.bufferedBytes = 0;
+        // Frames of a fragmented message received so far, and their size
+        this.fragments = null;
+        this.fragmentsSize = 0;
+        this.closeCode = CLOSE.abnormal;
+        this.closeReason = '';
+
+        socket.setNoDelay(true);
+        if (head?.length > 0) {
+            socket.unshift(head);
+        }
+        // Reading starts on the next turn of the event loop, so the caller can
+        // add its 'message' listener before the first message comes in
+        socket.pause();
+        socket.on('data', (chunk) => this.receive(chunk));
+        setImmediate(() => socket.resume());
+        // A reset connection ends up as a close with code 1006
+        socket.on('error', () => socket.destroy());
+        socket.on('close', () => this.finish());
+    }
+
+    send(text) {
+        return this.write(OPCODE.text, Buffer.from(String(text)));
+    }
+
+    ping(data = '') {
+        return this.write(OPCODE.ping, Buffer.from(data));
+    }
+
+    // Starts the closing handshake. The connection ends when the other side
+    // answers, or after CLOSE_TIMEOUT_MS if it doesn't.
+    close(code = CLOSE.normal, reason = '') {
+        if (this.state !== 'open') {
+            return;
+        }
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.write(OPCODE.close, Buffer.concat([payload, Buffer.from(reason).subarray(0, 123)]));
+        this.state = 'closing';
+        this.closeCode = code;
+        this.closeReason = reason;
+        this.closeTimer = setTimeout(() => this.terminate(), CLOSE_TIMEOUT_MS);
+        this.closeTimer.unref();
+    }
+
+    terminate() {
+        this.socket.destroy();
+    }
+
+    write(opcode, payload) {
+        if (this.state !== 'open' || this.socket.destroyed) {
+            return false;
+        }
+        this.socket.write(encodeFrame(opcode, payload, this.client));
+        // The other side isn't reading what we send: drop it rather than
+        // keep its messages in memory
+        if (this.socket.writableLength > this.maxWriteBuffer) {
+            this.terminate();
+            return false;
+        }
+        return true;
+    }
+
+    // Parses every complete frame received so far
+    receive(chunk) {
+        if (this.failed) {
+            return;
+        }
+        this.chunks.push(chunk);
+        this.bufferedBytes += chunk.length;
+        while (this.state !== 'closed' && !this.failed) {
+            const frame = this.readFrame();
+            if (!frame) {
+                return;
+            }
+            this.handleFrame(frame);
+        }
+    }
+
+    // The first `n` received bytes, which must all be there. They are joined
+    // into one buffer only when they span several chunks, so a frame that
+    // trickles in is copied once, when it's complete. `consume` removes them.
+    bytes(n, consume) {
+        const first = this.chunks[0];
+        if (first.length >= n) {
+            if (consume) {
+                this.chunks[0] = first.subarray(n);
+                if (this.chunks[0].length === 0) {
+                    this.chunks.shift();
+                }
+                this.bufferedBytes -= n;
+            }
+            return first.subarray(0, n);
+        }
+        const parts = [];
+        let needed = n;
+        let used = 0;
+        while (needed > 0) {
+            const chunk = this.chunks[used];
+            if (chunk.length <= needed) {
+                parts.push(chunk);
+                needed -= chunk.length;
+                used++;
+            } else {
+                parts.push(chunk.subarray(0, needed));
+                if (consume) {
+                    this.chunks[used] = chunk.subarray(needed);
+                }
+                needed = 0;
+            }
+        }
+        if (consume) {
+            this.chunks.splice(0, used);
+            this.bufferedBytes -= n;
+        }
+        return Buffer.concat(parts, n);
+    }
+
+    // The next frame, or null until all of it has arrived
+    readFrame() {
+        if (this.bufferedBytes < 2) {
+            return null;
+        }
+        // The header is at most 14 bytes: 2, a 2 or 8 byte length, a mask
+        const buffer = this.bytes(Math.min(this.bufferedBytes, 14), false);
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (buffer[0] & 0x70) {
+            return this.fail(CLOSE.protocolError, 'Extensions are not supported');
+        }
+        // Frames from clients are masked, frames from servers aren't
+        if (masked === this.client) {
+            return this.fail(CLOSE.protocolError, masked ? 'Server frames must not be masked' : 'Client frames must be masked');
+        }
+        if (length === 126) {
+            if (buffer.length < 4) {
+                return null;
+            }
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) {
+                return null;
+            }
+            const longLength = buffer.readBigUInt64BE(2);
+            if (longLength > BigInt(this.maxMessageSize)) {
+                return this.fail(CLOSE.tooBig, 'Message too big');
+            }
+            length = Number(longLength);
+            offset = 10;
+        }
+        if (length > this.maxMessageSize) {
+            return this.fail(CLOSE.tooBig, 'Message too big');
+        }
+
+        const maskOffset = offset;
+        if (masked) {
+            offset += 4;
+        }
+        if (this.bufferedBytes < offset + length) {
+            return null;
+        }
+        const mask = buffer.subarray(maskOffset, offset);
+        const payload = Buffer.from(this.bytes(offset + length, true).subarray(offset));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode >= OPCODE.close) {
+            // Control frames can't be fragmented and carry at most 125 bytes
+            if (!fin || payload.length > 125) {
+                return this.fail(CLOSE.protocolError, 'Invalid control frame');
+            }
+            return this.handleControlFrame(opcode, payload);
+        }
+        if (opcode === OPCODE.continuation) {
+            if (!this.fragments) {
+                return this.fail(CLOSE.protocolError, 'Unexpected continuation frame');
+            }
+            if (this.fragments.length >= MAX_FRAGMENTS) {
+                return this.fail(CLOSE.tooBig, 'Message split into too many frames');
+            }
+            this.fragments.push(payload);
+        } else if (opcode === OPCODE.text) {
+            if (this.fragments) {
+                return this.fail(CLOSE.protocolError, 'Expected a continuation frame');
+            }
+            this.fragments = [payload];
+            this.fragmentsSize = 0;
+        } else if (opcode === OPCODE.binary) {
+            return this.fail(CLOSE.unsupportedData, 'Only text messages are supported');
+        } else {
+            return this.fail(CLOSE.protocolError, `Unknown opcode ${opcode}`);
+        }
+
+        this.fragmentsSize += payload.length;
+        if (this.fragmentsSize > this.maxMessageSize) {
+            return this.fail(CLOSE.tooBig, 'Message too big');
+        }
+        if (!fin) {
+            return;
+        }
+        // Joined once, when the last frame is in
+        const message = this.fragments.length === 1 ? this.fragments[0] : Buffer.concat(this.fragments, this.fragmentsSize);
+        this.fragments = null;
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(message);
+        } catch {
+            return this.fail(CLOSE.invalidData, 'Text messages must be UTF-8');
+        }
+        this.emit('message', text);
+    }
+
+    handleControlFrame(opcode, payload) {
+        if (opcode === OPCODE.ping) {
+            this.write(OPCODE.pong, payload);
+        } else if (opcode === OPCODE.pong) {
+            this.emit('pong', payload);
+        } else if (opcode === OPCODE.close) {
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE.noStatus;
+            const reason = payload.subarray(2).toString('utf8');
+            if (this.state === 'open') {
+                // Echo the close, then the server ends the TCP connection
+                this.close(code === CLOSE.noStatus ? CLOSE.normal : code);
+            }
+            this.closeCode = code;
+            this.closeReason = reason;
+            this.state = 'closing';
+            if (!this.client) {
+                this.socket.end();
+            }
+        } else {
+            this.fail(CLOSE.protocolError, `Unknown opcode ${opcode}`);
+        }
+    }
+
+    // Closes the connection after a protocol violation. Returns null so
+    // readFrame() can `return this.fail(...)`.
+    fail(code, reason) {
+        this.close(code, reason);
+        this.state = 'closing';
+        // Whatever else the other side sends is ignored
+        this.failed = true;
+        this.fragments = null;
+        this.chunks = [];
+        this.bufferedBytes = 0;
+        this.socket.end();
+        return null;
+    }
+
+    finish() {
+        if (this.state === 'closed') {
+            return;
+        }
+        this.state = 'closed';
+        clearTimeout(this.closeTimer);
+        this.emit('close', this.closeCode, this.closeReason);
+    }
+}
+
+// Answers a request that can't be upgraded and closes the socket
+const rejectUpgrade = (socket, status, message, headers = {}) => {
+    const lines = [
+        `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+        'Connection: close',
+        'Content-Type: text/plain; charset=utf-8',
+        `Content-Length: ${Buffer.byteLength(message)}`,
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    ];
+    socket.end(`${lines.join('\r\n')}\r\n\r\n${message}`);
+};
+
+// Completes the handshake for an http server's 'upgrade' event. Returns the
+// WebSocket, or null after answering 400/426 to a request that isn't a valid
+// WebSocket handshake.
+const acceptUpgrade = (req, socket, head, options = {}) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.method !== 'GET' || req.headers.upgrade?.toLowerCase() !== 'websocket'
+        || !key || Buffer.from(key, 'base64').length !== 16) {
+        rejectUpgrade(socket, 400, 'Expected a WebSocket handshake');
+        return null;
+    }
+    if (req.headers['sec-websocket-version'] !== '13') {
+        rejectUpgrade(socket, 426, 'Unsupported WebSocket version', { 'Sec-WebSocket-Version': '13' });
+        return null;
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    ].join('\r\n') + '\r\n\r\n');
+
+    return new WebSocket(socket, { ...options, head });
+};
+
+// Opens a client connection. Rejects when the server answers anything but
+// the handshake, with the status and body in the error message.
+const connect = (url, { headers = {}, ...options } = {}) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (target.protocol !== 'ws:' && target.protocol !== 'wss:') {
+        return reject(new Error(`Expected a ws:// or wss:// URL, got ${url}`));
+    }
+    const key = crypto.randomBytes(16).toString('base64');
+    const request = (target.protocol === 'wss:' ? https : http).request({
+        hostname: target.hostname,
+        port: target.port,
+        path: target.pathname + target.search,
+        headers: {
+            ...headers,
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Key': key,
+            'Sec-WebSocket-Version': '13',
+        },
+    });
+    request.on('upgrade', (res, socket, head) => {
+        if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+            socket.destroy();
+            return reject(new Error('The server answered with a wrong Sec-WebSocket-Accept'));
+        }
+        resolve(new WebSocket(socket, { ...options, client: true, head }));
+    });
+    request.on('response', (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => (body += chunk));
+        res.on('end', () => reject(new Error(`The server answered ${res.statusCode}: ${body}`)));
+    });
+    request.on('error', reject);
+    request.end();
+});
+
+module.exports = {
+    WebSocket,
+    CLOSE,
+    acceptUpgrade,
+    rejectUpgrade,
+    connect,
+};
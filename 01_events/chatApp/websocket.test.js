@@ -0,0 +1,228 @@
+// node --test 01_events/chatApp/
+//
+// Runs a WebSocket server on a random local port and talks to it with
+// connect() and with hand-made frames, to check the framing rules.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const { CLOSE, acceptUpgrade, connect } = require('./websocket.js');
+
+const MAX_MESSAGE_SIZE = 1024;
+
+// One frame as a client would send it, masked unless `mask` is false.
+// `length` overrides the length written in the header.
+const frame = (opcode, payload = '', { fin = true, mask = true, length } = {}) => {
+    const body = Buffer.from(payload);
+    const size = length ?? body.length;
+    const extended = size < 126 ? 0 : size < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + extended);
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    header[1] = (mask ? 0x80 : 0) | (extended === 0 ? size : extended === 2 ? 126 : 127);
+    if (extended === 2) {
+        header.writeUInt16BE(size, 2);
+    } else if (extended === 8) {
+        header.writeBigUInt64BE(BigInt(size), 2);
+    }
+    if (!mask) {
+        return Buffer.concat([header, body]);
+    }
+    const key = crypto.randomBytes(4);
+    return Buffer.concat([header, key, body.map((byte, i) => byte ^ key[i % 4])]);
+};
+
+const TEXT = 0x1;
+const BINARY = 0x2;
+const CONTINUATION = 0x0;
+const CLOSE_FRAME = 0x8;
+const PING = 0x9;
+const PONG = 0xa;
+
+// Frames sent by the server (unmasked, short enough for these tests)
+const parseFrames = (buffer) => {
+    const frames = [];
+    let offset = 0;
+    while (offset + 2 <= buffer.length) {
+        let length = buffer[offset + 1] & 0x7f;
+        let start = offset + 2;
+        if (length === 126) {
+            length = buffer.readUInt16BE(offset + 2);
+            start += 2;
+        }
+        frames.push({ opcode: buffer[offset] & 0x0f, payload: buffer.subarray(start, start + length) });
+        offset = start + length;
+    }
+    return frames;
+};
+
+const closeCode = (frames) => {
+    const close = frames.find((received) => received.opcode === CLOSE_FRAME);
+    return close && close.payload.readUInt16BE(0);
+};
+
+describe('websocket', () => {
+    let server;
+    let port;
+    // Server side of every connection, in order: { ws, messages, closed }
+    const connections = [];
+
+    before(async () => {
+        server = http.createServer((req, res) => res.writeHead(404).end());
+        server.on('upgrade', (req, socket, head) => {
+            const ws = acceptUpgrade(req, socket, head, { maxMessageSize: MAX_MESSAGE_SIZE });
+            if (!ws) {
+                return;
+            }
+            const connection = { ws, messages: [] };
+            connection.closed = new Promise((resolve) => ws.on('close', (code) => resolve(code)));
+            ws.on('message', (text) => {
+                connection.messages.push(text);
+                ws.send(`echo: ${text}`);
+            });
+            connections.push(connection);
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    // Opens a raw connection, sends `frames` (each written separately,
+    // `gapMs` apart), and resolves with what the server sent back once it
+    // ends the connection.
+    const exchange = (frames, { gapMs = 0 } = {}) => new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1');
+        const key = crypto.randomBytes(16).toString('base64');
+        let received = Buffer.alloc(0);
+        let upgraded = false;
+        socket.on('data', (chunk) => {
+            received = Buffer.concat([received, chunk]);
+            if (upgraded) {
+                return;
+            }
+            const end = received.indexOf('\r\n\r\n');
+            if (end === -1) {
+                return;
+            }
+            assert.match(received.subarray(0, end).toString(), /^HTTP\/1\.1 101 /);
+            upgraded = true;
+            received = received.subarray(end + 4);
+            frames.forEach((data, index) => setTimeout(() => socket.write(data), index * gapMs));
+        });
+        socket.on('end', () => socket.end());
+        socket.on('close', () => resolve(parseFrames(received)));
+        socket.on('error', reject);
+        socket.setTimeout(5000, () => {
+            socket.destroy();
+            reject(new Error('The server did not close the connection'));
+        });
+        socket.write([
+            'GET / HTTP/1.1',
+            `Host: 127.0.0.1:${port}`,
+            'Connection: Upgrade',
+            'Upgrade: websocket',
+            `Sec-WebSocket-Key: ${key}`,
+            'Sec-WebSocket-Version: 13',
+        ].join('\r\n') + '\r\n\r\n');
+    });
+
+    const lastConnection = () => connections[connections.length - 1];
+
+    it('exchanges messages with connect() and closes normally', async () => {
+        const client = await connect(`ws://127.0.0.1:${port}/`);
+        const reply = new Promise((resolve) => client.once('message', resolve));
+        client.send('héllo');
+        assert.equal(await reply, 'echo: héllo');
+        const closed = new Promise((resolve) => client.on('close', resolve));
+        client.close();
+        assert.equal(await closed, CLOSE.normal);
+        assert.equal(await lastConnection().closed, CLOSE.normal);
+    });
+
+    it('joins fragmented messages, with control frames in between', async () => {
+        const frames = await exchange([
+            frame(TEXT, 'Hel', { fin: false }),
+            frame(PING, 'are you there'),
+            frame(CONTINUATION, 'lo ', { fin: false }),
+            frame(CONTINUATION, 'world'),
+            frame(CLOSE_FRAME, Buffer.from([0x03, 0xe8])),
+        ]);
+        assert.deepEqual(lastConnection().messages, ['Hello world']);
+        assert.equal(frames[0].opcode, PONG);
+        assert.equal(frames[0].payload.toString(), 'are you there');
+        assert.equal(frames[1].payload.toString(), 'echo: Hello world');
+        assert.equal(closeCode(frames), CLOSE.normal);
+    });
+
+    it('reads a frame that arrives one byte at a time', async () => {
+        const bytes = frame(TEXT, 'slowly');
+        const pieces = [...bytes].map((byte) => Buffer.from([byte]));
+        const frames = await exchange([...pieces, frame(CLOSE_FRAME)], { gapMs: 5 });
+        assert.deepEqual(lastConnection().messages, ['slowly']);
+        assert.equal(frames[0].payload.toString(), 'echo: slowly');
+    });
+
+    it('closes with 1002 on an unmasked client frame', async () => {
+        const frames = await exchange([frame(TEXT, 'hi', { mask: false })]);
+        assert.equal(closeCode(frames), CLOSE.protocolError);
+        assert.equal(await lastConnection().closed, CLOSE.protocolError);
+        assert.deepEqual(lastConnection().messages, []);
+    });
+
+    it('closes with 1009 on a frame larger than maxMessageSize', async () => {
+        const frames = await exchange([frame(TEXT, 'x'.repeat(MAX_MESSAGE_SIZE + 1))]);
+        assert.equal(closeCode(frames), CLOSE.tooBig);
+        assert.deepEqual(lastConnection().messages, []);
+    });
+
+    it('closes with 1009 as soon as a header announces too much, before the payload', async () => {
+        const frames = await exchange([frame(TEXT, '', { length: 2 ** 40 })]);
+        assert.equal(closeCode(frames), CLOSE.tooBig);
+    });
+
+    it('closes with 1009 when the fragments together are too large', async () => {
+        const half = 'x'.repeat(MAX_MESSAGE_SIZE / 2 + 1);
+        const frames = await exchange([frame(TEXT, half, { fin: false }), frame(CONTINUATION, half)]);
+        assert.equal(closeCode(frames), CLOSE.tooBig);
+        assert.deepEqual(lastConnection().messages, []);
+    });
+
+    it('closes with 1009 when a message is split into too many frames', async () => {
+        const empty = frame(CONTINUATION, '', { fin: false });
+        const frames = await exchange([frame(TEXT, 'a', { fin: false }), ...Array(200).fill(empty)]);
+        assert.equal(closeCode(frames), CLOSE.tooBig);
+    });
+
+    it('closes with 1002 on a continuation frame without a message', async () => {
+        const frames = await exchange([frame(CONTINUATION, 'orphan')]);
+        assert.equal(closeCode(frames), CLOSE.protocolError);
+    });
+
+    it('closes with 1002 on a new message before the last one ended', async () => {
+        const frames = await exchange([frame(TEXT, 'a', { fin: false }), frame(TEXT, 'b')]);
+        assert.equal(closeCode(frames), CLOSE.protocolError);
+    });
+
+    it('closes with 1002 on a fragmented control frame', async () => {
+        const frames = await exchange([frame(PING, 'x', { fin: false })]);
+        assert.equal(closeCode(frames), CLOSE.protocolError);
+    });
+
+    it('closes with 1003 on binary messages and 1007 on invalid UTF-8', async () => {
+        assert.equal(closeCode(await exchange([frame(BINARY, 'bin')])), CLOSE.unsupportedData);
+        assert.equal(closeCode(await exchange([frame(TEXT, Buffer.from([0xc3, 0x28]))])), CLOSE.invalidData);
+    });
+
+    it('answers 400 to a request that is not a WebSocket handshake', async () => {
+        const response = await new Promise((resolve, reject) => {
+            const socket = net.connect(port, '127.0.0.1');
+            let text = '';
+            socket.on('data', (chunk) => (text += chunk));
+            socket.on('close', () => resolve(text));
+            socket.on('error', reject);
+            socket.write(`GET / HTTP/1.1\r\nHost: 127.0.0.1\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n\r\n`);
+        });
+        assert.match(response, /^HTTP\/1\.1 400 /);
+    });
+});
@@ -0,0 +1,104 @@
+import 'dotenv/config';
+
+const seconds = (name, fallback) => (Number(process.env[name]) || fallback) * 1000;
+
+// Session lifetime. A session ends when either limit is reached.
+export const sessionConfig = {
+  // Hard limit counted from login, whatever the activity.
+  absoluteTimeoutMs: seconds('SESSION_ABSOLUTE_TIMEOUT_SECONDS', 7 * 24 * 60 * 60),
+  // Sliding limit counted from the last request made with the session.
+  idleTimeoutMs: seconds('SESSION_IDLE_TIMEOUT_SECONDS', 30 * 60),
+  // lastSeenAt is written at most this often to avoid a write on every request.
+  touchIntervalMs: seconds('SESSION_TOUCH_INTERVAL_SECONDS', 60),
+  // How often expired rows are deleted from user_sessions.
+  sweepIntervalMs: seconds('SESSION_SWEEP_INTERVAL_SECONDS', 15 * 60),
+};
+
+const flag = (name, fallback) =>
+  process.env[name] === undefined ? fallback : process.env[name] === 'true';
+
+// Password storage (scrypt) and the policy enforced on signup.
+export const passwordConfig = {
+  // Cost parameters for new hashes. Raising them makes login upgrade old
+  // hashes transparently.
+  scrypt: {
+    N: Number(process.env.PASSWORD_SCRYPT_N) || 2 ** 14,
+    r: Number(process.env.PASSWORD_SCRYPT_R) || 8,
+    p: Number(process.env.PASSWORD_SCRYPT_P) || 1,
+    keyLength: 64,
+    saltLength: 16,
+  },
+  policy: {
+    minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength: Number(process.env.PASSWORD_MAX_LENGTH) || 128,
+    requireLowercase: flag('PASSWORD_REQUIRE_LOWERCASE', true),
+    requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', false),
+    requireDigit: flag('PASSWORD_REQUIRE_DIGIT', true),
+    requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false),
+  },
+};
+
+// Emailed single-use tokens and the login gate on verified emails.
+export const accountConfig = {
+  passwordResetTokenTtlMs: seconds('PASSWORD_RESET_TOKEN_TTL_SECONDS', 60 * 60),
+  emailVerificationTokenTtlMs: seconds('EMAIL_VERIFICATION_TOKEN_TTL_SECONDS', 24 * 60 * 60),
+  // When true, users must verify their email before they can log in.
+  requireVerifiedEmail: flag('REQUIRE_EMAIL_VERIFICATION', false),
+  // Base URL of the frontend used to build the links in emails.
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+};
+
+export const mailConfig = {
+  // console | file
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  // Folder the file transport writes one JSON file per message into.
+  outboxDir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox',
+  from: process.env.MAIL_FROM || 'no-reply@session-auth.local',
+};
+
+// Brute-force protection for login (per IP and per account) and rate limits.
+export const rateLimitConfig = {
+  // memory (single process) | postgres (shared by all processes)
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  login: {
+    // Failures allowed before the exponential delay starts
+    freeRetries: Number(process.env.LOGIN_FREE_RETRIES) || 3,
+    baseDelayMs: seconds('LOGIN_BASE_DELAY_SECONDS', 1),
+    maxDelayMs: seconds('LOGIN_MAX_DELAY_SECONDS', 5 * 60),
+    // Failures that lock an account / an IP for lockoutMs
+    accountLockoutThreshold: Number(process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD) || 10,
+    ipLockoutThreshold: Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50,
+    lockoutMs: seconds('LOGIN_LOCKOUT_SECONDS', 15 * 60),
+    // Failures older than this are forgotten
+    windowMs: seconds('LOGIN_FAILURE_WINDOW_SECONDS', 60 * 60),
+  },
+};
+
+// Cookie transport for sessions (browsers) next to the session-id header (API clients).
+export const cookieConfig = {
+  // header | cookie: what login issues when the request doesn't say
+  defaultMode: process.env.SESSION_DEFAULT_MODE || 'header',
+  name: process.env.SESSION_COOKIE_NAME || 'sid',
+  csrfCookieName: 'csrf-token',
+  csrfHeaderName: 'x-csrf-token',
+  // Signs session cookies and derives CSRF tokens. Set it in production, or
+  // every restart invalidates all cookies.
+  secret: process.env.COOKIE_SECRET,
+  secure: flag('SESSION_COOKIE_SECURE', true),
+  // lax | strict | none
+  sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+};
+
+// Token mode: short-lived signed access tokens (JWT) plus rotating refresh tokens.
+export const tokenConfig = {
+  // HS256 (shared secret) | EdDSA (Ed25519 key pair)
+  algorithm: process.env.JWT_ALGORITHM || 'HS256',
+  // HS256 key. Set it in production, or every restart invalidates all access tokens.
+  secret: process.env.JWT_SECRET,
+  // EdDSA keys in PEM format. Services that only verify tokens need just the public key.
+  privateKey: process.env.JWT_PRIVATE_KEY,
+  publicKey: process.env.JWT_PUBLIC_KEY,
+  issuer: process.env.JWT_ISSUER || 'session_auth',
+  accessTokenTtlMs: seconds('ACCESS_TOKEN_TTL_SECONDS', 15 * 60),
+  refreshTokenTtlMs: seconds('REFRESH_TOKEN_TTL_SECONDS', 30 * 24 * 60 * 60),
+};
@@ -4,6 +4,10 @@ import {
   text,
   uuid,
   timestamp,
+  primaryKey,
+  boolean,
+  index,
+  integer,
 } from "drizzle-orm/pg-core";
 
 export const usersTable = pgTable("users", {
@@ -12,6 +16,7 @@ export const usersTable = pgTable("users", {
   email: varchar({ length: 255 }).notNull().unique(),
   password: text().notNull(),
   salt: text(),
+  verified: boolean().notNull().default(false),
 });
 
 export const userSessions = pgTable("user_sessions", {
@@ -20,4 +25,84 @@ export const userSessions = pgTable("user_sessions", {
     .notNull()
     .references(() => usersTable.id),
   createdAt: timestamp().defaultNow().notNull(),
+  lastSeenAt: timestamp().defaultNow().notNull(),
+  userAgent: text(),
+  ip: varchar({ length: 45 }),
 });
+
+// Role-based access control: users have roles, roles grant permissions.
+export const rolesTable = pgTable("roles", {
+  id: uuid().primaryKey().defaultRandom(),
+  name: varchar({ length: 50 }).notNull().unique(),
+  description: text(),
+});
+
+export const permissionsTable = pgTable("permissions", {
+  id: uuid().primaryKey().defaultRandom(),
+  name: varchar({ length: 100 }).notNull().unique(),
+  description: text(),
+});
+
+export const rolePermissions = pgTable("role_permissions", {
+  roleId: uuid()
+    .notNull()
+    .references(() => rolesTable.id, { onDelete: "cascade" }),
+  permissionId: uuid()
+    .notNull()
+    .references(() => permissionsTable.id, { onDelete: "cascade" }),
+}, (table) => [primaryKey({ columns: [table.roleId, table.permissionId] })]);
+
+export const userRoles = pgTable("user_roles", {
+  userId: uuid()
+    .notNull()
+    .references(() => usersTable.id, { onDelete: "cascade" }),
+  roleId: uuid()
+    .notNull()
+    .references(() => rolesTable.id, { onDelete: "cascade" }),
+  grantedAt: timestamp().defaultNow().notNull(),
+}, (table) => [primaryKey({ columns: [table.userId, table.roleId] })]);
+
+// Single-use tokens mailed to the user (password reset, email verification).
+// Only a SHA-256 hash is stored, so a database leak doesn't leak usable tokens.
+export const userTokens = pgTable("user_tokens", {
+  id: uuid().primaryKey().defaultRandom(),
+  userId: uuid()
+    .notNull()
+    .references(() => usersTable.id, { onDelete: "cascade" }),
+  purpose: varchar({ length: 32 }).notNull(),
+  tokenHash: text().notNull().unique(),
+  expiresAt: timestamp().notNull(),
+  usedAt: timestamp(),
+  createdAt: timestamp().defaultNow().notNull(),
+}, (table) => [index("user_tokens_user_purpose_idx").on(table.userId, table.purpose)]);
+
+// Counters for the Postgres rate-limit store (services/rate-limit.store.js).
+export const rateLimits = pgTable("rate_limits", {
+  key: varchar({ length: 255 }).primaryKey(),
+  count: integer().notNull(),
+  resetAt: timestamp().notNull(),
+  blockedUntil: timestamp(),
+});
+
+// Refresh tokens for token mode. Every refresh replaces the token with a new
+// one of the same family; presenting a used token again revokes the family.
+// Only a SHA-256 hash is stored, like userTokens.
+export const refreshTokens = pgTable("refresh_tokens", {
+  id: uuid().primaryKey().defaultRandom(),
+  userId: uuid()
+    .notNull()
+    .references(() => usersTable.id, { onDelete: "cascade" }),
+  familyId: uuid().notNull(),
+  tokenHash: text().notNull().unique(),
+  expiresAt: timestamp().notNull(),
+  // Set when the token is exchanged for a new one
+  usedAt: timestamp(),
+  // Set on logout or when reuse is detected
+  revokedAt: timestamp(),
+  createdAt: timestamp().defaultNow().notNull(),
+  userAgent: text(),
+  ip: varchar({ length: 45 }),
+}, (table) => [
+  index("refresh_tokens_family_idx").on(table.familyId),
+  index("refresh_tokens_user_idx").on(table.userId),
+]);
@@ -0,0 +1,3 @@
+ALTER TABLE "user_sessions" ADD COLUMN "lastSeenAt" timestamp DEFAULT now() NOT NULL;--> statement-breakpoint
+ALTER TABLE "user_sessions" ADD COLUMN "userAgent" text;--> statement-breakpoint
+ALTER TABLE "user_sessions" ADD COLUMN "ip" varchar(45);
\ No newline at end of file
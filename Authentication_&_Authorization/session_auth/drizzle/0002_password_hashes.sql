@@ -0,0 +1,2 @@
+-- scrypt hashes carry their own salt, so the column is only set for legacy HMAC hashes
+ALTER TABLE "users" ALTER COLUMN "salt" DROP NOT NULL;
\ No newline at end of file
@@ -0,0 +1,23 @@
+-- Default roles and permissions. Grant roles with `npm run grant-role` or the /admin routes.
+INSERT INTO "roles" ("name", "description") VALUES
+	('admin', 'Full access, including role management'),
+	('editor', 'Can read and change content'),
+	('viewer', 'Read-only access (given to every new user)')
+ON CONFLICT ("name") DO NOTHING;
+--> statement-breakpoint
+INSERT INTO "permissions" ("name", "description") VALUES
+	('content:read', 'Read content'),
+	('content:write', 'Create and update content'),
+	('content:delete', 'Delete content'),
+	('users:read', 'List users and their roles'),
+	('roles:manage', 'Grant and revoke roles')
+ON CONFLICT ("name") DO NOTHING;
+--> statement-breakpoint
+INSERT INTO "role_permissions" ("roleId", "permissionId")
+SELECT r."id", p."id"
+FROM "roles" r
+JOIN "permissions" p ON
+	r."name" = 'admin'
+	OR (r."name" = 'editor' AND p."name" IN ('content:read', 'content:write', 'content:delete'))
+	OR (r."name" = 'viewer' AND p."name" = 'content:read')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,14 @@
+CREATE TABLE "user_tokens" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"userId" uuid NOT NULL,
+	"purpose" varchar(32) NOT NULL,
+	"tokenHash" text NOT NULL,
+	"expiresAt" timestamp NOT NULL,
+	"usedAt" timestamp,
+	"createdAt" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "user_tokens_tokenHash_unique" UNIQUE("tokenHash")
+);
+--> statement-breakpoint
+ALTER TABLE "users" ADD COLUMN "verified" boolean DEFAULT false NOT NULL;--> statement-breakpoint
+ALTER TABLE "user_tokens" ADD CONSTRAINT "user_tokens_userId_users_id_fk" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "user_tokens_user_purpose_idx" ON "user_tokens" USING btree ("userId","purpose");
\ No newline at end of file
@@ -0,0 +1,6 @@
+CREATE TABLE "rate_limits" (
+	"key" varchar(255) PRIMARY KEY NOT NULL,
+	"count" integer NOT NULL,
+	"resetAt" timestamp NOT NULL,
+	"blockedUntil" timestamp
+);
@@ -0,0 +1,17 @@
+CREATE TABLE "refresh_tokens" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"userId" uuid NOT NULL,
+	"familyId" uuid NOT NULL,
+	"tokenHash" text NOT NULL,
+	"expiresAt" timestamp NOT NULL,
+	"usedAt" timestamp,
+	"revokedAt" timestamp,
+	"createdAt" timestamp DEFAULT now() NOT NULL,
+	"userAgent" text,
+	"ip" varchar(45),
+	CONSTRAINT "refresh_tokens_tokenHash_unique" UNIQUE("tokenHash")
+);
+--> statement-breakpoint
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_userId_users_id_fk" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "refresh_tokens_family_idx" ON "refresh_tokens" USING btree ("familyId");--> statement-breakpoint
+CREATE INDEX "refresh_tokens_user_idx" ON "refresh_tokens" USING btree ("userId");
\ No newline at end of file
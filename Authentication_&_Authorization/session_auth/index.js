@@ -1,38 +1,34 @@
 import express from 'express';
 import router from './routes/user.routes.js';
-import db from './db/index.js';
-import { userSessions, usersTable } from './db/schema.js';
-import { eq } from 'drizzle-orm';
+import adminRouter from './routes/admin.routes.js';
+import { loadSession } from './middlewares/session.middleware.js';
+import { loadAccessToken } from './middlewares/token.middleware.js';
+import { csrfProtection } from './middlewares/csrf.middleware.js';
+import { ensureAuthenticated } from './middlewares/auth.middleware.js';
+import { errorHandler } from './middlewares/error.middleware.js';
+import { startSessionSweeper } from './services/session.service.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 app.use(express.json());
 
-app.use('/user', router);
-
-app.use('/', async (req, res, next) => {
-  const sessionId = req.headers['session-id'];
-  if (!sessionId) {
-    return res.status(401).json({ error: 'No session ID provided' });
-  }
+// Sets req.user for every request that carries a valid access token, session header or cookie
+app.use(loadAccessToken);
+app.use(loadSession);
+// Cookie sessions must send the CSRF token on state-changing requests
+app.use(csrfProtection);
 
-  const [session] = await db
-    .select({ id: userSessions.id, userId: userSessions.userId, name: usersTable.name, email: usersTable.email })
-    .from(userSessions)
-    .innerJoin(usersTable, eq(userSessions.userId, usersTable.id))
-    .where(eq(userSessions.id, sessionId));
-
-  if (!session) {
-    return res.status(401).json({ error: 'Invalid session ID' });
-  }
-  req.user = session;
-  next();
-});
+app.use('/user', router);
+app.use('/admin', ensureAuthenticated, adminRouter);
 
-app.get('/', (req, res) => {
+app.get('/', ensureAuthenticated, (req, res) => {
   res.send('Hello, World!');
 });
 
+app.use(errorHandler);
+
+startSessionSweeper();
+
 app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
 });
@@ -9,4 +9,26 @@ export const ensureAuthenticated = async function (req, res, next) {
   next();
 };
 
+// Allows the request when the user has at least one of the given roles.
+// Roles come from req.user, loaded together with the session.
+export const requireRole = (...roles) => function (req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'You must be authenticated' });
+  }
+  if (!roles.some((role) => req.user.roles?.includes(role))) {
+    return res.status(403).json({ error: `Requires one of the roles: ${roles.join(', ')}` });
+  }
+  next();
+};
 
+// Allows the request only when the user has every one of the given permissions.
+export const requirePermission = (...permissions) => function (req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'You must be authenticated' });
+  }
+  const missing = permissions.filter((permission) => !req.user.permissions?.includes(permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ error: `Missing permission: ${missing.join(', ')}` });
+  }
+  next();
+};
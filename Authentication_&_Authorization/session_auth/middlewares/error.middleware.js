@@ -0,0 +1,18 @@
+// Express 4 doesn't catch rejected promises, so forward them to the error handler
+export const handle = (fn) => (req, res, next) => fn(req, res, next).catch(next);
+
+// Last middleware: answers errors that reached next(error) in the same
+// { error } shape as the routes. Client errors raised by Express itself (bad
+// JSON, body too large) keep their status; anything else is a 500 whose
+// details stay in the log.
+export const errorHandler = function (error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  const status = error.status ?? error.statusCode;
+  if (status >= 400 && status < 500 && error.expose) {
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
@@ -0,0 +1,49 @@
+import { MemoryStore, bruteForceProtection, createBruteForceGuard, rateLimit } from '../../../shared/rate-limit.js';
+import { PostgresRateLimitStore } from '../services/rate-limit.store.js';
+import { rateLimitConfig } from '../config.js';
+
+const stores = {
+  memory: () => new MemoryStore(),
+  postgres: () => new PostgresRateLimitStore(),
+};
+
+if (!stores[rateLimitConfig.store]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${rateLimitConfig.store}". Use one of: ${Object.keys(stores).join(', ')}`);
+}
+const store = stores[rateLimitConfig.store]();
+
+const { accountLockoutThreshold, ipLockoutThreshold, ...backoff } = rateLimitConfig.login;
+
+// An IP may try many accounts, so it gets a higher threshold than one account
+const ipGuard = createBruteForceGuard({ store, prefix: 'login:ip', ...backoff, lockoutThreshold: ipLockoutThreshold });
+const accountGuard = createBruteForceGuard({ store, prefix: 'login:account', ...backoff, lockoutThreshold: accountLockoutThreshold });
+
+const accountKey = (req) => typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+
+// Counts every login as a failed attempt of the IP and the account until the
+// password checks out, and answers 429 + Retry-After while either is backing
+// off / locked
+export const loginProtection = bruteForceProtection((req) => [
+  [ipGuard, req.ip],
+  [accountGuard, accountKey(req)],
+]);
+
+// The account is cleared, but the IP only gets this attempt back: logging
+// into your own account must not reset the counter of an IP that is
+// guessing other people's passwords
+export const recordLoginSuccess = async (req) => {
+  await ipGuard.forgive(req.ip);
+  const key = accountKey(req);
+  if (key) {
+    await accountGuard.succeed(key);
+  }
+};
+
+// Stops mail bombing through the forgot-password and resend endpoints
+export const mailRateLimit = rateLimit({
+  store,
+  prefix: 'mail',
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.ip,
+});
@@ -0,0 +1,77 @@
+import { findSession, isSessionExpired, revokeSession, touchSession } from '../services/session.service.js';
+import { clearSessionCookies, parseCookies, unsign } from '../services/cookie.service.js';
+import { cookieConfig } from '../config.js';
+
+// The `session-id` header (API clients) wins over the signed cookie (browsers).
+const readSessionId = (req) => {
+  if (req.headers['session-id']) {
+    return { sessionId: req.headers['session-id'], source: 'header' };
+  }
+  const cookie = parseCookies(req.headers.cookie)[cookieConfig.name];
+  if (cookie) {
+    return { sessionId: unsign(cookie), source: 'cookie' };
+  }
+  return { sessionId: null, source: null };
+};
+
+// Resolves the session header or cookie into req.user / req.session.
+// Requests without a session pass through; ensureAuthenticated rejects them
+// on the routes that need a user.
+export const loadSession = async function (req, res, next) {
+  // Already authenticated by an access token (loadAccessToken)
+  if (req.user) {
+    return next();
+  }
+  let source = null;
+
+  // A browser keeps sending a dead cookie, so drop it and carry on
+  // anonymously instead of failing every request (login included).
+  const reject = (error) => {
+    if (source === 'cookie') {
+      clearSessionCookies(res);
+      return next();
+    }
+    return res.status(401).json({ error });
+  };
+
+  try {
+    const read = readSessionId(req);
+    source = read.source;
+    if (!source) {
+      return next();
+    }
+    const { sessionId } = read;
+    if (!sessionId) {
+      return reject('Invalid session ID');
+    }
+
+    const session = await findSession(sessionId);
+    if (!session) {
+      return reject('Invalid session ID');
+    }
+
+    if (isSessionExpired(session)) {
+      await revokeSession(session.id);
+      return reject('Session expired');
+    }
+
+    await touchSession(session);
+
+    req.sessionSource = source;
+    req.session = { id: session.id, createdAt: session.createdAt, lastSeenAt: session.lastSeenAt };
+    req.user = {
+      id: session.userId,
+      name: session.name,
+      email: session.email,
+      roles: session.roles,
+      permissions: session.permissions,
+    };
+    next();
+  } catch (error) {
+    // Not a uuid (22P02), so it can't be one of our sessions
+    if (error.cause?.code === '22P02') {
+      return reject('Invalid session ID');
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,29 @@
+import { verifyJwt } from '../services/jwt.service.js';
+
+const BEARER = /^Bearer\s+(\S+)$/i;
+
+// Token mode: verifies `Authorization: Bearer <access token>` and sets
+// req.user exactly like loadSession does, without touching the database.
+// A bad or expired token is a 401 so the client knows to refresh it.
+export const loadAccessToken = function (req, res, next) {
+  const header = req.get('authorization');
+  if (!header) {
+    return next();
+  }
+  const match = BEARER.exec(header);
+  const claims = match && verifyJwt(match[1]);
+  if (!claims) {
+    return res.status(401).json({ error: 'Invalid or expired access token' });
+  }
+
+  req.sessionSource = 'token';
+  req.token = { familyId: claims.fid, expiresAt: new Date(claims.exp * 1000) };
+  req.user = {
+    id: claims.sub,
+    name: claims.name,
+    email: claims.email,
+    roles: claims.roles,
+    permissions: claims.permissions,
+  };
+  next();
+};
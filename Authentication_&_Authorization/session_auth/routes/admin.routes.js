@@ -0,0 +1,77 @@
+import express from 'express';
+import db from '../db/index.js';
+import { usersTable } from '../db/schema.js';
+import { eq } from 'drizzle-orm';
+import { requirePermission } from '../middlewares/auth.middleware.js';
+import { handle } from '../middlewares/error.middleware.js';
+import { countUsersWithRole, getUserRoles, grantRole, listRoles, revokeRole, RoleNotFoundError } from '../services/role.service.js';
+
+const router = express.Router();
+
+// Looks up the :userId route param, answering 404 for unknown users
+const findUser = async (req, res) => {
+    try {
+        const [user] = await db.select({ id: usersTable.id, email: usersTable.email }).from(usersTable).where(eq(usersTable.id, req.params.userId));
+        if (user) {
+            return user;
+        }
+    } catch (error) {
+        // not a uuid (22P02) means no such user
+        if (error.cause?.code !== '22P02') {
+            throw error;
+        }
+    }
+    res.status(404).json({ error: 'User not found' });
+};
+
+router.get('/roles', requirePermission('users:read'), handle(async (req, res) => {
+    return res.json({ roles: await listRoles() });
+}));
+
+router.get('/users/:userId/roles', requirePermission('users:read'), handle(async (req, res) => {
+    const user = await findUser(req, res);
+    if (!user) return;
+    return res.json({ userId: user.id, roles: await getUserRoles(user.id) });
+}));
+
+router.post('/users/:userId/roles', requirePermission('roles:manage'), handle(async (req, res) => {
+    const { role } = req.body;
+    if (!role) {
+        return res.status(400).json({ error: 'role is required' });
+    }
+    const user = await findUser(req, res);
+    if (!user) return;
+    try {
+        await grantRole(user.id, role);
+    } catch (error) {
+        if (error instanceof RoleNotFoundError) {
+            return res.status(400).json({ error: error.message });
+        }
+        throw error;
+    }
+    return res.status(201).json({ message: `Role ${role} granted`, roles: await getUserRoles(user.id) });
+}));
+
+router.delete('/users/:userId/roles/:role', requirePermission('roles:manage'), handle(async (req, res) => {
+    const { role } = req.params;
+    const user = await findUser(req, res);
+    if (!user) return;
+    // Never lock everyone out of role management
+    if (role === 'admin' && (await getUserRoles(user.id)).includes('admin') && await countUsersWithRole('admin') === 1) {
+        return res.status(409).json({ error: 'Cannot revoke the role from the last admin' });
+    }
+    try {
+        const removed = await revokeRole(user.id, role);
+        if (!removed) {
+            return res.status(404).json({ error: `User does not have the role ${role}` });
+        }
+    } catch (error) {
+        if (error instanceof RoleNotFoundError) {
+            return res.status(400).json({ error: error.message });
+        }
+        throw error;
+    }
+    return res.json({ message: `Role ${role} revoked`, roles: await getUserRoles(user.id) });
+}));
+
+export default router;
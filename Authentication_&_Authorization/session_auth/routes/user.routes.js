@@ -1,70 +1,216 @@
 import express from 'express';
 import db from '../db/index.js';
-import { usersTable, userSessions } from '../db/schema.js';
+import { usersTable } from '../db/schema.js';
 import { eq } from 'drizzle-orm';
-import { randomBytes, createHmac } from 'node:crypto';
+import { checkPasswordPolicy, hashPassword, verifyPassword } from '../services/password.service.js';
 import { ensureAuthenticated } from '../middlewares/auth.middleware.js';
+import { DEFAULT_ROLE, grantRole } from '../services/role.service.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../services/account.service.js';
+import { consumeToken, TOKEN_PURPOSE } from '../services/token.service.js';
+import { accountConfig, cookieConfig } from '../config.js';
+import { clearSessionCookies, csrfTokenFor, setSessionCookies } from '../services/cookie.service.js';
+import { loginProtection, mailRateLimit, recordLoginSuccess } from '../middlewares/rate-limit.middleware.js';
+import { createSession, listActiveSessions, revokeAllSessions, revokeSession } from '../services/session.service.js';
+import { handle } from '../middlewares/error.middleware.js';
+import { InvalidRefreshTokenError, issueTokens, revokeAllRefreshTokens, revokeTokenFamily, rotateRefreshToken } from '../services/auth-token.service.js';
 
 const router = express.Router();
 
-router.patch('/', ensureAuthenticated, async (req, res) => {
+router.patch('/', ensureAuthenticated, handle(async (req, res) => {
   const { name } = req.body;
-  await db.update(usersTable).set({ name }).where(eq(usersTable.id, user.id));
+  await db.update(usersTable).set({ name }).where(eq(usersTable.id, req.user.id));
 
   return res.json({ status: 'success' });
-});
+}));
 
-router.get('/', ensureAuthenticated, async (req, res) => {
-  return res.json({ user });
-});
+router.get('/', ensureAuthenticated, handle(async (req, res) => {
+  return res.json({ user: req.user });
+}));
+
+// Ends the session used for this request. In token mode the refresh tokens
+// of this login are revoked; the access token itself expires on its own.
+router.post('/logout', ensureAuthenticated, handle(async (req, res) => {
+  if (req.sessionSource === 'token') {
+    await revokeTokenFamily(req.token.familyId);
+    return res.json({ message: 'Logged out successfully' });
+  }
+  await revokeSession(req.session.id);
+  if (req.sessionSource === 'cookie') {
+    clearSessionCookies(res);
+  }
+  return res.json({ message: 'Logged out successfully' });
+}));
+
+// Ends every session of the user, on all devices
+router.post('/logout-all', ensureAuthenticated, handle(async (req, res) => {
+  const revoked = await revokeAllSessions(req.user.id) + await revokeAllRefreshTokens(req.user.id);
+  if (req.sessionSource === 'cookie') {
+    clearSessionCookies(res);
+  }
+  return res.json({ message: 'Logged out from all sessions', revoked });
+}));
+
+// Lets a browser page that lost the token (e.g. after a reload) fetch it again
+router.get('/csrf-token', ensureAuthenticated, handle(async (req, res) => {
+  if (!req.session) {
+    return res.status(400).json({ error: 'CSRF tokens are only used with sessions' });
+  }
+  return res.json({ csrfToken: csrfTokenFor(req.session.id) });
+}));
+
+router.get('/sessions', ensureAuthenticated, handle(async (req, res) => {
+  const sessions = await listActiveSessions(req.user.id);
+  return res.json({
+    sessions: sessions.map((session) => ({ ...session, current: session.id === req.session?.id })),
+  });
+}));
 
 
 // Define your user-related routes here
-router.post('/signup', async (req, res) => {
+router.post('/signup', handle(async (req, res) => {
     const { name, email, password } = req.body;
 
+    const passwordProblems = checkPasswordPolicy(password);
+    if(passwordProblems.length > 0){
+        return res.status(400).json({ error: 'Password does not meet the policy', details: passwordProblems });
+    }
+
     const [existingUser] = await db.select({email: usersTable.email}).from(usersTable).where((table) => eq(table.email, email))
     if(existingUser){
         return res.status(400).json({error: `User with email ${email} already exists`});
     }
 
-    const salt = randomBytes(256).toString('hex');
-    // Hash the password before storing
-    const hashedPassword = createHmac('sha256', salt)
-        .update(password)
-        .digest('hex');
+    // scrypt hash; the salt and cost are stored inside the hash string
+    const hashedPassword = await hashPassword(password);
 
     const [user] = await db.insert(usersTable).values({
         name : name,
         email : email,
         password: hashedPassword,
-        salt: salt,
     }).returning({id: usersTable.id })
+    await grantRole(user.id, DEFAULT_ROLE);
+
+    try {
+        await sendVerificationEmail({ id: user.id, email });
+    } catch (error) {
+        // The account exists either way; the user can ask for a new mail
+        console.error('Failed to send verification email:', error);
+    }
 
     return res.status(201).json({userId: user.id, message: 'User created successfully'});
-});
+}));
 
-router.post('/login', async (req, res) => {
-    const { email, password } = req.body;
+router.post('/login', loginProtection, handle(async (req, res) => {
+    const { email, password, mode = cookieConfig.defaultMode } = req.body;
     if(!email || !password){    
         return res.status(400).json({ error: 'Email and password are required' });
     }
-    const [existingUser] = await db.select({id: usersTable.id, email: usersTable.email, salt: usersTable.salt, password: usersTable.password}).from(usersTable).where((table) => eq(table.email, email));
+    if(!['header', 'cookie', 'token'].includes(mode)){
+        return res.status(400).json({ error: 'mode must be header, cookie or token' });
+    }
+    const [existingUser] = await db.select({id: usersTable.id, email: usersTable.email, salt: usersTable.salt, password: usersTable.password, verified: usersTable.verified}).from(usersTable).where((table) => eq(table.email, email));
+    // A failed login needs no recording: loginProtection counted it already
     if(!existingUser){
         return res.status(400).json({ error: 'User does not exists with the provided email or password' });
     }
     
-    const hashedPassword = createHmac('sha256', existingUser.salt)
-        .update(password)
-        .digest('hex');
-
-    if(hashedPassword !== existingUser.password){
+    const { valid, needsRehash } = await verifyPassword(password, existingUser);
+    if(!valid){
         return res.status(400).json({ error: 'User does not exists with the provided email or password' });
     }
-    const [session] = await db.insert(userSessions).values({
-        userId: existingUser.id,
-    }).returning({id: userSessions.id});
+    // Upgrade legacy HMAC hashes (and outdated scrypt costs) while we know the password
+    if(needsRehash){
+        await db.update(usersTable)
+            .set({ password: await hashPassword(password), salt: null })
+            .where(eq(usersTable.id, existingUser.id));
+    }
+    // The password was right, even if the email still needs verifying
+    await recordLoginSuccess(req);
+    if(accountConfig.requireVerifiedEmail && !existingUser.verified){
+        return res.status(403).json({ error: 'Email address is not verified' });
+    }
+    // Stateless access token + refresh token, no server-side session
+    if(mode === 'token'){
+        const tokens = await issueTokens(existingUser.id, req);
+        return res.status(200).json({ message: 'Login successfully', ...tokens });
+    }
+    const session = await createSession(existingUser.id, req);
+    // Browsers get HttpOnly cookies and never see the session id itself
+    if(mode === 'cookie'){
+        setSessionCookies(res, session.id);
+        return res.status(200).json({ message: 'Login successfully', csrfToken: csrfTokenFor(session.id) });
+    }
     return res.status(200).json({ message: 'Login successfully', sessionId: session.id });
-});
+}));
+
+// Token mode: trades a refresh token for a new access token and a new
+// refresh token. Each refresh token works once.
+router.post('/token/refresh', handle(async (req, res) => {
+    try {
+        const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+        return res.json(tokens);
+    } catch (error) {
+        if(error instanceof InvalidRefreshTokenError){
+            return res.status(401).json({ error: error.message });
+        }
+        throw error;
+    }
+}));
+
+// Same answer whether or not the email exists, so this can't be used to find accounts
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for this email, a reset link has been sent';
+
+router.post('/password/forgot', mailRateLimit, handle(async (req, res) => {
+    const { email } = req.body;
+    if(!email){
+        return res.status(400).json({ error: 'Email is required' });
+    }
+    const [user] = await db.select({ id: usersTable.id, email: usersTable.email }).from(usersTable).where(eq(usersTable.email, email));
+    if(user){
+        await sendPasswordResetEmail(user);
+    }
+    return res.json({ message: FORGOT_PASSWORD_MESSAGE });
+}));
+
+router.post('/password/reset', handle(async (req, res) => {
+    const { token, password } = req.body;
+    const passwordProblems = checkPasswordPolicy(password);
+    if(passwordProblems.length > 0){
+        return res.status(400).json({ error: 'Password does not meet the policy', details: passwordProblems });
+    }
+    const userId = await consumeToken(token, TOKEN_PURPOSE.PASSWORD_RESET);
+    if(!userId){
+        return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+    // Receiving the mail proves the address, so a reset also verifies it
+    await db.update(usersTable)
+        .set({ password: await hashPassword(password), salt: null, verified: true })
+        .where(eq(usersTable.id, userId));
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(userId);
+    await revokeAllRefreshTokens(userId);
+    return res.json({ message: 'Password has been reset. Please log in again' });
+}));
+
+router.post('/verify-email', handle(async (req, res) => {
+    const userId = await consumeToken(req.body.token, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+    if(!userId){
+        return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+    await db.update(usersTable).set({ verified: true }).where(eq(usersTable.id, userId));
+    return res.json({ message: 'Email verified successfully' });
+}));
+
+router.post('/verify-email/resend', mailRateLimit, handle(async (req, res) => {
+    const { email } = req.body;
+    if(!email){
+        return res.status(400).json({ error: 'Email is required' });
+    }
+    const [user] = await db.select({ id: usersTable.id, email: usersTable.email, verified: usersTable.verified }).from(usersTable).where(eq(usersTable.email, email));
+    if(user && !user.verified){
+        await sendVerificationEmail(user);
+    }
+    return res.json({ message: 'If this email needs verification, a new link has been sent' });
+}));
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+// Grants a role to a user from the command line, e.g. to create the first admin:
+//   npm run grant-role -- admin@example.com admin
+import db from '../db/index.js';
+import { usersTable } from '../db/schema.js';
+import { eq } from 'drizzle-orm';
+import { grantRole, getUserRoles } from '../services/role.service.js';
+
+const [email, role] = process.argv.slice(2);
+if (!email || !role) {
+  console.error('Usage: npm run grant-role -- <email> <role>');
+  process.exit(1);
+}
+
+const [user] = await db.select({ id: usersTable.id }).from(usersTable).where(eq(usersTable.email, email));
+if (!user) {
+  console.error(`No user with email ${email}`);
+  process.exit(1);
+}
+
+try {
+  await grantRole(user.id, role);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+console.log(`${email} now has roles: ${(await getUserRoles(user.id)).join(', ')}`);
+process.exit(0);
@@ -0,0 +1,35 @@
+import { accountConfig } from '../config.js';
+import { sendMail } from './mail.service.js';
+import { issueToken, TOKEN_PURPOSE } from './token.service.js';
+
+const hours = (ms) => Math.round(ms / (60 * 60 * 1000));
+
+export const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user.id, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      'Confirm your email address by opening this link:',
+      `${accountConfig.appUrl}/verify-email?token=${token}`,
+      '',
+      `Or send the token to POST /user/verify-email: ${token}`,
+      `The link expires in ${hours(accountConfig.emailVerificationTokenTtlMs)} hour(s).`,
+    ].join('\n'),
+  });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user.id, TOKEN_PURPOSE.PASSWORD_RESET);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      'Someone asked to reset your password. Open this link to choose a new one:',
+      `${accountConfig.appUrl}/reset-password?token=${token}`,
+      '',
+      `Or send the token to POST /user/password/reset: ${token}`,
+      `The link expires in ${hours(accountConfig.passwordResetTokenTtlMs)} hour(s). If it wasn't you, ignore this email.`,
+    ].join('\n'),
+  });
+};
@@ -0,0 +1,140 @@
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+import db from '../db/index.js';
+import { refreshTokens, usersTable } from '../db/schema.js';
+import { and, eq, isNull } from 'drizzle-orm';
+import { tokenConfig } from '../config.js';
+import { signJwt } from './jwt.service.js';
+import { permissionNamesAggregate, roleNamesAggregate, withRolesAndPermissions } from './role.service.js';
+
+export class InvalidRefreshTokenError extends Error {
+  constructor(message, { reuseDetected = false } = {}) {
+    super(message);
+    this.name = 'InvalidRefreshTokenError';
+    this.reuseDetected = reuseDetected;
+  }
+}
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// The access token carries what loadSession would read from the database, so
+// verifying it needs no query. Role changes show up at the next refresh.
+const accessTokenClaims = async (userId, familyId) => {
+  const [user] = await withRolesAndPermissions(
+    db
+      .select({
+        id: usersTable.id,
+        name: usersTable.name,
+        email: usersTable.email,
+        roles: roleNamesAggregate,
+        permissions: permissionNamesAggregate,
+      })
+      .from(usersTable)
+  )
+    .where(eq(usersTable.id, userId))
+    .groupBy(usersTable.id);
+  if (!user) {
+    return null;
+  }
+  return {
+    sub: user.id,
+    name: user.name,
+    email: user.email,
+    roles: user.roles,
+    permissions: user.permissions,
+    // Lets logout revoke the refresh tokens behind this access token
+    fid: familyId,
+  };
+};
+
+const insertRefreshToken = async (executor, userId, familyId, req) => {
+  const token = randomBytes(32).toString('base64url');
+  await executor.insert(refreshTokens).values({
+    userId,
+    familyId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + tokenConfig.refreshTokenTtlMs),
+    userAgent: req.get('user-agent') ?? null,
+    ip: req.ip ?? null,
+  });
+  return token;
+};
+
+const tokenResponse = (claims, refreshToken) => ({
+  accessToken: signJwt(claims),
+  refreshToken,
+  tokenType: 'Bearer',
+  expiresIn: Math.floor(tokenConfig.accessTokenTtlMs / 1000),
+});
+
+// Starts a new token family (one per login) and returns the first pair.
+export const issueTokens = async (userId, req) => {
+  const familyId = randomUUID();
+  const refreshToken = await insertRefreshToken(db, userId, familyId, req);
+  return tokenResponse(await accessTokenClaims(userId, familyId), refreshToken);
+};
+
+export const revokeTokenFamily = async (familyId) => {
+  await db
+    .update(refreshTokens)
+    .set({ revokedAt: new Date() })
+    .where(and(eq(refreshTokens.familyId, familyId), isNull(refreshTokens.revokedAt)));
+};
+
+export const revokeAllRefreshTokens = async (userId) => {
+  const revoked = await db
+    .update(refreshTokens)
+    .set({ revokedAt: new Date() })
+    .where(and(eq(refreshTokens.userId, userId), isNull(refreshTokens.revokedAt)))
+    .returning({ id: refreshTokens.id });
+  return revoked.length;
+};
+
+// Exchanges a refresh token for a new pair. The old token is marked used, so
+// it works exactly once. A used token coming back means it was copied: the
+// thief or the owner already moved on with a newer one and we can't tell
+// which is which, so the whole family is revoked and both must log in again.
+export const rotateRefreshToken = async (token, req) => {
+  if (typeof token !== 'string' || token.length === 0) {
+    throw new InvalidRefreshTokenError('Refresh token is required');
+  }
+  const [stored] = await db
+    .select()
+    .from(refreshTokens)
+    .where(eq(refreshTokens.tokenHash, hashToken(token)));
+  if (!stored || stored.revokedAt || stored.expiresAt.getTime() <= Date.now()) {
+    throw new InvalidRefreshTokenError('Invalid or expired refresh token');
+  }
+
+  const reused = () => new InvalidRefreshTokenError(
+    'Refresh token was already used; all tokens of this login have been revoked',
+    { reuseDetected: true },
+  );
+  if (stored.usedAt) {
+    await revokeTokenFamily(stored.familyId);
+    throw reused();
+  }
+
+  // The conditional UPDATE makes two concurrent refreshes with the same
+  // token race for it: only one wins, the other counts as reuse.
+  const refreshToken = await db.transaction(async (tx) => {
+    const [claimed] = await tx
+      .update(refreshTokens)
+      .set({ usedAt: new Date() })
+      .where(and(eq(refreshTokens.id, stored.id), isNull(refreshTokens.usedAt), isNull(refreshTokens.revokedAt)))
+      .returning({ id: refreshTokens.id });
+    if (!claimed) {
+      return null;
+    }
+    return insertRefreshToken(tx, stored.userId, stored.familyId, req);
+  });
+  if (!refreshToken) {
+    await revokeTokenFamily(stored.familyId);
+    throw reused();
+  }
+
+  const claims = await accessTokenClaims(stored.userId, stored.familyId);
+  if (!claims) {
+    throw new InvalidRefreshTokenError('Invalid or expired refresh token');
+  }
+  return tokenResponse(claims, refreshToken);
+};
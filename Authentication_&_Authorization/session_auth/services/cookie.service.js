@@ -0,0 +1,80 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { cookieConfig, sessionConfig } from '../config.js';
+
+const secret = cookieConfig.secret || randomBytes(32).toString('hex');
+if (!cookieConfig.secret) {
+  console.warn('COOKIE_SECRET is not set; using a random one. Cookies will not survive a restart.');
+}
+
+const hmac = (value) => createHmac('sha256', secret).update(value).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+};
+
+// Parses the Cookie header into a { name: value } object. Cookies whose value
+// isn't valid percent-encoding are skipped: the header is client input.
+export const parseCookies = (header = '') => Object.fromEntries(
+  header
+    .split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .flatMap((part) => {
+      const index = part.indexOf('=');
+      if (index === -1) {
+        return [[part, '']];
+      }
+      const value = decode(part.slice(index + 1));
+      return value === null ? [] : [[part.slice(0, index), value]];
+    })
+);
+
+// "<value>.<signature>", so a client can't forge another session id
+export const sign = (value) => `${value}.${hmac(value)}`;
+
+// Returns the original value, or null when the signature doesn't match.
+export const unsign = (signed) => {
+  const index = signed.lastIndexOf('.');
+  if (index === -1) {
+    return null;
+  }
+  const value = signed.slice(0, index);
+  return safeEqual(signed.slice(index + 1), hmac(value)) ? value : null;
+};
+
+// CSRF token bound to the session: HMAC of the session id. Nothing to store,
+// and a token stolen from one session is useless for another.
+export const csrfTokenFor = (sessionId) => hmac(`csrf:${sessionId}`);
+
+export const isValidCsrfToken = (sessionId, token) =>
+  typeof token === 'string' && safeEqual(token, csrfTokenFor(sessionId));
+
+const baseCookieOptions = () => ({
+  secure: cookieConfig.secure,
+  sameSite: cookieConfig.sameSite,
+  path: '/',
+});
+
+// The session cookie is HttpOnly so page scripts (and XSS) can't read it. The
+// CSRF cookie is readable on purpose: the page copies it into the
+// X-CSRF-Token header (double submit).
+export const setSessionCookies = (res, sessionId) => {
+  const maxAge = sessionConfig.absoluteTimeoutMs;
+  res.cookie(cookieConfig.name, sign(sessionId), { ...baseCookieOptions(), httpOnly: true, maxAge });
+  res.cookie(cookieConfig.csrfCookieName, csrfTokenFor(sessionId), { ...baseCookieOptions(), httpOnly: false, maxAge });
+};
+
+export const clearSessionCookies = (res) => {
+  res.clearCookie(cookieConfig.name, { ...baseCookieOptions(), httpOnly: true });
+  res.clearCookie(cookieConfig.csrfCookieName, baseCookieOptions());
+};
@@ -0,0 +1,87 @@
+import { createHmac, createPrivateKey, createPublicKey, generateKeyPairSync, randomBytes, sign, timingSafeEqual, verify } from 'node:crypto';
+import { tokenConfig } from '../config.js';
+
+// Minimal JWT (RFC 7519) support for the two algorithms we issue. Only the
+// configured algorithm is accepted, so a token can't pick a weaker one
+// ("alg": "none", or HS256 signed with the public key).
+const ALGORITHMS = {
+  HS256: () => {
+    const secret = tokenConfig.secret || randomBytes(32).toString('hex');
+    if (!tokenConfig.secret) {
+      console.warn('JWT_SECRET is not set; using a random one. Access tokens will not survive a restart.');
+    }
+    const hmac = (data) => createHmac('sha256', secret).update(data).digest();
+    return {
+      sign: hmac,
+      verify: (data, signature) => {
+        const expected = hmac(data);
+        return signature.length === expected.length && timingSafeEqual(signature, expected);
+      },
+    };
+  },
+  EdDSA: () => {
+    let privateKey = tokenConfig.privateKey && createPrivateKey(tokenConfig.privateKey);
+    let publicKey = tokenConfig.publicKey
+      ? createPublicKey(tokenConfig.publicKey)
+      : privateKey && createPublicKey(privateKey);
+    if (!privateKey && !publicKey) {
+      console.warn('JWT_PRIVATE_KEY is not set; using a random Ed25519 key pair. Access tokens will not survive a restart.');
+      ({ privateKey, publicKey } = generateKeyPairSync('ed25519'));
+    }
+    return {
+      sign: (data) => {
+        if (!privateKey) {
+          throw new Error('JWT_PRIVATE_KEY is required to issue EdDSA tokens');
+        }
+        return sign(null, data, privateKey);
+      },
+      verify: (data, signature) => verify(null, data, publicKey, signature),
+    };
+  },
+};
+
+if (!ALGORITHMS[tokenConfig.algorithm]) {
+  throw new Error(`Unsupported JWT_ALGORITHM ${tokenConfig.algorithm}. Use HS256 or EdDSA.`);
+}
+const algorithm = ALGORITHMS[tokenConfig.algorithm]();
+
+const encode = (object) => Buffer.from(JSON.stringify(object)).toString('base64url');
+
+const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf-8'));
+
+// Signs `claims` and adds iss, iat and exp. Returns the compact JWT.
+export const signJwt = (claims, ttlMs = tokenConfig.accessTokenTtlMs) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: tokenConfig.algorithm, typ: 'JWT' });
+  const payload = encode({ ...claims, iss: tokenConfig.issuer, iat: now, exp: now + Math.floor(ttlMs / 1000) });
+  const signature = algorithm.sign(Buffer.from(`${header}.${payload}`)).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+// Returns the claims of a valid, unexpired token, or null.
+export const verifyJwt = (token, now = Date.now()) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  const [header, payload, signature] = parts;
+  try {
+    if (decode(header).alg !== tokenConfig.algorithm) {
+      return null;
+    }
+    if (!algorithm.verify(Buffer.from(`${header}.${payload}`), Buffer.from(signature, 'base64url'))) {
+      return null;
+    }
+    const claims = decode(payload);
+    if (claims.iss !== tokenConfig.issuer || typeof claims.exp !== 'number' || claims.exp * 1000 <= now) {
+      return null;
+    }
+    return claims;
+  } catch {
+    // Not base64url JSON
+    return null;
+  }
+};
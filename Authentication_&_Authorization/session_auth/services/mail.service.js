@@ -0,0 +1,47 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { mailConfig } from '../config.js';
+
+// A mail transport is any object with `async send({ from, to, subject, text })`.
+// The two below need no mail server; plug a real one (SMTP, SES, ...) in with
+// setMailTransport().
+
+// Prints messages to the terminal. Handy while developing.
+export const createConsoleTransport = () => ({
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+// Writes each message as a JSON file, so tests and scripts can read the
+// latest mail (and the token in it) back from disk.
+export const createFileTransport = (dir = mailConfig.outboxDir) => ({
+  async send(message) {
+    await mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${randomUUID()}.json`);
+    await writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+  },
+});
+
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+const createConfiguredTransport = () => {
+  const create = transports[mailConfig.transport];
+  if (!create) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${mailConfig.transport}". Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+  return create();
+};
+
+let transport = createConfiguredTransport();
+
+export const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+export const sendMail = ({ to, subject, text }) =>
+  transport.send({ from: mailConfig.from, to, subject, text });
@@ -0,0 +1,55 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { hashPassword as hashWithScrypt, isHash, verifyHash } from '../../../shared/password-hash.js';
+import { passwordConfig } from '../config.js';
+
+// Hashes are scrypt strings in the format of shared/password-hash.js:
+//   $scrypt$N=16384,r=8,p=1$<salt base64>$<hash base64>
+export const hashPassword = (password) => hashWithScrypt(password, passwordConfig.scrypt);
+
+// Passwords created before scrypt: hex HMAC-SHA256 keyed with the per-user salt.
+const verifyLegacyHmac = (password, stored, salt) => {
+  if (!salt) {
+    return false;
+  }
+  const candidate = createHmac('sha256', salt).update(password).digest();
+  const expected = Buffer.from(stored, 'hex');
+  return candidate.length === expected.length && timingSafeEqual(candidate, expected);
+};
+
+// Checks a password against the stored hash (and the legacy `salt` column for
+// old HMAC hashes). `needsRehash` is true when the hash should be replaced by
+// one made with the current algorithm and cost.
+export const verifyPassword = async (password, { password: stored, salt }) => {
+  if (!isHash(stored)) {
+    return { valid: verifyLegacyHmac(password, stored, salt), needsRehash: true };
+  }
+  return verifyHash(password, stored, passwordConfig.scrypt);
+};
+
+// Returns the list of policy rules the password breaks (empty when it's fine).
+export const checkPasswordPolicy = (password) => {
+  const policy = passwordConfig.policy;
+  const problems = [];
+  if (typeof password !== 'string') {
+    return ['Password is required'];
+  }
+  if (password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (password.length > policy.maxLength) {
+    problems.push(`Password must be at most ${policy.maxLength} characters long`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    problems.push('Password must contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+  return problems;
+};
@@ -0,0 +1,99 @@
+import db from '../db/index.js';
+import { rateLimits } from '../db/schema.js';
+import { and, eq, lte, or, isNull, sql } from 'drizzle-orm';
+
+const toRecord = (row) => ({
+  count: row.count,
+  resetAt: row.resetAt.getTime(),
+  blockedUntil: row.blockedUntil?.getTime() ?? null,
+});
+
+// Rate-limit store (see shared/rate-limit.js) backed by the rate_limits table,
+// so counters survive restarts and are shared by every app process.
+// Raw SQL gets ISO strings because timestamp columns hold UTC, like drizzle writes them.
+export class PostgresRateLimitStore {
+  constructor({ pruneIntervalMs = 5 * 60 * 1000 } = {}) {
+    this.pruneTimer = setInterval(() => this.prune().catch((error) => {
+      console.error('Rate limit prune failed:', error);
+    }), pruneIntervalMs);
+    this.pruneTimer.unref();
+  }
+
+  // Single upsert, so concurrent requests can't lose increments
+  async increment(key, windowMs) {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + windowMs);
+    const windowOver = sql`${rateLimits.resetAt} <= ${now.toISOString()}`;
+    const [row] = await db
+      .insert(rateLimits)
+      .values({ key, count: 1, resetAt })
+      .onConflictDoUpdate({
+        target: rateLimits.key,
+        set: {
+          count: sql`case when ${windowOver} then 1 else ${rateLimits.count} + 1 end`,
+          resetAt: sql`case when ${windowOver} then ${resetAt.toISOString()}::timestamp else ${rateLimits.resetAt} end`,
+        },
+      })
+      .returning();
+    return toRecord(row);
+  }
+
+  // One upsert that leaves a blocked key alone (no row comes back) and
+  // otherwise counts the attempt and sets its block, so parallel attempts
+  // are numbered one by one and none can read the key as unblocked while
+  // another is still about to block it.
+  async hit(key, windowMs, delays) {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + windowMs);
+    const windowOver = sql`${rateLimits.resetAt} <= ${now.toISOString()}`;
+    const count = sql`case when ${windowOver} then 1 else ${rateLimits.count} + 1 end`;
+    const delay = sql`(${`{${delays.join(',')}}`}::integer[])[least(${count}, ${delays.length})]`;
+    const [row] = await db
+      .insert(rateLimits)
+      .values({ key, count: 1, resetAt, blockedUntil: delays[0] > 0 ? new Date(now.getTime() + delays[0]) : null })
+      .onConflictDoUpdate({
+        target: rateLimits.key,
+        set: {
+          count,
+          resetAt: sql`case when ${windowOver} then ${resetAt.toISOString()}::timestamp else ${rateLimits.resetAt} end`,
+          blockedUntil: sql`case when ${delay} > 0 then ${now.toISOString()}::timestamp + ${delay} * interval '1 millisecond' end`,
+        },
+        setWhere: or(isNull(rateLimits.blockedUntil), lte(rateLimits.blockedUntil, now)),
+      })
+      .returning();
+    return row ? toRecord(row) : null;
+  }
+
+  async decrement(key) {
+    await db
+      .update(rateLimits)
+      .set({ count: sql`greatest(${rateLimits.count} - 1, 0)`, blockedUntil: null })
+      .where(eq(rateLimits.key, key));
+  }
+
+  async get(key) {
+    const [row] = await db.select().from(rateLimits).where(eq(rateLimits.key, key));
+    if (!row) {
+      return null;
+    }
+    const record = toRecord(row);
+    const now = Date.now();
+    return record.resetAt <= now && (record.blockedUntil ?? 0) <= now ? null : record;
+  }
+
+  async reset(key) {
+    await db.delete(rateLimits).where(eq(rateLimits.key, key));
+  }
+
+  async prune() {
+    const now = new Date();
+    await db.delete(rateLimits).where(and(
+      lte(rateLimits.resetAt, now),
+      or(isNull(rateLimits.blockedUntil), lte(rateLimits.blockedUntil, now)),
+    ));
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+  }
+}
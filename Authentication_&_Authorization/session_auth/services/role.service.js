@@ -0,0 +1,78 @@
+import db from '../db/index.js';
+import { permissionsTable, rolePermissions, rolesTable, userRoles, usersTable } from '../db/schema.js';
+import { and, eq, sql } from 'drizzle-orm';
+
+// Role given to every new account
+export const DEFAULT_ROLE = 'viewer';
+
+export class RoleNotFoundError extends Error {
+  constructor(role) {
+    super(`Role ${role} does not exist`);
+    this.name = 'RoleNotFoundError';
+  }
+}
+
+const findRole = async (name) => {
+  const [role] = await db.select().from(rolesTable).where(eq(rolesTable.name, name));
+  if (!role) {
+    throw new RoleNotFoundError(name);
+  }
+  return role;
+};
+
+// SQL fragments that aggregate role and permission names into text arrays.
+// Used by the session lookup so authorization checks need no extra query.
+export const roleNamesAggregate = sql`coalesce(array_agg(distinct ${rolesTable.name}) filter (where ${rolesTable.name} is not null), '{}')`;
+export const permissionNamesAggregate = sql`coalesce(array_agg(distinct ${permissionsTable.name}) filter (where ${permissionsTable.name} is not null), '{}')`;
+
+// Left joins from users to their roles and permissions, for use with the
+// aggregates above and a GROUP BY on the user.
+export const withRolesAndPermissions = (query) => query
+  .leftJoin(userRoles, eq(userRoles.userId, usersTable.id))
+  .leftJoin(rolesTable, eq(rolesTable.id, userRoles.roleId))
+  .leftJoin(rolePermissions, eq(rolePermissions.roleId, rolesTable.id))
+  .leftJoin(permissionsTable, eq(permissionsTable.id, rolePermissions.permissionId));
+
+export const listRoles = async () => db
+  .select({
+    name: rolesTable.name,
+    description: rolesTable.description,
+    permissions: permissionNamesAggregate,
+  })
+  .from(rolesTable)
+  .leftJoin(rolePermissions, eq(rolePermissions.roleId, rolesTable.id))
+  .leftJoin(permissionsTable, eq(permissionsTable.id, rolePermissions.permissionId))
+  .groupBy(rolesTable.id)
+  .orderBy(rolesTable.name);
+
+export const getUserRoles = async (userId) => {
+  const rows = await db
+    .select({ name: rolesTable.name })
+    .from(userRoles)
+    .innerJoin(rolesTable, eq(rolesTable.id, userRoles.roleId))
+    .where(eq(userRoles.userId, userId));
+  return rows.map((row) => row.name);
+};
+
+export const grantRole = async (userId, roleName) => {
+  const role = await findRole(roleName);
+  await db.insert(userRoles).values({ userId, roleId: role.id }).onConflictDoNothing();
+};
+
+export const revokeRole = async (userId, roleName) => {
+  const role = await findRole(roleName);
+  const removed = await db
+    .delete(userRoles)
+    .where(and(eq(userRoles.userId, userId), eq(userRoles.roleId, role.id)))
+    .returning({ userId: userRoles.userId });
+  return removed.length > 0;
+};
+
+export const countUsersWithRole = async (roleName) => {
+  const [{ count }] = await db
+    .select({ count: sql`count(*)`.mapWith(Number) })
+    .from(userRoles)
+    .innerJoin(rolesTable, eq(rolesTable.id, userRoles.roleId))
+    .where(eq(rolesTable.name, roleName));
+  return count;
+};
@@ -0,0 +1,106 @@
+import db from '../db/index.js';
+import { userSessions, usersTable } from '../db/schema.js';
+import { and, desc, eq, lte, not, or } from 'drizzle-orm';
+import { expiryCutoffs, isSessionExpired as isExpired, needsTouch } from '../../../shared/session-policy.js';
+import { sessionConfig } from '../config.js';
+import { permissionNamesAggregate, roleNamesAggregate, withRolesAndPermissions } from './role.service.js';
+
+export const createSession = async (userId, req) => {
+  const [session] = await db.insert(userSessions).values({
+    userId,
+    userAgent: req.get('user-agent') ?? null,
+    ip: req.ip ?? null,
+  }).returning({ id: userSessions.id });
+  return session;
+};
+
+// Loads the session with its user, roles and permissions in a single query.
+export const findSession = async (sessionId) => {
+  const [session] = await withRolesAndPermissions(
+    db
+      .select({
+        id: userSessions.id,
+        userId: userSessions.userId,
+        createdAt: userSessions.createdAt,
+        lastSeenAt: userSessions.lastSeenAt,
+        name: usersTable.name,
+        email: usersTable.email,
+        roles: roleNamesAggregate,
+        permissions: permissionNamesAggregate,
+      })
+      .from(userSessions)
+      .innerJoin(usersTable, eq(userSessions.userId, usersTable.id))
+  )
+    .where(eq(userSessions.id, sessionId))
+    .groupBy(userSessions.id, usersTable.id);
+  return session;
+};
+
+export const isSessionExpired = (session, now = Date.now()) => isExpired(session, sessionConfig, now);
+
+// Sliding renewal: pushes the idle deadline forward. Skipped when the session
+// was already touched recently so busy clients don't cause a write per request.
+export const touchSession = async (session, now = Date.now()) => {
+  if (!needsTouch(session, sessionConfig, now)) {
+    return;
+  }
+  await db
+    .update(userSessions)
+    .set({ lastSeenAt: new Date(now) })
+    .where(eq(userSessions.id, session.id));
+};
+
+export const revokeSession = async (sessionId) => {
+  await db.delete(userSessions).where(eq(userSessions.id, sessionId));
+};
+
+export const revokeAllSessions = async (userId) => {
+  const revoked = await db
+    .delete(userSessions)
+    .where(eq(userSessions.userId, userId))
+    .returning({ id: userSessions.id });
+  return revoked.length;
+};
+
+const expiredCondition = (now) => {
+  const { createdBefore, lastSeenBefore } = expiryCutoffs(sessionConfig, now);
+  return or(lte(userSessions.createdAt, createdBefore), lte(userSessions.lastSeenAt, lastSeenBefore));
+};
+
+export const listActiveSessions = async (userId, now = Date.now()) =>
+  db
+    .select({
+      id: userSessions.id,
+      createdAt: userSessions.createdAt,
+      lastSeenAt: userSessions.lastSeenAt,
+      userAgent: userSessions.userAgent,
+      ip: userSessions.ip,
+    })
+    .from(userSessions)
+    .where(and(eq(userSessions.userId, userId), not(expiredCondition(now))))
+    .orderBy(desc(userSessions.lastSeenAt));
+
+export const sweepExpiredSessions = async (now = Date.now()) => {
+  const deleted = await db
+    .delete(userSessions)
+    .where(expiredCondition(now))
+    .returning({ id: userSessions.id });
+  return deleted.length;
+};
+
+// Deletes expired sessions in the background. The timer is unref'd so it
+// never keeps the process alive on its own. Returns a function that stops it.
+export const startSessionSweeper = (intervalMs = sessionConfig.sweepIntervalMs) => {
+  const timer = setInterval(async () => {
+    try {
+      const count = await sweepExpiredSessions();
+      if (count > 0) {
+        console.log(`Session sweeper removed ${count} expired session(s)`);
+      }
+    } catch (error) {
+      console.error('Session sweeper failed:', error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,54 @@
+import { createHash, randomBytes } from 'node:crypto';
+import db from '../db/index.js';
+import { userTokens } from '../db/schema.js';
+import { and, eq, gt, isNull } from 'drizzle-orm';
+import { accountConfig } from '../config.js';
+
+export const TOKEN_PURPOSE = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+};
+
+const TOKEN_TTL = {
+  [TOKEN_PURPOSE.PASSWORD_RESET]: accountConfig.passwordResetTokenTtlMs,
+  [TOKEN_PURPOSE.EMAIL_VERIFICATION]: accountConfig.emailVerificationTokenTtlMs,
+};
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// Creates a new token and returns it in plain text (to be mailed). Only its
+// hash is stored. Older tokens for the same purpose stop working.
+export const issueToken = async (userId, purpose) => {
+  const token = randomBytes(32).toString('base64url');
+  await db.transaction(async (tx) => {
+    await tx.delete(userTokens).where(and(eq(userTokens.userId, userId), eq(userTokens.purpose, purpose)));
+    await tx.insert(userTokens).values({
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + TOKEN_TTL[purpose]),
+    });
+  });
+  return token;
+};
+
+// Marks the token used and returns its userId, or null when the token is
+// unknown, expired or already used. The single UPDATE makes it single-use
+// even when two requests race with the same token.
+export const consumeToken = async (token, purpose) => {
+  if (typeof token !== 'string' || token.length === 0) {
+    return null;
+  }
+  const now = new Date();
+  const [consumed] = await db
+    .update(userTokens)
+    .set({ usedAt: now })
+    .where(and(
+      eq(userTokens.tokenHash, hashToken(token)),
+      eq(userTokens.purpose, purpose),
+      isNull(userTokens.usedAt),
+      gt(userTokens.expiresAt, now),
+    ))
+    .returning({ userId: userTokens.userId });
+  return consumed?.userId ?? null;
+};
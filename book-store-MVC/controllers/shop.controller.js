@@ -0,0 +1,8 @@
+const shop = require('../../01_ORM/shop');
+const { createShopController } = require('../../shared/book-shop');
+
+// getCart, addCartItem, removeCartItem, checkout, getOrders, getOrderById,
+// payOrder, shipOrder and cancelOrder. Carts and orders live in the 01_ORM
+// Postgres tables (see 01_ORM/shop.js); the handlers are shared with
+// express-book-store (see shared/book-shop.js).
+module.exports = createShopController(shop);
@@ -1,17 +1,36 @@
 const express = require('express');
 const app = express();
 const port = 3000;
-const {loggerMiddleware} = require('./middlewares/logger');
+const {loggerMiddleware, captureError} = require('./middlewares/logger');
+const {rateLimit} = require('../shared/rate-limit');
+const {validationErrorHandler} = require('../shared/validate');
+const {errorHandler} = require('../shared/book-catalog');
 const booksRoute = require('./routes/books.routes');
 
 
 // Middlewares
-app.use(express.json());
+// First, so even requests with an unreadable body are logged
 app.use(loggerMiddleware);
+app.use(express.json());
+app.use(rateLimit({ windowMs: 60 * 1000, max: 100 }));
 
 
 // Routes
 app.use('/books', booksRoute);
+// Stock, carts and orders need Postgres transactions, so the shop only opens
+// with the postgres book store (see shared/book-shop.js)
+if (process.env.BOOKS_STORE === 'postgres') {
+  app.use('/cart', require('./routes/cart.routes'));
+  app.use('/orders', require('./routes/orders.routes'));
+  app.use('/staff', require('./routes/staff.routes'));
+}
+
+// Attaches the error to the request's log entry
+app.use(captureError);
+// Answers 400 for requests rejected by a route's validation schema
+app.use(validationErrorHandler);
+// Every other error, as JSON
+app.use(errorHandler);
 
 
 app.listen(port, () => {
@@ -1,4 +1,11 @@
-exports.BOOKS = [
+const { createBookRepository } = require('../../shared/book-repository');
+
+// Where the books are kept is chosen with BOOKS_STORE: memory (default), file
+// or postgres (see shared/book-repository.js). The memory and file stores
+// start out with these two.
+const SEED_BOOKS = [
   { id: 1, title: "Book One", author: "Author One" },
   { id: 2, title: "Book Two", author: "Author Two" },
 ];
+
+exports.bookRepository = createBookRepository({ seed: SEED_BOOKS });
@@ -1,18 +1,11 @@
 
 const express = require('express');
 const route = express.Router();
-const {getAllBooks, getBookById, addNewBook, deleteBookById} = require('../controllers/books.controller');
+const bookController = require('../controllers/book.controller');
+const {mountBookRoutes} = require('../../shared/book-catalog');
 
-
-// GET Route to Fetch All Books
-route.get('/', getAllBooks);
-
-// GET Route to Fetch a Book by ID
-route.get('/:id', getBookById);
-
-// POST Route to Add a New Book
-route.post('/', addNewBook);
-// DELETE Route to Remove a Book by ID
-route.delete('/:id', deleteBookById);
+// GET and POST /books, GET, PUT, PATCH and DELETE /books/:id, each with its
+// request schema (see shared/book-catalog.js)
+mountBookRoutes(route, bookController);
 
 module.exports = route;
@@ -0,0 +1,10 @@
+const express = require('express');
+const route = express.Router();
+const shopController = require('../controllers/shop.controller');
+const {mountCartRoutes} = require('../../shared/book-shop');
+
+// GET /cart, POST /cart/items and DELETE /cart/items/:bookId for the user in
+// the X-User-Id header (see shared/book-shop.js)
+mountCartRoutes(route, shopController);
+
+module.exports = route;
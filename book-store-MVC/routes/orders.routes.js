@@ -0,0 +1,10 @@
+const express = require('express');
+const route = express.Router();
+const shopController = require('../controllers/shop.controller');
+const {mountOrderRoutes} = require('../../shared/book-shop');
+
+// POST /orders (checkout), GET /orders and /orders/:id, and POST
+// /orders/:id/pay and /cancel (see shared/book-shop.js)
+mountOrderRoutes(route, shopController);
+
+module.exports = route;
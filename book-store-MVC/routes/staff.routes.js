@@ -0,0 +1,10 @@
+const express = require('express');
+const route = express.Router();
+const shopController = require('../controllers/shop.controller');
+const {mountStaffRoutes} = require('../../shared/book-shop');
+
+// POST /staff/orders/:id/ship, for requests with the SHOP_STAFF_KEY in
+// X-Staff-Key (see shared/book-shop.js)
+mountStaffRoutes(route, shopController);
+
+module.exports = route;
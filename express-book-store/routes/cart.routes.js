@@ -0,0 +1,10 @@
+const express = require('express');
+const route = express.Router();
+const shop = require('../../01_ORM/shop');
+const {createShopController, mountCartRoutes} = require('../../shared/book-shop');
+
+// The same /cart API as book-store-MVC (see shared/book-shop.js), on the
+// 01_ORM Postgres tables
+mountCartRoutes(route, createShopController(shop));
+
+module.exports = route;
@@ -0,0 +1,10 @@
+const express = require('express');
+const route = express.Router();
+const shop = require('../../01_ORM/shop');
+const {createShopController, mountStaffRoutes} = require('../../shared/book-shop');
+
+// The same staff routes as book-store-MVC: POST /staff/orders/:id/ship, for
+// requests with the SHOP_STAFF_KEY in X-Staff-Key (see shared/book-shop.js)
+mountStaffRoutes(route, createShopController(shop));
+
+module.exports = route;
@@ -0,0 +1,259 @@
+// The /books API shared by book-store-MVC and express-book-store: request
+// schemas, the controller and the routes. CommonJS with no dependencies, like
+// the other shared modules; each app brings its own Express router and book
+// repository (see book-repository.js).
+//
+//   GET    /books        ?title= &author= (substrings) &genre= &isbn=
+//                        &publishedYearMin= &publishedYearMax=
+//                        &sort=id|title|author|publishedYear|price &order=asc|desc
+//                        &limit= (1-100, default 20) &offset=
+//   GET    /books/:id
+//   POST   /books        title and author required
+//   PUT    /books/:id    replaces the book: fields left out are cleared
+//                        (except stock, which only changes when it's sent)
+//   PATCH  /books/:id    changes only the fields sent
+//   DELETE /books/:id
+//
+// GETs carry an ETag (and, for one book, Last-Modified) and answer 304 to a
+// matching If-None-Match / If-Modified-Since. PUT, PATCH and DELETE honour
+// If-Match: when it names another version of the book they answer 412 and
+// change nothing (see conditional.js).
+
+const { validate, idParam } = require('./validate');
+const { BOOK_SORT_FIELDS, DuplicateIsbnError } = require('./book-repository');
+const { entityTag, sendNotModified, ifMatches, PreconditionFailedError } = require('./conditional');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Cache-Control per route. Search results may be up to 30 s old; a single
+// book is revalidated every time it's used (a cheap 304 when it hasn't
+// changed), so an editor always starts from the current version.
+const CACHE_CONTROL = {
+  list: 'public, max-age=30',
+  book: 'public, no-cache',
+};
+
+const text = { type: 'string', trim: true, minLength: 1, maxLength: 255 };
+
+// Request schemas (see validate.js)
+const bookParams = { id: idParam };
+
+const bookFields = {
+  isbn: { type: 'string', format: 'isbn', nullable: true },
+  title: text,
+  author: text,
+  publishedYear: { type: 'integer', min: 0, max: 9999, nullable: true },
+  genres: {
+    type: 'array',
+    maxLength: 20,
+    items: { type: 'string', trim: true, minLength: 1, maxLength: 50 },
+  },
+  // numeric(10, 2) in Postgres
+  price: { type: 'number', min: 0, max: 99999999.99, nullable: true },
+  // Copies left to order; checkout takes them (see book-shop.js)
+  stock: { type: 'integer', min: 0, max: 1000000 },
+};
+
+// POST and PUT
+const bookBody = {
+  ...bookFields,
+  title: { ...text, required: true },
+  author: { ...text, required: true },
+};
+
+// PATCH
+const bookPatchBody = bookFields;
+
+const bookListQuery = {
+  title: text,
+  author: text,
+  genre: { type: 'string', trim: true, minLength: 1, maxLength: 50 },
+  isbn: { type: 'string', format: 'isbn' },
+  publishedYearMin: { type: 'integer', min: 0, max: 9999 },
+  publishedYearMax: { type: 'integer', min: 0, max: 9999 },
+  sort: { type: 'string', enum: BOOK_SORT_FIELDS },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+  offset: { type: 'integer', min: 0 },
+};
+
+// Genres are compared case-insensitively, so they're stored in lower case and
+// without repeats. Prices keep whole cents.
+const normalizeBook = ({ genres, price, ...fields }) => ({
+  ...fields,
+  ...(genres !== undefined && { genres: [...new Set(genres.map((genre) => genre.toLowerCase()))] }),
+  ...(price !== undefined && { price: price === null ? null : Math.round(price * 100) / 100 }),
+});
+
+// What PUT leaves in the fields it wasn't sent. Stock isn't reset: a
+// catalogue edit shouldn't wipe out the inventory.
+const EMPTY_BOOK = { isbn: null, publishedYear: null, genres: [], price: null };
+
+const notFound = (res) =>
+  res.status(404).json({
+    status: 'error',
+    message: 'Book not found',
+  });
+
+// The repository precondition for the request's If-Match header, if it has
+// one. The book's ETag is the same one GET /books/:id sends.
+const ifMatchPrecondition = (req) => {
+  if (req.get('if-match') === undefined) {
+    return undefined;
+  }
+  return (book) => {
+    if (!ifMatches(req, entityTag(book))) {
+      throw new PreconditionFailedError('The book has changed since you fetched it. Fetch it again and retry.');
+    }
+  };
+};
+
+// Runs a write, answering 409 when the ISBN belongs to another book and 412
+// when If-Match names another version.
+const rejectConflicts = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (!(error instanceof DuplicateIsbnError || error instanceof PreconditionFailedError)) {
+      throw error;
+    }
+    res.status(error.status).json({
+      status: 'error',
+      message: error.message,
+    });
+  }
+};
+
+// The route handlers for `bookRepository`.
+const createBookController = (bookRepository) => ({
+  getAllBooks: async (req, res) => {
+    const { limit = DEFAULT_LIMIT, offset = 0, genre, ...query } = req.query;
+    const { books, total } = await bookRepository.search({
+      ...query,
+      ...(genre !== undefined && { genre: genre.toLowerCase() }),
+      limit,
+      offset,
+    });
+    const body = {
+      status: 'success',
+      data: books,
+      length: books.length,
+      pagination: { total, limit, offset, hasMore: offset + books.length < total },
+    };
+    if (sendNotModified(req, res, { etag: entityTag(body), cacheControl: CACHE_CONTROL.list })) {
+      return;
+    }
+    res.json(body);
+  },
+
+  getBookById: async (req, res) => {
+    const book = await bookRepository.findById(req.params.id);
+    if (!book) {
+      return notFound(res);
+    }
+    const validators = { etag: entityTag(book), lastModified: book.updatedAt, cacheControl: CACHE_CONTROL.book };
+    if (sendNotModified(req, res, validators)) {
+      return;
+    }
+    res.json({
+      status: 'success',
+      data: book,
+    });
+  },
+
+  addNewBook: rejectConflicts(async (req, res) => {
+    const newBook = await bookRepository.create(normalizeBook(req.body));
+    res.status(201).json({
+      status: 'success',
+      data: newBook,
+    });
+  }),
+
+  replaceBook: rejectConflicts(async (req, res) => {
+    const book = await bookRepository.update(req.params.id, normalizeBook({ ...EMPTY_BOOK, ...req.body }), {
+      precondition: ifMatchPrecondition(req),
+    });
+    if (!book) {
+      return notFound(res);
+    }
+    res.set('ETag', entityTag(book)).json({
+      status: 'success',
+      data: book,
+    });
+  }),
+
+  updateBook: rejectConflicts(async (req, res) => {
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Nothing to update',
+      });
+    }
+    const book = await bookRepository.update(req.params.id, normalizeBook(req.body), {
+      precondition: ifMatchPrecondition(req),
+    });
+    if (!book) {
+      return notFound(res);
+    }
+    res.set('ETag', entityTag(book)).json({
+      status: 'success',
+      data: book,
+    });
+  }),
+
+  deleteBookById: rejectConflicts(async (req, res) => {
+    const deleted = await bookRepository.remove(req.params.id, { precondition: ifMatchPrecondition(req) });
+    if (!deleted) {
+      return notFound(res);
+    }
+    res.json({
+      status: 'success',
+      message: 'Book deleted successfully',
+    });
+  }),
+});
+
+// Registers the /books routes on an Express router.
+const mountBookRoutes = (route, controller) => {
+  route.get('/', validate({ query: bookListQuery }), controller.getAllBooks);
+  route.get('/:id', validate({ params: bookParams }), controller.getBookById);
+  route.post('/', validate({ body: bookBody }), controller.addNewBook);
+  route.put('/:id', validate({ params: bookParams, body: bookBody }), controller.replaceBook);
+  route.patch('/:id', validate({ params: bookParams, body: bookPatchBody }), controller.updateBook);
+  route.delete('/:id', validate({ params: bookParams }), controller.deleteBookById);
+  return route;
+};
+
+// The apps' last error middleware: whatever no route or handler before it
+// answered gets the routes' { status: 'error', message } JSON instead of
+// Express's HTML page. Client errors (a malformed JSON body, one too large)
+// keep their status and message; anything else, such as a database error, is
+// a 500 that doesn't show its details.
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  const status = error.status ?? error.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    return res.status(status).json({
+      status: 'error',
+      message: error.expose === false ? 'Bad request' : error.message,
+    });
+  }
+  res.status(500).json({
+    status: 'error',
+    message: 'Something went wrong on our side',
+  });
+};
+
+module.exports = {
+  CACHE_CONTROL,
+  bookParams,
+  bookBody,
+  bookPatchBody,
+  bookListQuery,
+  createBookController,
+  mountBookRoutes,
+  errorHandler,
+};
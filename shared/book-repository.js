@@ -0,0 +1,305 @@
+// Book storage for the book-store apps (book-store-MVC, express-book-store).
+// CommonJS with no dependencies, like the other shared modules; the Postgres
+// backend lives in 01_ORM and is only loaded when it's chosen.
+//
+// Every backend implements the same async interface:
+//   list()               -> books, in id order
+//   search(query)        -> { books, total }: one page of the matching books
+//   findById(id)         -> book | null
+//   create(data)         -> book (with its new id)
+//   update(id, changes, { precondition })  -> book | null
+//   remove(id, { precondition })           -> true, or false when there was no such book
+// precondition(book), when given, is called with the current book right
+// before the change, where no other change can slip in between, and throws to
+// cancel it (If-Match checks, see book-catalog.js).
+//
+// A book is { id, isbn, title, author, publishedYear, genres, price, stock,
+// updatedAt } (stock: copies left to order, see book-shop.js; updatedAt: when
+// the book last changed, set by the repository). Ids are
+// integers handed out in increasing order and never reused, even after a
+// delete. ISBNs (stored as ISBN-13, see validate.js) are unique: create and
+// update reject a taken one with a DuplicateIsbnError.
+//
+// search() takes { title, author, genre, isbn, publishedYearMin,
+// publishedYearMax, sort, order, limit, offset }. title and author match
+// case-insensitive substrings, genre one of the book's genres. Sorting puts
+// books without a value last and breaks ties by id.
+//
+// createBookRepository() picks the backend:
+//   BOOKS_STORE   memory | file | postgres (default memory)
+//   BOOKS_FILE    JSON file used by the file store (default books.json)
+// The postgres store uses the bookstore table and DATABASE_URL of 01_ORM.
+
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+
+const BOOK_STORES = ['memory', 'file', 'postgres'];
+const BOOK_SORT_FIELDS = ['id', 'title', 'author', 'publishedYear', 'price'];
+
+class DuplicateIsbnError extends Error {
+  constructor(isbn) {
+    super(`A book with ISBN ${isbn} already exists.`);
+    this.name = 'DuplicateIsbnError';
+    this.status = 409;
+    this.isbn = isbn;
+  }
+}
+
+const toBook = ({
+  id,
+  isbn = null,
+  title,
+  author,
+  publishedYear = null,
+  genres = [],
+  price = null,
+  stock = 0,
+  updatedAt = null,
+}) => ({
+  id,
+  isbn,
+  title,
+  author,
+  publishedYear,
+  genres: [...genres],
+  price,
+  stock,
+  updatedAt,
+});
+
+// Only these fields can be written; anything else in `data` is ignored.
+const bookFields = (data) =>
+  Object.fromEntries(
+    ['isbn', 'title', 'author', 'publishedYear', 'genres', 'price', 'stock']
+      .filter((field) => data[field] !== undefined)
+      .map((field) => [field, data[field]])
+  );
+
+const includesText = (value, text) => value.toLowerCase().includes(text.toLowerCase());
+
+const matches = (book, { title, author, genre, isbn, publishedYearMin, publishedYearMax }) =>
+  (title === undefined || includesText(book.title, title)) &&
+  (author === undefined || includesText(book.author, author)) &&
+  (genre === undefined || book.genres.includes(genre)) &&
+  (isbn === undefined || book.isbn === isbn) &&
+  (publishedYearMin === undefined || (book.publishedYear !== null && book.publishedYear >= publishedYearMin)) &&
+  (publishedYearMax === undefined || (book.publishedYear !== null && book.publishedYear <= publishedYearMax));
+
+// Comparator for `sort`/`order`: missing values last, then by id.
+const compareBooks = (sort, order) => {
+  const direction = order === 'desc' ? -1 : 1;
+  return (a, b) => {
+    const [x, y] = [a[sort], b[sort]];
+    if (x !== y) {
+      if (x === null) {
+        return 1;
+      }
+      if (y === null) {
+        return -1;
+      }
+      const difference = typeof x === 'string' ? x.localeCompare(y) : x - y;
+      if (difference !== 0) {
+        return difference * direction;
+      }
+    }
+    return (a.id - b.id) * direction;
+  };
+};
+
+// { nextId, books } from seed books, or from the contents of a books file
+// (which may also be a plain array of books). Books that don't say when they
+// last changed are stamped with the load time.
+const toState = (books, nextId) => {
+  const loadedAt = new Date().toISOString();
+  const sorted = books
+    .map((book) => toBook({ updatedAt: loadedAt, ...book }))
+    .sort((a, b) => a.id - b.id);
+  const maxId = sorted.length > 0 ? sorted[sorted.length - 1].id : 0;
+  return { nextId: Math.max(nextId ?? 0, maxId + 1), books: sorted };
+};
+
+const assertIsbnFree = (state, isbn, exceptId) => {
+  if (isbn && state.books.some((book) => book.isbn === isbn && book.id !== exceptId)) {
+    throw new DuplicateIsbnError(isbn);
+  }
+};
+
+// Books kept in this process. Lost on restart; the starting point for the
+// file store.
+class MemoryBookRepository {
+  constructor({ seed = [] } = {}) {
+    this.state = toState(seed);
+  }
+
+  // The current { nextId, books }.
+  async read() {
+    return this.state;
+  }
+
+  // Runs `change(state)`, which edits the state in place and returns the
+  // result of the operation.
+  async change(change) {
+    return change(this.state);
+  }
+
+  async list() {
+    const { books } = await this.read();
+    return books.map(toBook);
+  }
+
+  async search({ sort = 'id', order = 'asc', limit = Infinity, offset = 0, ...filters } = {}) {
+    const { books } = await this.read();
+    const found = books.filter((book) => matches(book, filters)).sort(compareBooks(sort, order));
+    return { books: found.slice(offset, offset + limit).map(toBook), total: found.length };
+  }
+
+  async findById(id) {
+    const { books } = await this.read();
+    const book = books.find((b) => b.id === id);
+    return book ? toBook(book) : null;
+  }
+
+  async create(data) {
+    return this.change((state) => {
+      assertIsbnFree(state, data.isbn);
+      const book = toBook({ ...bookFields(data), id: state.nextId, updatedAt: new Date().toISOString() });
+      state.nextId++;
+      state.books.push(book);
+      return toBook(book);
+    });
+  }
+
+  async update(id, changes, { precondition } = {}) {
+    return this.change((state) => {
+      const book = state.books.find((b) => b.id === id);
+      if (!book) {
+        return null;
+      }
+      precondition?.(toBook(book));
+      assertIsbnFree(state, changes.isbn, id);
+      Object.assign(book, bookFields(changes), { updatedAt: new Date().toISOString() });
+      return toBook(book);
+    });
+  }
+
+  async remove(id, { precondition } = {}) {
+    return this.change((state) => {
+      const index = state.books.findIndex((b) => b.id === id);
+      if (index === -1) {
+        return false;
+      }
+      precondition?.(toBook(state.books[index]));
+      state.books.splice(index, 1);
+      return true;
+    });
+  }
+}
+
+// Writes `data` to a temp file next to `file` and renames it over `file`.
+// A rename within a directory is atomic, so readers (and a crash halfway)
+// see either the old file or the new one, never a partial write.
+const writeJsonAtomically = async (file, data) => {
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+  try {
+    const handle = await fsp.open(temp, 'w');
+    try {
+      await handle.writeFile(`${JSON.stringify(data, null, 2)}\n`);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fsp.rename(temp, file);
+  } catch (error) {
+    await fsp.rm(temp, { force: true });
+    throw error;
+  }
+};
+
+// Books in a JSON file: { "nextId": 3, "books": [...] }. The file is read
+// once, then every change writes a complete new copy atomically. Changes are
+// queued so they never interleave; one process per file.
+class JsonFileBookRepository extends MemoryBookRepository {
+  constructor({ file, seed = [] }) {
+    super({ seed });
+    this.file = path.resolve(file);
+    this.loaded = null;
+    this.queue = Promise.resolve();
+  }
+
+  read() {
+    this.loaded ??= this.load();
+    return this.loaded;
+  }
+
+  // A missing file starts from the seed books and is created on the first
+  // change. A file that isn't valid JSON is an error rather than being
+  // replaced.
+  async load() {
+    let text;
+    try {
+      text = await fsp.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.state;
+      }
+      this.loaded = null;
+      throw error;
+    }
+    try {
+      const data = JSON.parse(text);
+      this.state = Array.isArray(data) ? toState(data) : toState(data.books ?? [], data.nextId);
+    } catch (error) {
+      this.loaded = null;
+      throw new Error(`${this.file} is not a valid books file: ${error.message}`);
+    }
+    return this.state;
+  }
+
+  // The change runs on a copy; the copy only replaces the state once it's on
+  // disk. Nothing is written when the change didn't find its book.
+  change(change) {
+    const run = this.queue.then(async () => {
+      const state = structuredClone(await this.read());
+      const result = change(state);
+      if (result === null || result === false) {
+        return result;
+      }
+      await writeJsonAtomically(this.file, state);
+      this.state = state;
+      this.loaded = Promise.resolve(state);
+      return result;
+    });
+    // A failed write doesn't block the changes queued after it
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+const createBookRepository = ({
+  store = process.env.BOOKS_STORE || 'memory',
+  file = process.env.BOOKS_FILE || 'books.json',
+  seed = [],
+} = {}) => {
+  switch (store) {
+    case 'memory':
+      return new MemoryBookRepository({ seed });
+    case 'file':
+      return new JsonFileBookRepository({ file, seed });
+    case 'postgres': {
+      const { PostgresBookRepository } = require('../01_ORM/book-repository');
+      return new PostgresBookRepository();
+    }
+    default:
+      throw new Error(`BOOKS_STORE must be one of ${BOOK_STORES.join(', ')}, got ${store}`);
+  }
+};
+
+module.exports = {
+  BOOK_STORES,
+  BOOK_SORT_FIELDS,
+  DuplicateIsbnError,
+  MemoryBookRepository,
+  JsonFileBookRepository,
+  createBookRepository,
+  writeJsonAtomically,
+};
@@ -0,0 +1,256 @@
+// The /cart and /orders APIs of the book-store apps: request schemas, the
+// controller and the routes. CommonJS with no dependencies, like
+// book-catalog.js; the shop itself (stock, carts, orders and payments) lives
+// in 01_ORM/shop.js because it needs Postgres transactions.
+//
+// The apps have no accounts, so clients say who they are with an X-User-Id
+// header (letters, digits and . _ @ : -, up to 64 characters). Every cart and
+// order belongs to that id. It's an identity, not a credential: anyone can
+// send any id. So shipping, which only the shop should do, isn't a customer
+// route. It's under /staff, which needs the X-Staff-Key header to match
+// SHOP_STAFF_KEY and is closed while SHOP_STAFF_KEY isn't set.
+//
+//   GET    /cart                    the cart with its total
+//   POST   /cart/items              { bookId, quantity = 1 } adds to the cart,
+//                                   up to 100 copies of a book
+//   DELETE /cart/items/:bookId      takes a book out of the cart
+//   POST   /orders                  checks the cart out: reserves the stock
+//                                   and opens a pending order
+//   GET    /orders                  ?status= &limit= (1-100, default 20) &offset=
+//   GET    /orders/:id
+//   POST   /orders/:id/pay          { paymentToken } pending -> paid
+//   POST   /orders/:id/cancel       pending or paid -> cancelled: refunds a
+//                                   paid order and puts its books back in stock
+//
+//   POST   /staff/orders/:id/ship   paid -> shipped, for any user's order
+
+const { createHash, timingSafeEqual } = require('node:crypto');
+const { validate, idParam } = require('./validate');
+
+const ORDER_STATUSES = ['pending', 'paying', 'paid', 'shipped', 'cancelling', 'cancelled'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Copies of one book a cart can hold, however many times it's added (the
+// cart_items check constraint in 01_ORM/drizzle/schema.js matches it)
+const MAX_QUANTITY = 100;
+
+const USER_ID = /^[\w.@:-]{1,64}$/;
+
+// Thrown by the shop for requests it turns down. `code` is a stable name for
+// the reason (OUT_OF_STOCK, INVALID_STATUS...), `details` optional specifics.
+class ShopError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ShopError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Request schemas (see validate.js)
+const cartItemBody = {
+  bookId: idParam,
+  quantity: { type: 'integer', min: 1, max: MAX_QUANTITY, default: 1 },
+};
+
+const cartItemParams = { bookId: idParam };
+
+const orderParams = { id: idParam };
+
+const orderListQuery = {
+  status: { type: 'string', enum: ORDER_STATUSES },
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+  offset: { type: 'integer', min: 0 },
+};
+
+const payOrderBody = {
+  paymentToken: { type: 'string', trim: true, minLength: 1, maxLength: 255 },
+};
+
+// Sets req.userId from the X-User-Id header, or answers 401.
+const identifyUser = (req, res, next) => {
+  const userId = req.get('x-user-id');
+  if (!userId || !USER_ID.test(userId)) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Send your user id in the X-User-Id header',
+    });
+  }
+  req.userId = userId;
+  next();
+};
+
+// Lets the request through when its X-Staff-Key header matches SHOP_STAFF_KEY.
+// Digests keep the comparison constant-time whatever the lengths.
+const requireStaffKey = (req, res, next) => {
+  const staffKey = process.env.SHOP_STAFF_KEY;
+  if (!staffKey) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Staff routes are closed: SHOP_STAFF_KEY is not set',
+    });
+  }
+  const digest = (key) => createHash('sha256').update(key).digest();
+  const sent = req.get('x-staff-key');
+  if (!sent || !timingSafeEqual(digest(sent), digest(staffKey))) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Send the staff key in the X-Staff-Key header',
+    });
+  }
+  next();
+};
+
+// Runs a handler, answering ShopErrors with their status.
+const handleShopErrors = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (!(error instanceof ShopError)) {
+      throw error;
+    }
+    res.status(error.status).json({
+      status: 'error',
+      code: error.code,
+      message: error.message,
+      ...(error.details !== undefined && { details: error.details }),
+    });
+  }
+};
+
+const orderNotFound = (res) =>
+  res.status(404).json({
+    status: 'error',
+    message: 'Order not found',
+  });
+
+// The route handlers for `shop` (see 01_ORM/shop.js).
+const createShopController = (shop) => ({
+  getCart: async (req, res) => {
+    res.json({
+      status: 'success',
+      data: await shop.getCart(req.userId),
+    });
+  },
+
+  addCartItem: handleShopErrors(async (req, res) => {
+    const { bookId, quantity } = req.body;
+    res.json({
+      status: 'success',
+      data: await shop.addToCart(req.userId, bookId, quantity),
+    });
+  }),
+
+  removeCartItem: handleShopErrors(async (req, res) => {
+    res.json({
+      status: 'success',
+      data: await shop.removeFromCart(req.userId, req.params.bookId),
+    });
+  }),
+
+  checkout: handleShopErrors(async (req, res) => {
+    res.status(201).json({
+      status: 'success',
+      data: await shop.checkout(req.userId),
+    });
+  }),
+
+  getOrders: async (req, res) => {
+    const { limit = DEFAULT_LIMIT, offset = 0, status } = req.query;
+    const { orders, total } = await shop.listOrders(req.userId, { status, limit, offset });
+    res.json({
+      status: 'success',
+      data: orders,
+      length: orders.length,
+      pagination: { total, limit, offset, hasMore: offset + orders.length < total },
+    });
+  },
+
+  getOrderById: async (req, res) => {
+    const order = await shop.getOrder(req.userId, req.params.id);
+    if (!order) {
+      return orderNotFound(res);
+    }
+    res.json({
+      status: 'success',
+      data: order,
+    });
+  },
+
+  payOrder: handleShopErrors(async (req, res) => {
+    const order = await shop.payOrder(req.userId, req.params.id, req.body);
+    if (!order) {
+      return orderNotFound(res);
+    }
+    res.json({
+      status: 'success',
+      data: order,
+    });
+  }),
+
+  // Staff only (see mountStaffRoutes): ships whoever's order it is
+  shipOrder: handleShopErrors(async (req, res) => {
+    const order = await shop.shipOrder(req.params.id);
+    if (!order) {
+      return orderNotFound(res);
+    }
+    res.json({
+      status: 'success',
+      data: order,
+    });
+  }),
+
+  cancelOrder: handleShopErrors(async (req, res) => {
+    const order = await shop.cancelOrder(req.userId, req.params.id);
+    if (!order) {
+      return orderNotFound(res);
+    }
+    res.json({
+      status: 'success',
+      data: order,
+    });
+  }),
+});
+
+// Registers the /cart routes on an Express router.
+const mountCartRoutes = (route, controller) => {
+  route.use(identifyUser);
+  route.get('/', controller.getCart);
+  route.post('/items', validate({ body: cartItemBody }), controller.addCartItem);
+  route.delete('/items/:bookId', validate({ params: cartItemParams }), controller.removeCartItem);
+  return route;
+};
+
+// Registers the /orders routes on an Express router.
+const mountOrderRoutes = (route, controller) => {
+  route.use(identifyUser);
+  route.post('/', controller.checkout);
+  route.get('/', validate({ query: orderListQuery }), controller.getOrders);
+  route.get('/:id', validate({ params: orderParams }), controller.getOrderById);
+  route.post('/:id/pay', validate({ params: orderParams, body: payOrderBody }), controller.payOrder);
+  route.post('/:id/cancel', validate({ params: orderParams }), controller.cancelOrder);
+  return route;
+};
+
+// Registers the staff routes (mount them on /staff) on an Express router.
+const mountStaffRoutes = (route, controller) => {
+  route.use(requireStaffKey);
+  route.post('/orders/:id/ship', validate({ params: orderParams }), controller.shipOrder);
+  return route;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  MAX_QUANTITY,
+  ShopError,
+  identifyUser,
+  requireStaffKey,
+  cartItemBody,
+  orderListQuery,
+  payOrderBody,
+  createShopController,
+  mountCartRoutes,
+  mountOrderRoutes,
+  mountStaffRoutes,
+};
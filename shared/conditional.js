@@ -0,0 +1,68 @@
+// Conditional requests for the Express apps in this repo: validators (ETag,
+// Last-Modified) and Cache-Control on reads, If-Match on writes. CommonJS
+// with no dependencies, like the other shared modules.
+//
+// Reads: the handler computes the response body, then
+//   if (sendNotModified(req, res, { etag, lastModified, cacheControl })) return;
+// sets the headers and answers 304 without a body when the client's copy is
+// still current (If-None-Match, or If-Modified-Since when there's no
+// If-None-Match). Express's req.fresh does the comparing.
+//
+// Writes: ifMatches(req, etag) tells whether the If-Match header (if any)
+// names the current representation, so a client that read an older version
+// gets 412 instead of overwriting someone else's change.
+
+const { createHash } = require('node:crypto');
+
+// A strong ETag for a JSON response body: a hash of the JSON the client
+// receives, so it changes exactly when the body does.
+const entityTag = (body) =>
+  `"${createHash('sha256').update(JSON.stringify(body)).digest('base64url').slice(0, 32)}"`;
+
+// Sets the validators and the caching policy of a GET response. Returns true
+// (after answering 304) when the request's conditions say the client already
+// has this version.
+const sendNotModified = (req, res, { etag, lastModified, cacheControl }) => {
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  if (cacheControl) {
+    res.set('Cache-Control', cacheControl);
+  }
+  if (!req.fresh) {
+    return false;
+  }
+  res.status(304).end();
+  return true;
+};
+
+// Whether the If-Match precondition holds for a resource whose current ETag
+// is `etag`: true without an If-Match header, for `*`, and when one of the
+// listed tags is `etag`. The comparison is strong, so weak (W/) tags never
+// match.
+const ifMatches = (req, etag) => {
+  const header = req.get('if-match');
+  if (header === undefined || header.trim() === '*') {
+    return true;
+  }
+  return header.split(',').some((tag) => tag.trim() === etag);
+};
+
+// Thrown when If-Match names another version of the resource (status 412).
+class PreconditionFailedError extends Error {
+  constructor(message = 'The resource has changed since you fetched it. Fetch it again and retry.') {
+    super(message);
+    this.name = 'PreconditionFailedError';
+    this.status = 412;
+  }
+}
+
+module.exports = {
+  entityTag,
+  sendNotModified,
+  ifMatches,
+  PreconditionFailedError,
+};
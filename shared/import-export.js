@@ -0,0 +1,366 @@
+// Streaming CSV / JSON / NDJSON export and CSV / NDJSON import, shared by the
+// todolist API and the 01_ORM bookstore script. CommonJS with no
+// dependencies, like the other shared modules.
+//
+// Nothing here holds a whole file in memory: exports are async generators of
+// text chunks (pipe them with stream.pipeline), imports read the input stream
+// record by record. A record over the size limits is rejected as it streams,
+// so an unclosed quote or a huge line can't make the reader keep the rest of
+// the upload.
+
+const { StringDecoder } = require('node:string_decoder');
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+// Import limits, in characters. maxBytes (the whole input) has no default:
+// set it where the input comes from a client.
+const DEFAULT_LIMITS = {
+  maxFieldLength: 64 * 1024,
+  maxRecordLength: 256 * 1024,
+  maxBytes: Infinity,
+};
+
+// Thrown by readRecords when the input is larger than `maxBytes` (status 413).
+class InputTooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`The file is larger than the ${maxBytes} bytes allowed.`);
+    this.name = 'InputTooLargeError';
+    this.status = 413;
+    this.maxBytes = maxBytes;
+  }
+}
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+// Import format from a Content-Type header, or undefined.
+const formatFromContentType = (contentType = '') => {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (type === 'text/csv') {
+    return 'csv';
+  }
+  if (type === 'application/x-ndjson' || type === 'application/ndjson') {
+    return 'ndjson';
+  }
+  return undefined;
+};
+
+// Spreadsheets run a cell starting with one of these as a formula, so text
+// from users could run one on whoever opens the export. Text that starts with
+// quotes before one of them gets a quote too, so that readCsv can take off
+// exactly one and give back the text as it was.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+// Dates become ISO strings and arrays `;`-separated lists; a cell is quoted
+// when it contains a comma, quote or line break (RFC 4180). Text that would
+// start a formula gets a leading ' so spreadsheets show it as text. Numbers
+// are left alone (-1 stays a number).
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join(';');
+  } else {
+    text = String(value);
+  }
+  if (typeof value !== 'number' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+// Turns an (async) iterable of rows into chunks of `format` text. `columns`
+// picks and orders the fields; CSV gets them as its header line.
+async function* serializeRecords(rows, format, columns) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format ${format}`);
+  }
+  const pick = (row) => Object.fromEntries(columns.map((column) => [column, row[column] ?? null]));
+  if (format === 'csv') {
+    yield formatCsvRow(columns);
+  } else if (format === 'json') {
+    yield '[';
+  }
+  let first = true;
+  for await (const row of rows) {
+    if (format === 'csv') {
+      yield formatCsvRow(columns.map((column) => row[column]));
+    } else if (format === 'json') {
+      yield `${first ? '' : ','}\n${JSON.stringify(pick(row))}`;
+    } else {
+      yield `${JSON.stringify(pick(row))}\n`;
+    }
+    first = false;
+  }
+  if (format === 'json') {
+    yield first ? ']\n' : '\n]\n';
+  }
+}
+
+// Splits a CSV stream into records: { line, fields } where `line` is the line
+// the record starts on. Quoted fields may contain commas, quotes ("") and line
+// breaks. Blank lines are skipped. A record with a field longer than
+// maxFieldLength, or longer than maxRecordLength in all, comes as { line,
+// error } and is not kept while the rest of it is read. A quote left open at
+// the end of the input yields one last record with an `error`.
+async function* parseCsv(stream, {
+  maxFieldLength = DEFAULT_LIMITS.maxFieldLength,
+  maxRecordLength = DEFAULT_LIMITS.maxRecordLength,
+} = {}) {
+  const decoder = new StringDecoder('utf8');
+  let fields = [];
+  let field = '';
+  // Counted even once the record is dropped, to know where fields start
+  let fieldLength = 0;
+  let recordLength = 0;
+  // Why the current record is dropped, if it is
+  let tooLong = null;
+  let quoted = false;
+  let afterQuote = false;
+  let line = 1;
+  let recordLine = 1;
+  let started = false;
+
+  const append = (char) => {
+    fieldLength++;
+    recordLength++;
+    if (tooLong) {
+      return;
+    }
+    if (fieldLength > maxFieldLength) {
+      tooLong = `has a field longer than ${maxFieldLength} characters`;
+    } else if (recordLength > maxRecordLength) {
+      tooLong = `is longer than ${maxRecordLength} characters`;
+    }
+    if (tooLong) {
+      fields = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  };
+
+  const endField = () => {
+    if (!tooLong) {
+      fields.push(field);
+    }
+    field = '';
+    fieldLength = 0;
+  };
+
+  const endRecord = function* () {
+    endField();
+    if (tooLong) {
+      yield { line: recordLine, fields: [], error: tooLong };
+    } else if (fields.length > 1 || fields[0] !== '') {
+      yield { line: recordLine, fields };
+    }
+    fields = [];
+    recordLength = 0;
+    tooLong = null;
+  };
+
+  const parse = function* (text) {
+    for (const char of text) {
+      if (!started) {
+        started = true;
+        // Byte order mark written by spreadsheet programs
+        if (char === '\uFEFF') {
+          continue;
+        }
+      }
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          afterQuote = true;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          append(char);
+        }
+        continue;
+      }
+      if (afterQuote) {
+        afterQuote = false;
+        if (char === '"') {
+          // "" inside a quoted field is one literal quote
+          append('"');
+          quoted = true;
+          continue;
+        }
+      }
+      if (char === ',') {
+        endField();
+        recordLength++;
+      } else if (char === '\n') {
+        yield* endRecord();
+        line++;
+        recordLine = line;
+      } else if (char === '"' && fieldLength === 0) {
+        quoted = true;
+      } else if (char !== '\r') {
+        append(char);
+      }
+    }
+  };
+
+  for await (const chunk of stream) {
+    yield* parse(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+  }
+  yield* parse(decoder.end());
+  if (quoted) {
+    yield { line: recordLine, fields: [], error: 'has a quoted field that is never closed' };
+    return;
+  }
+  yield* endRecord();
+}
+
+// Reads CSV with a header line into { line, row } objects keyed by the header.
+// Empty cells are left out of `row`, so they count as missing values, and the
+// ' formatCsvValue puts before a formula is taken off again. Records that
+// can't be read come as { line, error }.
+async function* readCsv(stream, limits) {
+  let header = null;
+  for await (const record of parseCsv(stream, limits)) {
+    if (record.error && !header) {
+      // Without a header no row can be read
+      yield { line: record.line, error: `header ${record.error}` };
+      return;
+    }
+    if (record.error) {
+      yield { line: record.line, error: record.error };
+    } else if (!header) {
+      header = record.fields.map((name) => name.trim());
+    } else if (record.fields.length !== header.length) {
+      yield { line: record.line, error: `has ${record.fields.length} fields, expected ${header.length}` };
+    } else {
+      const row = {};
+      header.forEach((name, index) => {
+        const value = record.fields[index];
+        if (value !== '') {
+          row[name] = value[0] === "'" && FORMULA_START.test(value) ? value.slice(1) : value;
+        }
+      });
+      yield { line: record.line, row };
+    }
+  }
+}
+
+// Splits a stream into { line, text } without the line breaks. A line longer
+// than maxLength comes as { line, error } and is dropped as it streams.
+async function* splitLines(stream, maxLength) {
+  const decoder = new StringDecoder('utf8');
+  let current = '';
+  let tooLong = false;
+  let line = 1;
+
+  const endLine = () => (tooLong
+    ? { line, error: `is longer than ${maxLength} characters` }
+    : { line, text: current.endsWith('\r') ? current.slice(0, -1) : current });
+
+  const split = function* (text) {
+    let start = 0;
+    for (;;) {
+      const end = text.indexOf('\n', start);
+      const piece = end === -1 ? text.slice(start) : text.slice(start, end);
+      if (!tooLong && current.length + piece.length > maxLength) {
+        tooLong = true;
+        current = '';
+      } else if (!tooLong) {
+        current += piece;
+      }
+      if (end === -1) {
+        return;
+      }
+      yield endLine();
+      current = '';
+      tooLong = false;
+      line++;
+      start = end + 1;
+    }
+  };
+
+  for await (const chunk of stream) {
+    yield* split(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+  }
+  yield* split(decoder.end());
+  if (current !== '' || tooLong) {
+    yield endLine();
+  }
+}
+
+// Reads NDJSON (one JSON object per line) into { line, row } objects. Blank
+// lines are skipped; lines that aren't a JSON object, or are longer than
+// maxRecordLength, come as { line, error }.
+async function* readNdjson(stream, { maxRecordLength = DEFAULT_LIMITS.maxRecordLength } = {}) {
+  for await (const { line, text, error } of splitLines(stream, maxRecordLength)) {
+    if (error) {
+      yield { line, error };
+      continue;
+    }
+    if (text.trim() === '') {
+      continue;
+    }
+    let row;
+    try {
+      row = JSON.parse(text);
+    } catch {
+      yield { line, error: 'is not valid JSON' };
+      continue;
+    }
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      yield { line, error: 'must be a JSON object' };
+      continue;
+    }
+    yield { line, row };
+  }
+}
+
+// Passes the chunks through until there are more than maxBytes of them
+async function* limitBytes(stream, maxBytes) {
+  let total = 0;
+  for await (const chunk of stream) {
+    total += typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length;
+    if (total > maxBytes) {
+      throw new InputTooLargeError(maxBytes);
+    }
+    yield chunk;
+  }
+}
+
+// readCsv or readNdjson, by format. `limits` overrides DEFAULT_LIMITS; past
+// maxBytes the reader throws an InputTooLargeError.
+const readRecords = (stream, format, limits = {}) => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown import format ${format}`);
+  }
+  const { maxBytes, ...recordLimits } = { ...DEFAULT_LIMITS, ...limits };
+  const input = maxBytes === Infinity ? stream : limitBytes(stream, maxBytes);
+  return format === 'csv' ? readCsv(input, recordLimits) : readNdjson(input, recordLimits);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  DEFAULT_LIMITS,
+  InputTooLargeError,
+  CONTENT_TYPES,
+  formatFromContentType,
+  formatCsvRow,
+  serializeRecords,
+  parseCsv,
+  readCsv,
+  readNdjson,
+  readRecords,
+};
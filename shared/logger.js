@@ -0,0 +1,320 @@
+// Structured logging for the Express apps in this repo. CommonJS with no
+// dependencies, like the other shared modules.
+//
+// Entries are written as NDJSON (one JSON object per line):
+//   {"time":"2026-01-05T10:30:45.123Z","level":"info","msg":"request",
+//    "requestId":"…","method":"GET","url":"/books/1","status":200,"durationMs":1.84,…}
+//
+// Lines are buffered in memory and appended asynchronously, so a request never
+// waits for the disk. The file is rotated when it grows past `maxSize` bytes
+// or, with `rotate: 'daily'`, when the (UTC) day changes: server.log becomes
+// server.log.1, server.log.1 becomes server.log.2, … and the oldest beyond
+// `maxFiles` is deleted.
+//
+// Options fall back to these environment variables:
+//   LOG_LEVEL      debug | info | warn | error | silent (default info)
+//   LOG_FILE       path of the log file (default server.log)
+//   LOG_MAX_SIZE   rotate after this many bytes (default 10 MiB, 0 = never)
+//   LOG_ROTATE     daily | none (default daily)
+//   LOG_MAX_FILES  rotated files kept (default 5)
+
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const { randomUUID } = require('node:crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Request headers that never reach the log
+const REDACTED_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'session-id',
+  'x-api-key',
+];
+const REDACTED = '[REDACTED]';
+
+// Incoming X-Request-Id values are reused only when they look like an id, so
+// a client can't write arbitrary text into the log.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+// SIGINT (Ctrl+C) and SIGTERM (container stop) end the process without an
+// 'exit' event, so the open log files write their buffers on those signals
+// too. The signal is then raised again to end the process the way it would
+// have ended without this handler, unless the app listens for it itself.
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+const openFiles = new Set();
+
+const onSignal = (signal) => {
+  for (const file of openFiles) {
+    file.onExit();
+  }
+  if (process.listenerCount(signal) === 1) {
+    for (const name of SIGNALS) {
+      process.off(name, onSignal);
+    }
+    process.kill(process.pid, signal);
+  }
+};
+
+// The buffered, rotating file behind a logger. Writes are chained so the
+// lines land in order even while a rotation is in progress.
+class LogFile {
+  constructor({ path, maxSize, rotate, maxFiles, bufferSize, flushIntervalMs }) {
+    this.path = path;
+    this.maxSize = maxSize;
+    this.rotate = rotate;
+    this.maxFiles = maxFiles;
+    this.bufferSize = bufferSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.timer = null;
+    this.pending = Promise.resolve();
+    // Size and day of the current file, read from disk on the first write
+    this.size = null;
+    this.day = null;
+
+    // Whatever is still buffered when the process exits is written
+    // synchronously; there's no later chance.
+    this.onExit = () => {
+      if (this.buffer.length > 0) {
+        try {
+          fs.appendFileSync(this.path, this.buffer.join(''));
+        } catch {
+          // Nowhere left to report it
+        }
+        this.buffer = [];
+      }
+    };
+    process.on('exit', this.onExit);
+    if (openFiles.size === 0) {
+      for (const name of SIGNALS) {
+        process.on(name, onSignal);
+      }
+    }
+    openFiles.add(this);
+  }
+
+  write(line) {
+    this.buffer.push(line);
+    this.bufferedBytes += Buffer.byteLength(line);
+    if (this.bufferedBytes >= this.bufferSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  // Resolves once everything written so far is on disk.
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.buffer.length > 0) {
+      const chunk = this.buffer.join('');
+      this.buffer = [];
+      this.bufferedBytes = 0;
+      this.pending = this.pending.then(() => this.append(chunk));
+    }
+    return this.pending;
+  }
+
+  async append(chunk) {
+    try {
+      if (this.size === null) {
+        const stats = await fsp.stat(this.path).catch(() => null);
+        this.size = stats?.size ?? 0;
+        this.day = day(stats?.mtime ?? new Date());
+      }
+      const bytes = Buffer.byteLength(chunk);
+      const today = day(new Date());
+      const tooBig = this.maxSize > 0 && this.size > 0 && this.size + bytes > this.maxSize;
+      const newDay = this.rotate === 'daily' && this.size > 0 && this.day !== today;
+      if (tooBig || newDay) {
+        await this.rotateFiles();
+        this.size = 0;
+      }
+      await fsp.appendFile(this.path, chunk);
+      this.size += bytes;
+      this.day = today;
+    } catch (error) {
+      console.error(`Could not write to ${this.path}:`, error.message);
+    }
+  }
+
+  async rotateFiles() {
+    await fsp.rm(`${this.path}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await fsp.rename(`${this.path}.${index}`, `${this.path}.${index + 1}`).catch(() => {});
+    }
+    if (this.maxFiles > 0) {
+      await fsp.rename(this.path, `${this.path}.1`);
+    } else {
+      await fsp.rm(this.path, { force: true });
+    }
+  }
+
+  async close() {
+    await this.flush();
+    process.off('exit', this.onExit);
+    openFiles.delete(this);
+    if (openFiles.size === 0) {
+      for (const name of SIGNALS) {
+        process.off(name, onSignal);
+      }
+    }
+  }
+}
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+// Errors don't survive JSON.stringify; keep what helps debugging. The stack is
+// only worth its space for unexpected errors.
+const serializeError = (error, { stack = true } = {}) => {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.details !== undefined && { details: error.details }),
+    ...(stack && { stack: error.stack }),
+    ...(error.cause !== undefined && { cause: serializeError(error.cause, { stack }) }),
+  };
+};
+
+// createLogger(options) -> { debug, info, warn, error, child, flush, close }
+// Each method takes a message and optional fields: logger.info('started', { port }).
+// child(fields) returns a logger that adds `fields` to every entry and writes
+// to the same file.
+const createLogger = ({
+  level = process.env.LOG_LEVEL || 'info',
+  file = process.env.LOG_FILE || 'server.log',
+  maxSize = envNumber('LOG_MAX_SIZE', 10 * 1024 * 1024),
+  rotate = process.env.LOG_ROTATE || 'daily',
+  maxFiles = envNumber('LOG_MAX_FILES', 5),
+  bufferSize = 64 * 1024,
+  flushIntervalMs = 1000,
+} = {}) => {
+  if (!Object.hasOwn(LEVELS, level)) {
+    throw new Error(`Log level must be one of ${Object.keys(LEVELS).join(', ')}, got ${level}`);
+  }
+  if (!['daily', 'none'].includes(rotate)) {
+    throw new Error(`Log rotation must be daily or none, got ${rotate}`);
+  }
+  const logFile = new LogFile({ path: file, maxSize, rotate, maxFiles, bufferSize, flushIntervalMs });
+  const threshold = LEVELS[level];
+
+  const build = (bound) => {
+    const log = (entryLevel, msg, fields = {}) => {
+      if (LEVELS[entryLevel] < threshold) {
+        return;
+      }
+      const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...bound, ...fields };
+      if (entry.error instanceof Error) {
+        entry.error = serializeError(entry.error);
+      }
+      logFile.write(`${JSON.stringify(entry)}\n`);
+    };
+    return {
+      level,
+      isLevelEnabled: (entryLevel) => LEVELS[entryLevel] >= threshold,
+      debug: (msg, fields) => log('debug', msg, fields),
+      info: (msg, fields) => log('info', msg, fields),
+      warn: (msg, fields) => log('warn', msg, fields),
+      error: (msg, fields) => log('error', msg, fields),
+      child: (fields) => build({ ...bound, ...fields }),
+      flush: () => logFile.flush(),
+      close: () => logFile.close(),
+    };
+  };
+  return build({});
+};
+
+const redactHeaders = (headers, redacted) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name, redacted.includes(name) ? REDACTED : value])
+  );
+
+// Express middleware logging one entry per request once the response is
+// finished (or the connection dropped): request id, method, url, status,
+// latency, user id, client ip, user agent, the request headers with the
+// sensitive ones redacted and, when one was captured, the error.
+//
+// The request id comes from the X-Request-Id header when the client (or a
+// proxy) sent a usable one and is generated otherwise. It is echoed in the
+// response header and available as req.id; req.log is a child logger that
+// tags handler log entries with it.
+//
+// 5xx responses are logged at error level, 4xx at warn, the rest at info.
+const requestLogger = (
+  logger,
+  { getUserId = (req) => req.user?.id ?? null, redact = REDACTED_HEADERS } = {}
+) => {
+  const redacted = redact.map((name) => name.toLowerCase());
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    // Read now: once a response cuts an upload short, Node detaches the
+    // socket before 'finish', and req.ip would throw
+    const ip = req.ip;
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    let logged = false;
+    const done = () => {
+      if (logged) {
+        return;
+      }
+      logged = true;
+      const status = res.statusCode;
+      const error = res.locals.error;
+      const entryLevel = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      logger[entryLevel]('request', {
+        requestId: req.id,
+        method: req.method,
+        url: req.originalUrl,
+        status,
+        durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+        userId: getUserId(req),
+        ip,
+        userAgent: req.get('User-Agent') ?? null,
+        headers: redactHeaders(req.headers, redacted),
+        // The client went away before the response was complete
+        ...(!res.writableFinished && { aborted: true }),
+        ...(error !== undefined && { error: serializeError(error, { stack: status >= 500 }) }),
+      });
+    };
+    res.once('finish', done);
+    res.once('close', done);
+    next();
+  };
+};
+
+// Error middleware that hands the error to requestLogger (via
+// res.locals.error) and passes it on. Mount it before the app's error handler.
+const captureError = (error, req, res, next) => {
+  res.locals.error = error;
+  next(error);
+};
+
+module.exports = {
+  LEVELS,
+  REDACTED_HEADERS,
+  createLogger,
+  requestLogger,
+  captureError,
+  serializeError,
+};
@@ -0,0 +1,57 @@
+// scrypt password hashes (node:crypto), shared by todolist-with-orm-mvc and
+// session_auth. CommonJS with no dependencies, like the other shared modules.
+//
+// A hash is stored as a self-describing PHC-like string, so the cost can
+// change without a migration: older hashes still verify with the cost they
+// carry, and verifyHash says when one should be replaced.
+//   $scrypt$N=16384,r=8,p=1$<salt base64>$<hash base64>
+//
+// What came before scrypt differs per app (plaintext, HMAC), so each app
+// checks its own legacy hashes when isHash() is false.
+const { randomBytes, scrypt, timingSafeEqual } = require('node:crypto');
+const { promisify } = require('node:util');
+
+const scryptAsync = promisify(scrypt);
+const PREFIX = '$scrypt$';
+
+const derive = (password, salt, { N, r, p }, keyLength) =>
+  // scrypt needs 128 * N * r bytes; Node refuses costs over maxmem
+  scryptAsync(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+
+const isHash = (stored) => typeof stored === 'string' && stored.startsWith(PREFIX);
+
+// A new hash of the password, with `cost` { N, r, p, keyLength, saltLength }
+const hashPassword = async (password, { N, r, p, keyLength, saltLength }) => {
+  const salt = randomBytes(saltLength);
+  const hash = await derive(password, salt, { N, r, p }, keyLength);
+  return `${PREFIX}N=${N},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const parseHash = (stored) => {
+  const [, , params, salt, hash] = stored.split('$');
+  const cost = Object.fromEntries(
+    params.split(',').map((pair) => {
+      const [key, value] = pair.split('=');
+      return [key, Number(value)];
+    })
+  );
+  return { cost, salt: Buffer.from(salt, 'base64'), hash: Buffer.from(hash, 'base64') };
+};
+
+// Checks a password against a hash made by hashPassword: { valid, needsRehash }.
+// needsRehash is true when the hash was made with another N, r or p than
+// `cost` (the one new hashes get).
+const verifyHash = async (password, stored, { N, r, p }) => {
+  const { cost, salt, hash } = parseHash(stored);
+  const candidate = await derive(password, salt, cost, hash.length);
+  return {
+    valid: timingSafeEqual(candidate, hash),
+    needsRehash: cost.N !== N || cost.r !== r || cost.p !== p,
+  };
+};
+
+module.exports = {
+  isHash,
+  hashPassword,
+  verifyHash,
+};
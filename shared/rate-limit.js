@@ -0,0 +1,224 @@
+// Rate limiting and brute-force protection for the Express apps in this repo.
+// CommonJS with no dependencies so both the CommonJS apps and the ESM
+// session_auth app can use it.
+//
+// A store keeps one record per key: { count, resetAt, blockedUntil } (times in
+// ms since epoch). Any object implementing the methods below can be used,
+// e.g. a database-backed store shared by several processes.
+//   increment(key, windowMs)   -> record   count += 1 (restarts after resetAt)
+//   hit(key, windowMs, delays) -> record | null
+//       null while the key is blocked, leaving it as it is. Otherwise
+//       count += 1 like increment, and the key is blocked for
+//       delays[count - 1] ms (the last delay past the end of the list).
+//       Must be atomic: it is what keeps parallel attempts from slipping
+//       past a block.
+//   decrement(key)             count -= 1 (not below 0) and no block
+//   get(key)                   -> record | null
+//   reset(key)
+
+class MemoryStore {
+  constructor({ pruneIntervalMs = 60 * 1000 } = {}) {
+    this.records = new Map();
+    // Drop expired records now and then so the map doesn't grow forever
+    this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+    this.pruneTimer.unref();
+  }
+
+  isExpired(record, now) {
+    return record.resetAt <= now && (record.blockedUntil ?? 0) <= now;
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, record] of this.records) {
+      if (this.isExpired(record, now)) {
+        this.records.delete(key);
+      }
+    }
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const record = this.records.get(key);
+    if (!record || record.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs, blockedUntil: record?.blockedUntil ?? null };
+      this.records.set(key, fresh);
+      return { ...fresh };
+    }
+    record.count += 1;
+    return { ...record };
+  }
+
+  async hit(key, windowMs, delays) {
+    const now = Date.now();
+    let record = this.records.get(key);
+    if ((record?.blockedUntil ?? 0) > now) {
+      return null;
+    }
+    if (!record || record.resetAt <= now) {
+      record = { count: 0, resetAt: now + windowMs, blockedUntil: null };
+      this.records.set(key, record);
+    }
+    record.count += 1;
+    const delay = delays[Math.min(record.count, delays.length) - 1];
+    record.blockedUntil = delay > 0 ? now + delay : null;
+    return { ...record };
+  }
+
+  async decrement(key) {
+    const record = this.records.get(key);
+    if (record) {
+      record.count = Math.max(0, record.count - 1);
+      record.blockedUntil = null;
+    }
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (!record || this.isExpired(record, Date.now())) {
+      return null;
+    }
+    return { ...record };
+  }
+
+  async reset(key) {
+    this.records.delete(key);
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+const setRetryAfter = (res, retryAfterMs) => {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+};
+
+const sendTooManyRequests = (res, retryAfterMs, message) => {
+  setRetryAfter(res, retryAfterMs);
+  return res.status(429).json({ error: message });
+};
+
+// Generic fixed-window limiter: at most `max` requests per `windowMs` for each
+// key (the client IP by default). `handler(req, res, next, message)` replaces
+// the default 429 JSON answer, e.g. to pass an error to the app's error handler.
+//   app.use(rateLimit({ windowMs: 60_000, max: 100 }));
+const rateLimit = ({
+  windowMs = 60 * 1000,
+  max = 100,
+  keyGenerator = (req) => req.ip,
+  prefix = 'rl',
+  store = new MemoryStore(),
+  message = 'Too many requests, please try again later',
+  handler,
+} = {}) => async (req, res, next) => {
+  try {
+    const { count, resetAt } = await store.increment(`${prefix}:${keyGenerator(req)}`, windowMs);
+    const now = Date.now();
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+    res.set('RateLimit-Reset', String(Math.ceil((resetAt - now) / 1000)));
+    if (count > max) {
+      if (handler) {
+        setRetryAfter(res, resetAt - now);
+        return handler(req, res, next, message);
+      }
+      return sendTooManyRequests(res, resetAt - now, message);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Tracks attempts (e.g. logins) per key. Every attempt is counted before it
+// is checked and stays counted unless it succeeds, so parallel attempts
+// can't all go through before the first failure is recorded. The first
+// `freeRetries` attempts cost nothing; after that each one blocks the key for
+// an exponentially growing delay (baseDelayMs, 2x, 4x, ... capped at
+// maxDelayMs). Reaching `lockoutThreshold` attempts locks the key for
+// `lockoutMs`. Attempts are forgotten `windowMs` after the first one.
+const createBruteForceGuard = ({
+  store = new MemoryStore(),
+  prefix = 'bf',
+  freeRetries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 5 * 60 * 1000,
+  lockoutThreshold = 10,
+  lockoutMs = 15 * 60 * 1000,
+  windowMs = 60 * 60 * 1000,
+} = {}) => {
+  const storeKey = (key) => `${prefix}:${key}`;
+
+  const delayFor = (failures) => {
+    if (failures >= lockoutThreshold) {
+      return lockoutMs;
+    }
+    if (failures <= freeRetries) {
+      return 0;
+    }
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (failures - freeRetries - 1));
+  };
+
+  // delays[n - 1]: the block after the n-th attempt
+  const delays = Array.from({ length: lockoutThreshold }, (_, index) => delayFor(index + 1));
+
+  return {
+    // Milliseconds the key must still wait (0 when it may try now).
+    async retryAfter(key) {
+      const record = await store.get(storeKey(key));
+      return Math.max(0, (record?.blockedUntil ?? 0) - Date.now());
+    },
+
+    // Counts an attempt unless the key is blocked. `allowed` says whether it
+    // may go ahead; a refused one gets the wait in retryAfterMs.
+    async attempt(key) {
+      const record = await store.hit(storeKey(key), windowMs, delays);
+      if (!record) {
+        return { allowed: false, retryAfterMs: await this.retryAfter(key) };
+      }
+      return { allowed: true, attempts: record.count, locked: record.count >= lockoutThreshold };
+    },
+
+    // Forgets every attempt of the key.
+    async succeed(key) {
+      await store.reset(storeKey(key));
+    },
+
+    // Takes back one attempt that turned out fine, keeping the others. The
+    // key was unblocked for the attempt to go ahead, so the block it has now
+    // is that attempt's and goes too.
+    async forgive(key) {
+      await store.decrement(storeKey(key));
+    },
+  };
+};
+
+// Middleware counting the request as an attempt of every key, and rejecting
+// it with 429 while any of them is blocked. The route calls the guards'
+// succeed or forgive once the attempt succeeds; failures need nothing.
+// `getKeys(req)` returns [guard, key] pairs; empty keys are skipped:
+//   bruteForceProtection((req) => [[ipGuard, req.ip], [accountGuard, req.body.email]])
+const bruteForceProtection = (getKeys, message = 'Too many failed attempts, please try again later') =>
+  async (req, res, next) => {
+    try {
+      const attempts = await Promise.all(
+        getKeys(req)
+          .filter(([, key]) => key)
+          .map(([guard, key]) => guard.attempt(key))
+      );
+      const refused = attempts.filter((attempt) => !attempt.allowed);
+      if (refused.length > 0) {
+        return sendTooManyRequests(res, Math.max(1, ...refused.map((attempt) => attempt.retryAfterMs)), message);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+module.exports = {
+  MemoryStore,
+  rateLimit,
+  createBruteForceGuard,
+  bruteForceProtection,
+};
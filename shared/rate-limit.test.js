@@ -0,0 +1,200 @@
+// node --test shared/
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, rateLimit, createBruteForceGuard } = require('./rate-limit');
+
+// Date.now is frozen at `clock.now` so windows and blocks can be walked through
+const clock = { now: 1_700_000_000_000 };
+let stores = [];
+
+beforeEach(() => {
+  clock.now = 1_700_000_000_000;
+  mock.method(Date, 'now', () => clock.now);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  for (const store of stores) {
+    store.close();
+  }
+  stores = [];
+});
+
+const newStore = () => {
+  const store = new MemoryStore();
+  stores.push(store);
+  return store;
+};
+
+describe('MemoryStore', () => {
+  it('counts increments within the window and starts over after it', async () => {
+    const store = newStore();
+    assert.deepEqual(await store.increment('a', 1000), { count: 1, resetAt: clock.now + 1000, blockedUntil: null });
+    assert.equal((await store.increment('a', 1000)).count, 2);
+    assert.equal((await store.increment('b', 1000)).count, 1);
+    clock.now += 1000;
+    assert.equal((await store.increment('a', 1000)).count, 1);
+  });
+
+  it('blocks a key after a hit for the delay of that attempt', async () => {
+    const store = newStore();
+    const delays = [0, 100, 400];
+    assert.equal((await store.hit('a', 10_000, delays)).blockedUntil, null);
+    assert.equal((await store.hit('a', 10_000, delays)).blockedUntil, clock.now + 100);
+    // Blocked: refused and not counted
+    assert.equal(await store.hit('a', 10_000, delays), null);
+    assert.equal((await store.get('a')).count, 2);
+    clock.now += 100;
+    assert.equal((await store.hit('a', 10_000, delays)).blockedUntil, clock.now + 400);
+    clock.now += 400;
+    // Past the end of the list the last delay applies
+    const record = await store.hit('a', 10_000, delays);
+    assert.equal(record.count, 4);
+    assert.equal(record.blockedUntil, clock.now + 400);
+  });
+
+  it('takes back one attempt and its block on decrement', async () => {
+    const store = newStore();
+    await store.hit('a', 10_000, [0, 100]);
+    await store.hit('a', 10_000, [0, 100]);
+    await store.decrement('a');
+    assert.deepEqual(await store.get('a'), { count: 1, resetAt: clock.now + 10_000, blockedUntil: null });
+    await store.decrement('a');
+    await store.decrement('a');
+    assert.equal((await store.get('a')).count, 0);
+  });
+
+  it('forgets records once both the window and the block are over', async () => {
+    const store = newStore();
+    await store.hit('a', 1000, [5000]);
+    await store.increment('b', 1000);
+    clock.now += 1000;
+    assert.equal(await store.get('b'), null);
+    assert.notEqual(await store.get('a'), null);
+    store.prune();
+    assert.deepEqual([...store.records.keys()], ['a']);
+    clock.now += 4000;
+    store.prune();
+    assert.equal(store.records.size, 0);
+  });
+
+  it('forgets a key on reset', async () => {
+    const store = newStore();
+    await store.increment('a', 1000);
+    await store.reset('a');
+    assert.equal(await store.get('a'), null);
+  });
+});
+
+describe('createBruteForceGuard', () => {
+  const newGuard = (options) => createBruteForceGuard({
+    store: newStore(),
+    freeRetries: 2,
+    baseDelayMs: 1000,
+    maxDelayMs: 8000,
+    lockoutThreshold: 8,
+    lockoutMs: 60_000,
+    ...options,
+  });
+
+  // Makes failed attempts, waiting out each block first; returns the blocks
+  const failAttempts = async (guard, key, count) => {
+    const blocks = [];
+    for (let i = 0; i < count; i++) {
+      clock.now += await guard.retryAfter(key);
+      const attempt = await guard.attempt(key);
+      assert.equal(attempt.allowed, true);
+      blocks.push(await guard.retryAfter(key));
+    }
+    return blocks;
+  };
+
+  it('lets the free retries through, then doubles the delay up to the cap', async () => {
+    const guard = newGuard();
+    assert.deepEqual(await failAttempts(guard, 'ip', 7), [0, 0, 1000, 2000, 4000, 8000, 8000]);
+  });
+
+  it('locks the key once the threshold is reached', async () => {
+    const guard = newGuard();
+    await failAttempts(guard, 'ip', 7);
+    clock.now += await guard.retryAfter('ip');
+    assert.deepEqual(await guard.attempt('ip'), { allowed: true, attempts: 8, locked: true });
+    assert.equal(await guard.retryAfter('ip'), 60_000);
+  });
+
+  it('refuses attempts while blocked, with the time left, without counting them', async () => {
+    const guard = newGuard();
+    await failAttempts(guard, 'ip', 3);
+    clock.now += 400;
+    assert.deepEqual(await guard.attempt('ip'), { allowed: false, retryAfterMs: 600 });
+    assert.deepEqual(await guard.attempt('ip'), { allowed: false, retryAfterMs: 600 });
+    clock.now += 600;
+    assert.equal((await guard.attempt('ip')).attempts, 4);
+  });
+
+  it('starts over after a success', async () => {
+    const guard = newGuard();
+    await failAttempts(guard, 'ip', 4);
+    await guard.succeed('ip');
+    assert.equal(await guard.retryAfter('ip'), 0);
+    assert.deepEqual(await failAttempts(guard, 'ip', 3), [0, 0, 1000]);
+  });
+
+  it('forgives one attempt but keeps the earlier failures', async () => {
+    const guard = newGuard();
+    await failAttempts(guard, 'ip', 3);
+    clock.now += 1000;
+    await guard.attempt('ip');
+    await guard.forgive('ip');
+    assert.equal(await guard.retryAfter('ip'), 0);
+    // Three failures stay counted: the next one is the fourth
+    assert.deepEqual(await failAttempts(guard, 'ip', 1), [2000]);
+  });
+
+  it('forgets attempts once the window is over', async () => {
+    const guard = newGuard({ windowMs: 10_000 });
+    await failAttempts(guard, 'ip', 4);
+    clock.now += 10_000;
+    assert.deepEqual(await failAttempts(guard, 'ip', 3), [0, 0, 1000]);
+  });
+
+  it('keeps keys apart', async () => {
+    const guard = newGuard();
+    await failAttempts(guard, 'a', 4);
+    assert.equal((await guard.attempt('b')).attempts, 1);
+  });
+});
+
+describe('rateLimit', () => {
+  const response = () => ({
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    },
+  });
+
+  it('answers 429 with Retry-After once the limit is reached', async () => {
+    const limiter = rateLimit({ windowMs: 60_000, max: 2, store: newStore() });
+    const req = { ip: '1.2.3.4' };
+    for (let i = 0; i < 2; i++) {
+      let passed = false;
+      await limiter(req, response(), () => {
+        passed = true;
+      });
+      assert.equal(passed, true);
+    }
+    clock.now += 15_000;
+    const res = response();
+    await limiter(req, res, () => assert.fail('should be limited'));
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '45');
+    assert.equal(res.headers['RateLimit-Remaining'], '0');
+  });
+});
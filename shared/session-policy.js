@@ -0,0 +1,30 @@
+// Session lifetime rules, shared by todolist-with-orm-mvc and session_auth.
+// CommonJS with no dependencies, like the other shared modules; each app keeps
+// its own table and queries and asks these functions what to do.
+//
+// A session ends at whichever limit comes first:
+//   absoluteTimeoutMs  counted from login (createdAt), whatever the activity
+//   idleTimeoutMs      counted from the last request made with it (lastSeenAt)
+// lastSeenAt is renewed at most every touchIntervalMs, so busy clients don't
+// cause a write per request.
+
+const isSessionExpired = (session, { absoluteTimeoutMs, idleTimeoutMs }, now = Date.now()) =>
+  now - session.createdAt.getTime() >= absoluteTimeoutMs ||
+  now - session.lastSeenAt.getTime() >= idleTimeoutMs;
+
+// Whether lastSeenAt is old enough to be renewed (sliding expiry)
+const needsTouch = (session, { touchIntervalMs }, now = Date.now()) =>
+  now - session.lastSeenAt.getTime() >= touchIntervalMs;
+
+// Sessions created before createdBefore or last seen before lastSeenBefore
+// have expired; for the queries that list or sweep them.
+const expiryCutoffs = ({ absoluteTimeoutMs, idleTimeoutMs }, now = Date.now()) => ({
+  createdBefore: new Date(now - absoluteTimeoutMs),
+  lastSeenBefore: new Date(now - idleTimeoutMs),
+});
+
+module.exports = {
+  isSessionExpired,
+  needsTouch,
+  expiryCutoffs,
+};
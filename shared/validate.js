@@ -0,0 +1,288 @@
+// Declarative request validation for the Express apps in this repo.
+// CommonJS with no dependencies, like rate-limit.js.
+//
+// A schema maps each allowed field to a rule:
+//   { id: { type: 'integer', min: 1, required: true } }
+// Rules:
+//   type                  string | integer | number | boolean | date | array | object
+//   required              the field must be present (and not null)
+//   nullable              null is accepted
+//   min / max             bounds for integer and number
+//   minLength / maxLength bounds for string (and array) length
+//   trim                  strip surrounding whitespace from strings first
+//   format: 'email'       a basic email shape check
+//   format: 'isbn'        an ISBN-10 or ISBN-13 with a valid check digit
+//                         (hyphens and spaces allowed); becomes its ISBN-13
+//   pattern               a RegExp the string must match
+//   enum                  list of accepted values
+//   items                 rule for every element of an array
+//   default               value used when the field is missing
+//
+// Fields not in the schema are rejected. Params and query strings are
+// coerced to the declared type ("42" -> 42, "true" -> true); JSON bodies
+// already carry types and are not. Dates are ISO 8601 strings everywhere and
+// become Date objects.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ISBN-13: digits weighted 1, 3, 1, 3, … sum to a multiple of 10.
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce((total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// The ISBN-13 form of an ISBN-10 or ISBN-13, or null when it isn't a valid
+// one. ISBN-10s (digits weighted 10 down to 1, sum a multiple of 11, X = 10)
+// get the 978 prefix, so both forms of a book compare equal.
+const toIsbn13 = (value) => {
+  const isbn = value.replace(/[\s-]/g, '').toUpperCase();
+  if (/^\d{13}$/.test(isbn)) {
+    return isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12] ? isbn : null;
+  }
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+    if (sum % 11 !== 0) {
+      return null;
+    }
+    const first12 = `978${isbn.slice(0, 9)}`;
+    return first12 + isbn13CheckDigit(first12);
+  }
+  return null;
+};
+
+// Passed to next() when a request doesn't match its schema. Apps with their
+// own error handler can map it to their envelope; the others mount
+// validationErrorHandler.
+class RequestValidationError extends Error {
+  constructor(details) {
+    super('Validation failed');
+    this.name = 'RequestValidationError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+const describe = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  date: 'an ISO 8601 date',
+  array: 'an array',
+  object: 'an object',
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) {
+    return value;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date;
+};
+
+const coerce = (value, type) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (type === 'integer' && /^-?\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (type === 'number' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const hasType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isSafeInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return value instanceof Date;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      throw new Error(`Unknown validation type ${type}`);
+  }
+};
+
+// Checks one value against its rule. Returns { value } with the (coerced,
+// trimmed) value, or { problem } describing why it was rejected.
+const checkValue = (input, rule, { coerceStrings }) => {
+  let value = coerceStrings ? coerce(input, rule.type) : input;
+  if (rule.type === 'date') {
+    value = parseDate(value);
+  }
+  if (value === null) {
+    return rule.nullable ? { value } : { problem: 'must not be null' };
+  }
+  if (!hasType(value, rule.type)) {
+    return { problem: `must be ${describe[rule.type]}` };
+  }
+  if (rule.type === 'string' && rule.trim) {
+    value = value.trim();
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { problem: `must be one of: ${rule.enum.join(', ')}` };
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return { problem: `must be at least ${rule.min}` };
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return { problem: `must be at most ${rule.max}` };
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return { problem: rule.minLength === 1 ? 'must not be empty' : `must have at least ${rule.minLength} characters` };
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { problem: `must have at most ${rule.maxLength} characters` };
+  }
+  if (rule.format === 'email' && !EMAIL.test(value)) {
+    return { problem: 'must be a valid email address' };
+  }
+  if (rule.format === 'isbn') {
+    value = toIsbn13(value);
+    if (value === null) {
+      return { problem: 'must be a valid ISBN-10 or ISBN-13' };
+    }
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return { problem: `must match ${rule.pattern}` };
+  }
+  if (rule.items) {
+    const items = [];
+    for (const [index, item] of value.entries()) {
+      const result = checkValue(item, rule.items, { coerceStrings });
+      if (result.problem) {
+        return { problem: `item ${index} ${result.problem}` };
+      }
+      items.push(result.value);
+    }
+    value = items;
+  }
+  return { value };
+};
+
+// Validates `input` (one request part) against `schema`. Returns the cleaned
+// object and the list of problems, each { location, field, message }.
+const checkObject = (input, schema, location) => {
+  const problems = [];
+  const value = {};
+  const coerceStrings = location !== 'body';
+
+  if (input === undefined || input === null) {
+    input = {};
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { value, problems: [{ location, field: null, message: `${location} must be an object` }] };
+  }
+
+  for (const field of Object.keys(input)) {
+    if (!Object.hasOwn(schema, field)) {
+      problems.push({ location, field, message: `${field} is not allowed` });
+    }
+  }
+  for (const [field, rule] of Object.entries(schema)) {
+    if (input[field] === undefined) {
+      if (rule.default !== undefined) {
+        value[field] = rule.default;
+      } else if (rule.required) {
+        problems.push({ location, field, message: `${field} is required` });
+      }
+      continue;
+    }
+    if (input[field] === null && rule.required) {
+      problems.push({ location, field, message: `${field} is required` });
+      continue;
+    }
+    const result = checkValue(input[field], rule, { coerceStrings });
+    if (result.problem) {
+      problems.push({ location, field, message: `${field} ${result.problem}` });
+    } else {
+      value[field] = result.value;
+    }
+  }
+  return { value, problems };
+};
+
+// Checks a nested object (e.g. one item of an array in the body) against its
+// own schema, with `location` naming it in the problems. An `object` rule
+// only checks the shape, so handlers call this for the contents.
+const validateObject = (input, schema, location = 'body') => checkObject(input, schema, location);
+
+// Express middleware validating any of req.body, req.params and req.query.
+// On success the parts are replaced by their cleaned values (unknown fields
+// can't get through, ids are numbers). On failure it passes a
+// RequestValidationError listing every problem to next().
+const validate = (schemas) => {
+  const locations = ['params', 'query', 'body'].filter((location) => schemas[location]);
+
+  return (req, res, next) => {
+    const problems = [];
+    const cleaned = {};
+    for (const location of locations) {
+      const result = checkObject(req[location], schemas[location], location);
+      problems.push(...result.problems);
+      cleaned[location] = result.value;
+    }
+    if (problems.length > 0) {
+      return next(new RequestValidationError(problems));
+    }
+
+    if (cleaned.params) {
+      // The router owns req.params; update it in place
+      for (const key of Object.keys(req.params)) {
+        delete req.params[key];
+      }
+      Object.assign(req.params, cleaned.params);
+    }
+    if (cleaned.query) {
+      // Express 5 defines req.query as a getter, so it can't be assigned
+      Object.defineProperty(req, 'query', {
+        value: cleaned.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    if (cleaned.body) {
+      req.body = cleaned.body;
+    }
+    next();
+  };
+};
+
+// Error middleware answering 400 for RequestValidationError:
+//   { "error": "Validation failed",
+//     "details": [{ "location": "body", "field": "title", "message": "title is required" }] }
+const validationErrorHandler = (error, req, res, next) => {
+  if (!(error instanceof RequestValidationError)) {
+    return next(error);
+  }
+  res.status(400).json({ error: error.message, details: error.details });
+};
+
+// Rule for the numeric primary keys used in route params (`/:id`).
+const idParam = { type: 'integer', min: 1, required: true };
+
+module.exports = {
+  validate,
+  validateObject,
+  validationErrorHandler,
+  RequestValidationError,
+  idParam,
+  toIsbn13,
+};
@@ -0,0 +1,189 @@
+// node --test shared/
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validate,
+  validateObject,
+  validationErrorHandler,
+  RequestValidationError,
+  idParam,
+  toIsbn13,
+} = require('./validate');
+
+// Runs the middleware on a fake request: { req, error }
+const run = (schemas, req) => {
+  let error;
+  validate(schemas)(req, {}, (passed) => {
+    error = passed;
+  });
+  return { req, error };
+};
+
+const messages = (result) => result.problems.map((problem) => problem.message);
+
+describe('validate', () => {
+  describe('fields', () => {
+    const schema = {
+      title: { type: 'string', trim: true, minLength: 1, maxLength: 10, required: true },
+      done: { type: 'boolean', default: false },
+    };
+
+    it('rejects fields that are not in the schema', () => {
+      const result = validateObject({ title: 'a', userId: 2, isAdmin: true }, schema);
+      assert.deepEqual(result.problems, [
+        { location: 'body', field: 'userId', message: 'userId is not allowed' },
+        { location: 'body', field: 'isAdmin', message: 'isAdmin is not allowed' },
+      ]);
+    });
+
+    it('leaves rejected and unknown fields out of the cleaned value', () => {
+      const result = validateObject({ title: 'ok', done: 'yes', extra: 1 }, schema);
+      assert.deepEqual(result.value, { title: 'ok' });
+      assert.deepEqual(messages(result), ['extra is not allowed', 'done must be true or false']);
+    });
+
+    it('trims strings before checking their length', () => {
+      assert.deepEqual(validateObject({ title: '  buy milk  ' }, schema).value, { title: 'buy milk', done: false });
+      assert.deepEqual(messages(validateObject({ title: '   ' }, schema)), ['title must not be empty']);
+      assert.deepEqual(messages(validateObject({ title: ' '.repeat(20) + 'x' }, schema)), []);
+      assert.deepEqual(messages(validateObject({ title: 'x'.repeat(11) }, schema)), [
+        'title must have at most 10 characters',
+      ]);
+    });
+
+    it('requires required fields, null included, and fills in defaults', () => {
+      assert.deepEqual(messages(validateObject({}, schema)), ['title is required']);
+      assert.deepEqual(messages(validateObject({ title: null }, schema)), ['title is required']);
+      assert.equal(validateObject({ title: 'a' }, schema).value.done, false);
+    });
+
+    it('accepts null only for nullable fields', () => {
+      const dueAt = { type: 'date', nullable: true };
+      assert.deepEqual(validateObject({ dueAt: null }, { dueAt }).value, { dueAt: null });
+      assert.deepEqual(messages(validateObject({ title: 'a', done: null }, schema)), ['done must not be null']);
+    });
+
+    it('refuses a part that is not an object', () => {
+      assert.deepEqual(messages(validateObject([1, 2], schema)), ['body must be an object']);
+      assert.deepEqual(messages(validateObject('title', schema, 'query')), ['query must be an object']);
+    });
+  });
+
+  describe('rules', () => {
+    it('checks bounds, enums, formats and patterns', () => {
+      const schema = {
+        page: { type: 'integer', min: 1, max: 100 },
+        sort: { type: 'string', enum: ['asc', 'desc'] },
+        email: { type: 'string', format: 'email' },
+        code: { type: 'string', pattern: /^[A-Z]{3}$/ },
+      };
+      const result = validateObject({ page: 0, sort: 'up', email: 'not-an-email', code: 'abc' }, schema);
+      assert.deepEqual(messages(result), [
+        'page must be at least 1',
+        'sort must be one of: asc, desc',
+        'email must be a valid email address',
+        'code must match /^[A-Z]{3}$/',
+      ]);
+      assert.deepEqual(messages(validateObject({ page: 101 }, schema)), ['page must be at most 100']);
+      assert.deepEqual(messages(validateObject({ page: 1.5 }, schema)), ['page must be an integer']);
+    });
+
+    it('checks every item of an array', () => {
+      const schema = { tags: { type: 'array', maxLength: 3, items: { type: 'string', trim: true, minLength: 1 } } };
+      assert.deepEqual(validateObject({ tags: [' a ', 'b'] }, schema).value, { tags: ['a', 'b'] });
+      assert.deepEqual(messages(validateObject({ tags: ['a', ' '] }, schema)), ['tags item 1 must not be empty']);
+      assert.deepEqual(messages(validateObject({ tags: ['a', 'b', 'c', 'd'] }, schema)), [
+        'tags must have at most 3 characters',
+      ]);
+    });
+
+    it('turns ISO 8601 dates into Date objects and rejects other strings', () => {
+      const schema = { dueAt: { type: 'date' } };
+      const { value } = validateObject({ dueAt: '2026-03-01T10:00:00Z' }, schema);
+      assert.equal(value.dueAt.toISOString(), '2026-03-01T10:00:00.000Z');
+      assert.deepEqual(messages(validateObject({ dueAt: 'next friday' }, schema)), ['dueAt must be an ISO 8601 date']);
+      assert.deepEqual(messages(validateObject({ dueAt: '2026-13-45' }, schema)), ['dueAt must be an ISO 8601 date']);
+    });
+
+    it('normalizes ISBNs to ISBN-13 and checks the check digit', () => {
+      assert.equal(toIsbn13('0-306-40615-2'), '9780306406157');
+      assert.equal(toIsbn13('978-0-306-40615-7'), '9780306406157');
+      assert.equal(toIsbn13('080442957X'), '9780804429573');
+      assert.equal(toIsbn13('0-306-40615-3'), null);
+      assert.equal(toIsbn13('978-0-306-40615-8'), null);
+      const schema = { isbn: { type: 'string', format: 'isbn' } };
+      assert.deepEqual(validateObject({ isbn: '0 306 40615 2' }, schema).value, { isbn: '9780306406157' });
+      assert.deepEqual(messages(validateObject({ isbn: '12345' }, schema)), ['isbn must be a valid ISBN-10 or ISBN-13']);
+    });
+  });
+
+  describe('middleware', () => {
+    it('coerces params and query strings but not JSON bodies', () => {
+      const { req, error } = run(
+        {
+          params: { id: idParam },
+          query: { limit: { type: 'integer', default: 20 }, archived: { type: 'boolean' } },
+          body: { count: { type: 'integer' } },
+        },
+        { params: { id: '42' }, query: { archived: 'true' }, body: { count: 3 } }
+      );
+      assert.equal(error, undefined);
+      assert.deepEqual(req.params, { id: 42 });
+      assert.deepEqual(req.query, { limit: 20, archived: true });
+      assert.deepEqual(req.body, { count: 3 });
+
+      const body = run({ body: { count: { type: 'integer' } } }, { body: { count: '3' } });
+      assert.deepEqual(body.error.details, [{ location: 'body', field: 'count', message: 'count must be an integer' }]);
+    });
+
+    it('refuses ids that are not positive integers', () => {
+      for (const id of ['0', '-1', '1.5', 'abc', '9007199254740993']) {
+        const { error } = run({ params: { id: idParam } }, { params: { id } });
+        assert.ok(error instanceof RequestValidationError, id);
+      }
+    });
+
+    it('leaves the request as it was when it fails', () => {
+      const body = { title: 'a', userId: 2 };
+      const { req, error } = run({ body: { title: { type: 'string' } } }, { body });
+      assert.ok(error instanceof RequestValidationError);
+      assert.equal(req.body, body);
+    });
+
+    it('reports the problems of every part at once', () => {
+      const { error } = run(
+        { params: { id: idParam }, body: { title: { type: 'string', required: true } } },
+        { params: { id: 'x' }, body: { userId: 2 } }
+      );
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.details, [
+        { location: 'params', field: 'id', message: 'id must be an integer' },
+        { location: 'body', field: 'userId', message: 'userId is not allowed' },
+        { location: 'body', field: 'title', message: 'title is required' },
+      ]);
+    });
+
+    it('answers 400 with the problems in validationErrorHandler', () => {
+      const error = new RequestValidationError([{ location: 'body', field: 'a', message: 'a is required' }]);
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+        },
+      };
+      validationErrorHandler(error, {}, res, () => assert.fail('should answer'));
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(res.body, { error: 'Validation failed', details: error.details });
+
+      const other = new Error('boom');
+      let passed;
+      validationErrorHandler(other, {}, res, (next) => {
+        passed = next;
+      });
+      assert.equal(passed, other);
+    });
+  });
+});
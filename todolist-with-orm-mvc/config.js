@@ -0,0 +1,101 @@
+require("dotenv/config");
+
+// What DELETE /users/:id does with the user's todos:
+//   refuse   - 409 while the user still has todos (default)
+//   cascade  - delete the todos with the user
+//   reassign - hand the todos over to another user (?reassignTo=<id>, or
+//              USER_DELETE_REASSIGN_TO when the request doesn't say)
+const DELETE_POLICIES = ["refuse", "cascade", "reassign"];
+
+const userConfig = {
+  deletePolicy: process.env.USER_DELETE_POLICY || "refuse",
+  reassignTo: Number(process.env.USER_DELETE_REASSIGN_TO) || null,
+};
+
+if (!DELETE_POLICIES.includes(userConfig.deletePolicy)) {
+  throw new Error(
+    `USER_DELETE_POLICY must be one of ${DELETE_POLICIES.join(", ")}, got ${userConfig.deletePolicy}`
+  );
+}
+
+// scrypt cost for new password hashes. Raising it makes login upgrade older
+// hashes transparently.
+const passwordConfig = {
+  N: Number(process.env.PASSWORD_SCRYPT_N) || 2 ** 14,
+  r: Number(process.env.PASSWORD_SCRYPT_R) || 8,
+  p: Number(process.env.PASSWORD_SCRYPT_P) || 1,
+  keyLength: 64,
+  saltLength: 16,
+};
+
+const days = (name, fallback) => (Number(process.env[name]) || fallback) * 24 * 60 * 60 * 1000;
+
+// Deleted todos stay in the trash (restorable) for the retention period, then
+// a background job purges them for good.
+const trashConfig = {
+  retentionMs: days("TODO_TRASH_RETENTION_DAYS", 30),
+  purgeIntervalMs: (Number(process.env.TODO_PURGE_INTERVAL_SECONDS) || 60 * 60) * 1000,
+};
+
+const seconds = (name, fallback) => (Number(process.env[name]) || fallback) * 1000;
+
+// Session lifetime (shared/session-policy.js, the rules session_auth uses).
+// A session ends when either limit is reached.
+const sessionConfig = {
+  // Hard limit counted from login, whatever the activity
+  absoluteTimeoutMs: seconds("SESSION_ABSOLUTE_TIMEOUT_SECONDS", 7 * 24 * 60 * 60),
+  // Sliding limit counted from the last request made with the session
+  idleTimeoutMs: seconds("SESSION_IDLE_TIMEOUT_SECONDS", 30 * 60),
+  // lastSeenAt is written at most this often
+  touchIntervalMs: seconds("SESSION_TOUCH_INTERVAL_SECONDS", 60),
+  // How often expired rows are deleted from user_sessions
+  sweepIntervalMs: seconds("SESSION_SWEEP_INTERVAL_SECONDS", 15 * 60),
+};
+
+// Live change feed (GET /todos/stream). With the postgres transport every
+// process relays its events through LISTEN/NOTIFY, so subscribers see
+// changes made through any process; memory only reaches this process.
+const FEED_TRANSPORTS = ["memory", "postgres"];
+
+const feedConfig = {
+  transport: process.env.TODO_FEED_TRANSPORT || "memory",
+  // Most events replayed to a client resuming with Last-Event-ID; further
+  // behind, it gets a reset and reloads
+  replaySize: Number(process.env.TODO_FEED_REPLAY_SIZE) || 1000,
+  heartbeatMs: seconds("TODO_FEED_HEARTBEAT_SECONDS", 15),
+  // Reconnect delay suggested to EventSource clients
+  retryMs: seconds("TODO_FEED_RETRY_SECONDS", 3),
+};
+
+if (!FEED_TRANSPORTS.includes(feedConfig.transport)) {
+  throw new Error(
+    `TODO_FEED_TRANSPORT must be one of ${FEED_TRANSPORTS.join(", ")}, got ${feedConfig.transport}`
+  );
+}
+
+// Outgoing webhooks. A failed delivery is retried after backoffMs, then
+// twice as long each time (capped at maxBackoffMs) until maxAttempts.
+// allowedHosts may resolve to loopback or private addresses, which are
+// refused otherwise (see utils/webhook-targets.js).
+const webhookConfig = {
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  backoffMs: seconds("WEBHOOK_BACKOFF_SECONDS", 30),
+  maxBackoffMs: seconds("WEBHOOK_MAX_BACKOFF_SECONDS", 6 * 60 * 60),
+  timeoutMs: seconds("WEBHOOK_TIMEOUT_SECONDS", 10),
+  pollIntervalMs: seconds("WEBHOOK_POLL_SECONDS", 5),
+  batchSize: Number(process.env.WEBHOOK_BATCH_SIZE) || 20,
+  allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+};
+
+module.exports = {
+  DELETE_POLICIES,
+  userConfig,
+  passwordConfig,
+  trashConfig,
+  sessionConfig,
+  feedConfig,
+  webhookConfig,
+};
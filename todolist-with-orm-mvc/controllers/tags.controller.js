@@ -0,0 +1,78 @@
+const db = require("../db");
+const { tagsTable, todoTags, todosTable } = require("../models");
+const { eq, and, count, asc, isNull } = require("drizzle-orm");
+const { NotFoundError, ConflictError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
+// getAllTags, createTag, renameTag, deleteTag
+
+// Tags are personal, like todos: other users' tags look like missing ones.
+const ownTag = (req) =>
+  and(eq(tagsTable.id, req.params.id), eq(tagsTable.userId, req.user.id));
+
+const tagColumns = { id: tagsTable.id, name: tagsTable.name };
+
+const getAllTags = async (req, res) => {
+  const tags = await db
+    .select({ ...tagColumns, todos: count(todosTable.id) })
+    .from(tagsTable)
+    .leftJoin(todoTags, eq(todoTags.tagId, tagsTable.id))
+    // Todos in the trash don't count
+    .leftJoin(todosTable, and(eq(todosTable.id, todoTags.todoId), isNull(todosTable.deletedAt)))
+    .where(eq(tagsTable.userId, req.user.id))
+    .groupBy(tagsTable.id)
+    .orderBy(asc(tagsTable.name));
+  return sendSuccess(res, {
+    message: "tags fetched successfully",
+    data: tags,
+  });
+};
+
+const createTag = async (req, res) => {
+  const { name } = req.body;
+  const [tag] = await db
+    .insert(tagsTable)
+    .values({ userId: req.user.id, name })
+    .onConflictDoNothing()
+    .returning(tagColumns);
+  if (!tag) {
+    throw new ConflictError(`Tag ${name} already exists.`);
+  }
+  return sendSuccess(res, {
+    statusCode: 201,
+    message: "tag created successfully",
+    data: tag,
+  });
+};
+
+const renameTag = async (req, res) => {
+  const [tag] = await db
+    .update(tagsTable)
+    .set({ name: req.body.name })
+    .where(ownTag(req))
+    .returning(tagColumns);
+  if (!tag) {
+    throw new NotFoundError("Tag not found.");
+  }
+  return sendSuccess(res, {
+    message: "tag renamed successfully",
+    data: tag,
+  });
+};
+
+// Removes the tag from every todo it was on (todo_tags cascade).
+const deleteTag = async (req, res) => {
+  const [tag] = await db.delete(tagsTable).where(ownTag(req)).returning(tagColumns);
+  if (!tag) {
+    throw new NotFoundError("Tag not found.");
+  }
+  return sendSuccess(res, {
+    message: "tag deleted successfully",
+  });
+};
+
+module.exports = {
+  getAllTags,
+  createTag,
+  renameTag,
+  deleteTag,
+};
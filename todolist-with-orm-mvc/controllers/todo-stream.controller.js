@@ -0,0 +1,100 @@
+const { todoFeed } = require("../utils/todo-feed");
+const { feedConfig } = require("../config");
+// streamTodos
+
+// One Server-Sent Event. `data` is a single JSON line.
+const sseMessage = ({ id, event, data }) =>
+  `${id !== undefined ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// GET /todos/stream: live created/updated/deleted/restored events of the
+// caller's todos as Server-Sent Events, in commit order. Event ids are the
+// events' `seq`. A reconnecting client sends the last id it saw (Last-Event-ID
+// header, or ?lastEventId= where the header can't be set) and first gets what
+// it missed, read from todo_events. When that is more than the replay limit
+// it gets a `reset` event instead and should reload its todos.
+//
+// The same catch-up runs whenever the stream notices it is missing events:
+// a live event that isn't the next seq, or a feed resync after the Postgres
+// listener reconnected.
+const streamTodos = (req, res) => {
+  const userId = req.user.id;
+  const header = req.get("last-event-id");
+  const lastEventId = /^\d+$/.test(header ?? "") ? Number(header) : req.query.lastEventId;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Keeps proxies like nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${feedConfig.retryMs}\n\n`);
+
+  // seq of the last event the client has; undefined until it has one
+  let lastSeq = lastEventId;
+  // Live events that came while catching up
+  let queued = null;
+  let closed = false;
+
+  const send = (event) => {
+    res.write(sseMessage({ id: event.seq, event: event.type, data: event }));
+    lastSeq = event.seq;
+  };
+
+  const receive = (event) => {
+    if (queued) {
+      queued.push(event);
+    } else if (lastSeq === undefined || event.seq === lastSeq + 1) {
+      send(event);
+    } else if (event.seq > lastSeq) {
+      catchUp();
+    }
+    // Anything older has been sent already
+  };
+
+  const catchUp = async () => {
+    if (queued || lastSeq === undefined) {
+      return;
+    }
+    queued = [];
+    try {
+      const missed = await todoFeed.since(userId, lastSeq);
+      if (closed) {
+        return;
+      }
+      if (missed === null) {
+        res.write(sseMessage({ event: "reset", data: { reason: "Events since the last id are no longer available." } }));
+        lastSeq = undefined;
+      } else {
+        missed.forEach(send);
+      }
+    } catch (error) {
+      // The client reconnects with its last id and catches up then
+      console.error("Todo stream catch-up failed:", error);
+      res.end();
+      return;
+    }
+    const events = queued;
+    queued = null;
+    events.forEach(receive);
+  };
+
+  // Subscribed first, so events committed during the catch-up are queued
+  const unsubscribe = todoFeed.subscribe(userId, receive, catchUp);
+  catchUp();
+
+  // Comment lines keep idle connections (and proxies) from timing out
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n");
+  }, feedConfig.heartbeatMs);
+
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+module.exports = {
+  streamTodos,
+};
@@ -1,108 +1,907 @@
 const db = require("../db");
-const { todosTable, usersTable } = require("../models");
-const { eq, sql } = require("drizzle-orm");
-// getAllTodos, getTodoById, createTodo, updateTodo, deleteTodo
+const { todosTable, todoEvents, usersTable } = require("../models");
+const { eq, and, or, sql, count, gt, gte, lte, lt, isNull, isNotNull, asc, getTableColumns } = require("drizzle-orm");
+const { Readable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const {
+  parseSort,
+  parsePagination,
+  orderByClause,
+  keysetCondition,
+  buildPage,
+} = require("../utils/pagination");
+const { todoSearchVector, todoSearchQuery, headline } = require("../utils/search");
+const { todoTagNames, hasTag, replaceTodoTags } = require("../utils/tags");
+const { inTransaction, diffTodo, recordEvent, recordEvents } = require("../utils/history");
+const { trashSubtree, restoreSubtree, purgeTrash } = require("../utils/trash");
+const {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+} = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
+const { entityTag, sendNotModified, ifMatches } = require("../../shared/conditional");
+const { toAppError } = require("../middleware/error-handler");
+const { validateObject } = require("../../shared/validate");
+const {
+  CONTENT_TYPES,
+  formatFromContentType,
+  serializeRecords,
+  readRecords,
+} = require("../../shared/import-export");
+const {
+  todoFilters,
+  importTodoRow,
+  createTodoBody,
+  updateTodoBody,
+  bulkOperation,
+  bulkSetBody,
+} = require("../schemas/todos.schema");
+// getAllTodos, getTodoById, createTodo, updateTodo, deleteTodo, getSubtasks, reorderSubtasks,
+// getTrash, emptyTrash, restoreTodo, getTodoHistory, bulkTodos, exportTodos, importTodos
 
-const getAllTodos = async (req, res) => {
-  try {
-    const q = req.query.q;
-    if (q) {
-      // Way to search todos by title (case-insensitive) using ilike, which will non performant on large datasets(1 lakhs+ records)
-      // const todos = await db.select().from(todosTable).where(ilike(todosTable.title, `%${q}%`));
-      // Better way is to index search using GIN index
-      // Format the search query properly - replace spaces with & for AND operation
-      const searchQuery = q.trim().split(/\s+/);
-      const todos = await db.select().from(todosTable).where(
-          sql`to_tsvector('english', ${todosTable.title}) @@ to_tsquery('english', ${searchQuery})`
-        );
-      return res.status(200).json({
-        message: "todos searched with " + q + " successfully",
-        data: todos,
-        pagination: {},
-      });
+// Every query is scoped to the todos owned by the session user (req.user).
+const ownedBy = (req) => eq(todosTable.userId, req.user.id);
+
+// Deleted todos sit in the trash and are left out of everything but the
+// trash, restore and history endpoints.
+const notDeleted = () => isNull(todosTable.deletedAt);
+
+// Matches the todo (from the route params by default) only if the caller owns
+// it, so other users' todos look exactly like missing ones (404).
+const ownTodo = (req, id = req.params.id) =>
+  and(eq(todosTable.id, id), ownedBy(req), notDeleted());
+
+// Todo columns plus its tag names, returned by every endpoint.
+const todoWithTags = () => ({
+  ...getTableColumns(todosTable),
+  tags: todoTagNames(todosTable.id),
+});
+
+// Todos are private to their user: browsers may keep a copy but must check
+// it's still current before using it (a 304 when it is).
+const TODO_CACHE_CONTROL = "private, no-cache";
+
+// The check behind If-Match on PUT and DELETE, run on the locked todo. The
+// ETag is the one GET /todos/:id sends for it.
+const ifMatchPrecondition = (req) => {
+  if (req.get("if-match") === undefined) {
+    return undefined;
+  }
+  return (todo) => {
+    if (!ifMatches(req, entityTag(todo))) {
+      throw new PreconditionFailedError("The todo has changed since you fetched it. Fetch it again and retry.");
     }
-    const todos = await db.select().from(todosTable);
-    return res.status(200).json({
-      message: "todos fetched successfully",
-      data: todos,
-      pagination: {},
-    });
+  };
+};
+
+// Overdue: due in the past and still open.
+const overdue = () =>
+  and(lt(todosTable.dueAt, new Date()), eq(todosTable.completed, false));
+
+// Builds the WHERE conditions shared by listing and searching.
+// Supported filters: ?completed=true|false, ?q=<text>, ?tag=<name>,
+// ?priority=, ?dueAfter=&dueBefore= (ISO dates), ?overdue=true|false,
+// ?parentId=<id>. The route's query schema has already converted the types.
+// Bulk updates pass the same filters from their body as `query`.
+const buildTodoFilters = (req, query = req.query) => {
+  const conditions = [ownedBy(req), notDeleted()];
+  if (query.completed !== undefined) {
+    conditions.push(eq(todosTable.completed, query.completed));
+  }
+  if (query.q) {
+    // Way to search todos by title (case-insensitive) using ilike, which will non performant on large datasets(1 lakhs+ records)
+    // const todos = await db.select().from(todosTable).where(ilike(todosTable.title, `%${q}%`));
+    // Better way is to search the weighted title + description vector backed by a GIN index
+    conditions.push(
+      sql`${todoSearchVector(todosTable)} @@ ${todoSearchQuery(query.q)}`
+    );
+  }
+  if (query.tag) {
+    conditions.push(hasTag(todosTable.id, query.tag));
+  }
+  if (query.priority) {
+    conditions.push(eq(todosTable.priority, query.priority));
+  }
+  if (query.dueAfter) {
+    conditions.push(gte(todosTable.dueAt, query.dueAfter));
+  }
+  if (query.dueBefore) {
+    conditions.push(lte(todosTable.dueAt, query.dueBefore));
+  }
+  if (query.overdue !== undefined) {
+    conditions.push(
+      query.overdue
+        ? overdue()
+        : or(isNull(todosTable.dueAt), gte(todosTable.dueAt, new Date()), eq(todosTable.completed, true))
+    );
+  }
+  if (query.parentId !== undefined) {
+    conditions.push(eq(todosTable.parentId, query.parentId));
+  }
+  return conditions;
+};
+
+// completedAt follows `completed`: stamped when it flips to true (kept if it
+// already was), cleared when it flips to false. The CASE reads the row's
+// current value, so repeating "completed: true" keeps the original time.
+const completedAtFor = (completed) =>
+  completed
+    ? sql`case when ${todosTable.completed} then ${todosTable.completedAt} else ${new Date().toISOString()}::timestamp end`
+    : null;
+
+// A parent must be one of the user's todos, and moving a todo under one of
+// its own subtasks (or itself) would make a cycle.
+const checkParent = async (tx, req, parentId, todoId) => {
+  const [parent] = await tx
+    .select({ id: todosTable.id })
+    .from(todosTable)
+    .where(and(eq(todosTable.id, parentId), ownedBy(req), notDeleted()));
+  if (!parent) {
+    throw new ValidationError("parentId must be the id of one of your todos.");
+  }
+  if (todoId === undefined) {
+    return;
+  }
+  const { rows } = await tx.execute(sql`
+    with recursive ancestors(id, parent_id) as (
+      select ${todosTable.id}, ${todosTable.parentId} from ${todosTable} where ${todosTable.id} = ${parentId}
+      union all
+      select t.id, t.parent_id from ${todosTable} t inner join ancestors a on t.id = a.parent_id
+    )
+    select 1 from ancestors where id = ${todoId} limit 1`);
+  if (rows.length > 0) {
+    throw new ValidationError("A todo can't become a subtask of itself or of its own subtasks.");
+  }
+};
+
+// New subtasks go to the end of their parent's list.
+const nextPosition = async (tx, parentId) => {
+  const [{ position }] = await tx
+    .select({ position: sql`coalesce(max(${todosTable.position}) + 1, 0)`.mapWith(Number) })
+    .from(todosTable)
+    .where(eq(todosTable.parentId, parentId));
+  return position;
+};
+
+// Reads sort and paging from the query string; bad values are a 400.
+const readListOptions = (req, sortable, sortDefaults) => {
+  try {
+    const sort = parseSort(req.query, sortable, sortDefaults);
+    return { sort, page: parsePagination(req.query, sort) };
   } catch (error) {
-    res.status(500).json({ error: "Failed to fetch data." });
+    throw new ValidationError(error.message);
   }
 };
 
+// One page of `selection` from the todos matching `where`, plus the total.
+const fetchTodoPage = async (selection, where, { sort, page }) => {
+  const { column, order } = sort;
+  const pageWhere = page.cursor
+    ? and(where, keysetCondition(column, todosTable.id, order, page.cursor))
+    : where;
+
+  const [rows, [{ total }]] = await Promise.all([
+    db
+      .select(selection)
+      .from(todosTable)
+      .where(pageWhere)
+      .orderBy(...orderByClause(column, todosTable.id, order))
+      .limit(page.limit + 1)
+      .offset(page.cursor ? 0 : page.offset),
+    db.select({ total: count() }).from(todosTable).where(where),
+  ]);
+  return buildPage(rows, { ...page, ...sort, total });
+};
+
+const getAllTodos = async (req, res) => {
+  const q = req.query.q;
+  // Search results carry a relevance rank (sortable, and the default order)
+  // and highlighted snippets of the matched fields.
+  const searchQuery = q ? todoSearchQuery(q) : null;
+  const rank = q
+    ? sql`ts_rank(${todoSearchVector(todosTable)}, ${searchQuery})`.mapWith(Number)
+    : null;
+  const columns = getTableColumns(todosTable);
+  const sortable = q ? { ...columns, rank } : columns;
+  const selection = q
+    ? {
+        ...todoWithTags(),
+        rank,
+        highlight: {
+          title: headline(todosTable.title, searchQuery),
+          description: headline(todosTable.description, searchQuery),
+        },
+      }
+    : todoWithTags();
+
+  const options = readListOptions(
+    req,
+    sortable,
+    q ? { defaultSort: "rank", defaultOrder: "desc" } : undefined
+  );
+  const where = and(...buildTodoFilters(req));
+  const { data, pagination } = await fetchTodoPage(selection, where, options);
+  // No Last-Modified: a todo leaving the list (deleted, or no longer
+  // matching) doesn't show in any remaining todo's updatedAt
+  if (sendNotModified(req, res, { etag: entityTag({ data, pagination }), cacheControl: TODO_CACHE_CONTROL })) {
+    return;
+  }
+  return sendSuccess(res, {
+    message: q
+      ? "todos searched with " + q + " successfully"
+      : "todos fetched successfully",
+    data,
+    pagination,
+  });
+};
+
 const getTodoById = async (req, res) => {
-  const id = req.params.id;
   const todo = await db
-    .select()
+    .select(todoWithTags())
     .from(todosTable)
-    .where((table) => eq(table.id, id))
+    .where(ownTodo(req))
     .limit(1);
   if (todo.length === 0) {
-    return res.status(404).json({ error: "Todo not found." });
+    throw new NotFoundError("Todo not found.");
   }
-  res.status(200).json({
+  // updatedAt only follows the todo's own columns, so a renamed tag changes
+  // the ETag but not Last-Modified
+  const validators = { etag: entityTag(todo[0]), lastModified: todo[0].updatedAt, cacheControl: TODO_CACHE_CONTROL };
+  if (sendNotModified(req, res, validators)) {
+    return;
+  }
+  return sendSuccess(res, {
     message: "todo fetched successfully",
     data: todo[0],
   });
 };
-const createTodo = async (req, res) => {
-  const { title, description, userId } = req.body;
+// The write behind POST /todos, also used by the bulk endpoint. `body` has
+// been checked against createTodoBody.
+const insertTodo = async (tx, req, body) => {
+  const { tags, parentId, completed, ...fields } = body;
   const newTodo = {
-    title: title,
-    description: description,
-    userId: userId,
+    ...fields,
+    userId: req.user.id,
   };
-  if (!title || title === "") {
-    return res.status(400).json({ error: "Title is required." });
+  if (completed !== undefined) {
+    newTodo.completed = completed;
+    newTodo.completedAt = completed ? new Date() : null;
   }
-  const userExists = await db
-    .select()
-    .from(usersTable)
-    .where(eq(usersTable.id, userId))
-    .limit(1);
-  if (userExists.length === 0) {
-    return res
-      .status(400)
-      .json({ error: "Invalid userId. User does not exist." });
-  }
-  const [result] = await db
-    .insert(todosTable)
-    .values(newTodo)
-    .returning({ id: todosTable.id });
-  return res.status(201).json({
+  if (parentId) {
+    await checkParent(tx, req, parentId);
+    newTodo.parentId = parentId;
+    newTodo.position = await nextPosition(tx, parentId);
+  }
+  const [todo] = await tx.insert(todosTable).values(newTodo).returning();
+  const tagNames = tags ? await replaceTodoTags(tx, todo.id, req.user.id, tags) : [];
+  const created = { ...todo, tags: tagNames };
+  await recordEvent(tx, {
+    todoId: todo.id,
+    actorId: req.user.id,
+    type: "created",
+    changes: diffTodo({}, created),
+  });
+  return created;
+};
+
+const createTodo = async (req, res) => {
+  const result = await inTransaction((tx) => insertTodo(tx, req, req.body));
+  return sendSuccess(res, {
+    statusCode: 201,
     message: "todo created successfully",
-    id: result?.id,
+    data: result,
   });
 };
-const updateTodo = async (req, res) => {
-  const body = req.body;
-  const id = req.params.id;
-  const todo = await db
+// The write behind PUT /todos/:id, also used by the bulk endpoint. `body`
+// has been checked against updateTodoBody, which only lets editable fields
+// through. `precondition(current)` may throw to cancel the change.
+const changeTodo = async (tx, req, id, body, { precondition } = {}) => {
+  const { tags, ...changes } = body;
+  if (Object.keys(body).length === 0) {
+    throw new ValidationError("Nothing to update.");
+  }
+  const current = await lockOwnTodo(tx, req, id);
+  precondition?.(current);
+
+  const set = { ...changes, updatedAt: new Date() };
+  if (changes.completed !== undefined) {
+    set.completedAt = completedAtFor(changes.completed);
+  }
+  if (changes.parentId !== undefined && changes.parentId !== current.parentId) {
+    if (changes.parentId !== null) {
+      await checkParent(tx, req, changes.parentId, current.id);
+    }
+    set.position = changes.parentId === null ? 0 : await nextPosition(tx, changes.parentId);
+  }
+
+  if (tags !== undefined) {
+    await replaceTodoTags(tx, current.id, req.user.id, tags);
+  }
+  const [todo] = await tx
     .update(todosTable)
-    .set(body)
-    .where((table) => eq(table.id, id))
-    .returning();
-  if (todo.length === 0) {
-    return res.status(404).json({ error: "Todo not found." });
+    .set(set)
+    .where(ownTodo(req, id))
+    .returning(todoWithTags());
+  const changed = diffTodo(current, todo);
+  if (Object.keys(changed).length > 0) {
+    await recordEvent(tx, { todoId: todo.id, actorId: req.user.id, type: "updated", changes: changed });
   }
-  return res.status(200).json({
+  return todo;
+};
+
+const updateTodo = async (req, res) => {
+  const result = await inTransaction((tx) =>
+    changeTodo(tx, req, req.params.id, req.body, { precondition: ifMatchPrecondition(req) })
+  );
+  res.set("ETag", entityTag(result));
+  return sendSuccess(res, {
     message: "todo updated successfully",
-    result: todo[0],
+    data: result,
+  });
+};
+// Moves the todo and its subtasks to the trash. They can be restored until
+// the purger removes them for good (see utils/trash.js). Returns the ids of
+// every trashed todo. `precondition(todo)` may throw to keep it.
+const trashTodo = async (tx, req, id, { precondition } = {}) => {
+  const todo = await lockOwnTodo(tx, req, id);
+  precondition?.(todo);
+  const deletedAt = new Date();
+  const ids = await trashSubtree(tx, todo.id, deletedAt);
+  await recordEvents(tx, {
+    todoIds: ids,
+    actorId: req.user.id,
+    type: "deleted",
+    changes: diffTodo({}, { deletedAt }),
   });
+  return ids;
 };
+
 const deleteTodo = async (req, res) => {
-  const id = req.params.id;
-  const deletedCount = await db
-    .delete(todosTable)
-    .where(eq(todosTable.id, id))
-    .returning();
-  if (deletedCount.length === 0) {
-    return res.status(404).json({ error: "Todo not found." });
+  await inTransaction((tx) => trashTodo(tx, req, req.params.id, { precondition: ifMatchPrecondition(req) }));
+  return sendSuccess(res, {
+    message: "todo moved to trash successfully",
+  });
+};
+
+// The todo as GET /todos/:id shows it, locked until the transaction ends so
+// nothing changes it between the checks and the write.
+const lockOwnTodo = async (tx, req, id) => {
+  const [todo] = await tx
+    .select(todoWithTags())
+    .from(todosTable)
+    .where(ownTodo(req, id))
+    .for("update");
+  if (!todo) {
+    throw new NotFoundError("Todo not found.");
   }
-  return res.status(200).json({
-    message: "todo deleted successfully",
+  return todo;
+};
+
+const findOwnTodo = async (executor, req, id) => {
+  const [todo] = await executor
+    .select({ id: todosTable.id })
+    .from(todosTable)
+    .where(ownTodo(req, id));
+  if (!todo) {
+    throw new NotFoundError("Todo not found.");
+  }
+  return todo;
+};
+
+const getSubtasks = async (req, res) => {
+  const parent = await findOwnTodo(db, req);
+  const subtasks = await db
+    .select(todoWithTags())
+    .from(todosTable)
+    .where(and(eq(todosTable.parentId, parent.id), notDeleted()))
+    .orderBy(asc(todosTable.position), asc(todosTable.id));
+  return sendSuccess(res, {
+    message: "subtasks fetched successfully",
+    data: subtasks,
+  });
+};
+
+// Body { ids: [...] } lists every subtask of the todo in the new order.
+const reorderSubtasks = async (req, res) => {
+  const { ids } = req.body;
+  const subtasks = await inTransaction(async (tx) => {
+    const parent = await findOwnTodo(tx, req);
+    const children = await tx
+      .select({ id: todosTable.id, position: todosTable.position })
+      .from(todosTable)
+      .where(and(eq(todosTable.parentId, parent.id), notDeleted()));
+    const positions = new Map(children.map((child) => [child.id, child.position]));
+    const childIds = new Set(positions.keys());
+    if (new Set(ids).size !== ids.length || ids.length !== childIds.size || !ids.every((id) => childIds.has(id))) {
+      throw new ValidationError("ids must list every subtask of the todo exactly once.");
+    }
+    for (const [position, id] of ids.entries()) {
+      if (positions.get(id) === position) {
+        continue;
+      }
+      await tx
+        .update(todosTable)
+        .set({ position, updatedAt: new Date() })
+        .where(eq(todosTable.id, id));
+      await recordEvent(tx, {
+        todoId: id,
+        actorId: req.user.id,
+        type: "updated",
+        changes: diffTodo({ position: positions.get(id) }, { position }),
+      });
+    }
+    return tx
+      .select(todoWithTags())
+      .from(todosTable)
+      .where(and(eq(todosTable.parentId, parent.id), notDeleted()))
+      .orderBy(asc(todosTable.position), asc(todosTable.id));
+  });
+  return sendSuccess(res, {
+    message: "subtasks reordered successfully",
+    data: subtasks,
+  });
+};
+
+// Trashed todos of the caller, most recently deleted first by default.
+const getTrash = async (req, res) => {
+  const options = readListOptions(req, getTableColumns(todosTable), {
+    defaultSort: "deletedAt",
+    defaultOrder: "desc",
+  });
+  const where = and(ownedBy(req), isNotNull(todosTable.deletedAt));
+  const { data, pagination } = await fetchTodoPage(todoWithTags(), where, options);
+  return sendSuccess(res, {
+    message: "trash fetched successfully",
+    data,
+    pagination,
+  });
+};
+
+// Deletes everything in the caller's trash right away, without waiting for
+// the retention period.
+const emptyTrash = async (req, res) => {
+  const purged = await purgeTrash({ userId: req.user.id });
+  return sendSuccess(res, {
+    message: "trash emptied successfully",
+    data: { purged },
+  });
+};
+
+// Takes a todo out of the trash together with the subtasks that were deleted
+// with it. A subtask whose parent is still in the trash can't come back on
+// its own.
+const restoreTodo = async (req, res) => {
+  const result = await inTransaction(async (tx) => {
+    const [todo] = await tx
+      .select({ id: todosTable.id, parentId: todosTable.parentId, deletedAt: todosTable.deletedAt })
+      .from(todosTable)
+      .where(and(eq(todosTable.id, req.params.id), ownedBy(req), isNotNull(todosTable.deletedAt)));
+    if (!todo) {
+      throw new NotFoundError("Todo not found in trash.");
+    }
+    if (todo.parentId !== null) {
+      const [parent] = await tx
+        .select({ deletedAt: todosTable.deletedAt })
+        .from(todosTable)
+        .where(eq(todosTable.id, todo.parentId));
+      if (parent.deletedAt) {
+        throw new ConflictError("The parent todo is in the trash. Restore it first.", {
+          parentId: todo.parentId,
+        });
+      }
+    }
+    const ids = await restoreSubtree(tx, todo.id);
+    await recordEvents(tx, {
+      todoIds: ids,
+      actorId: req.user.id,
+      type: "restored",
+      changes: diffTodo({ deletedAt: todo.deletedAt }, { deletedAt: null }),
+    });
+    const [restored] = await tx
+      .select(todoWithTags())
+      .from(todosTable)
+      .where(eq(todosTable.id, todo.id));
+    return restored;
+  });
+  return sendSuccess(res, {
+    message: "todo restored successfully",
+    data: result,
+  });
+};
+
+// Change history of one of the caller's todos (trashed ones included),
+// oldest first. Each event says who changed which fields from what to what.
+const getTodoHistory = async (req, res) => {
+  const [todo] = await db
+    .select({ id: todosTable.id })
+    .from(todosTable)
+    .where(and(eq(todosTable.id, req.params.id), ownedBy(req)));
+  if (!todo) {
+    throw new NotFoundError("Todo not found.");
+  }
+
+  const { sort, page } = readListOptions(req, { id: todoEvents.id });
+  const where = eq(todoEvents.todoId, todo.id);
+  const pageWhere = page.cursor
+    ? and(where, keysetCondition(sort.column, todoEvents.id, sort.order, page.cursor))
+    : where;
+  const [rows, [{ total }]] = await Promise.all([
+    db
+      .select({
+        id: todoEvents.id,
+        type: todoEvents.type,
+        changes: todoEvents.changes,
+        createdAt: todoEvents.createdAt,
+        actor: {
+          id: usersTable.id,
+          firstName: usersTable.firstName,
+          lastName: usersTable.lastName,
+        },
+      })
+      .from(todoEvents)
+      .leftJoin(usersTable, eq(todoEvents.actorId, usersTable.id))
+      .where(pageWhere)
+      .orderBy(...orderByClause(sort.column, todoEvents.id, sort.order))
+      .limit(page.limit + 1)
+      .offset(page.cursor ? 0 : page.offset),
+    db.select({ total: count() }).from(todoEvents).where(where),
+  ]);
+
+  const { data, pagination } = buildPage(rows, { ...page, ...sort, total });
+  return sendSuccess(res, {
+    message: "todo history fetched successfully",
+    data,
+    pagination,
+  });
+};
+
+// What each bulk operation needs and does. `status` is reported per item.
+const BULK_OPERATIONS = {
+  create: {
+    data: createTodoBody,
+    status: "created",
+    run: (tx, req, { data }) => insertTodo(tx, req, data),
+  },
+  update: {
+    id: true,
+    data: updateTodoBody,
+    status: "updated",
+    run: (tx, req, { id, data }) => changeTodo(tx, req, id, data),
+  },
+  delete: {
+    id: true,
+    status: "deleted",
+    run: async (tx, req, { id }) => ({ ids: await trashTodo(tx, req, id) }),
+  },
+};
+
+// Throws a ValidationError if `input` doesn't match `schema`, else returns the
+// cleaned value.
+const checkItem = (input, schema, location) => {
+  const { value, problems } = validateObject(input, schema, location);
+  if (problems.length > 0) {
+    throw new ValidationError("Validation failed", problems);
+  }
+  return value;
+};
+
+// Runs one bulk operation inside its own savepoint, so a failure undoes only
+// that operation. Never throws: the outcome is the item's result.
+const runBulkOperation = async (tx, req, input, index) => {
+  const location = `operations.${index}`;
+  try {
+    const operation = checkItem(input, bulkOperation, location);
+    const handler = BULK_OPERATIONS[operation.op];
+    if (handler.id && operation.id === undefined) {
+      throw new ValidationError("Validation failed", [
+        { location, field: "id", message: `id is required for ${operation.op}` },
+      ]);
+    }
+    if (handler.data) {
+      operation.data = checkItem(operation.data ?? {}, handler.data, `${location}.data`);
+    }
+    const data = await inTransaction((savepoint) => handler.run(savepoint, req, operation), tx);
+    return { index, op: operation.op, status: handler.status, data };
+  } catch (error) {
+    const appError = toAppError(error);
+    if (appError.statusCode >= 500) {
+      console.error(error);
+    }
+    return {
+      index,
+      op: input?.op,
+      status: "failed",
+      error: {
+        code: appError.code,
+        message: appError.message,
+        ...(appError.details && { details: appError.details }),
+      },
+    };
+  }
+};
+
+// Sets the same fields on every todo matching the filters (the ones GET
+// /todos accepts), e.g. completing everything tagged "sprint-1". One UPDATE
+// does it however many todos match: the matching rows are locked and their
+// previous values read in its FROM, and RETURNING gives both sides of the
+// change for the history.
+const bulkUpdateByFilter = async (req, res) => {
+  const filter = checkItem(req.body.filter, todoFilters, "filter");
+  const set = checkItem(req.body.set ?? {}, bulkSetBody, "set");
+  if (Object.keys(set).length === 0) {
+    throw new ValidationError("set must change at least one field.");
+  }
+
+  const updated = await inTransaction(async (tx) => {
+    const previous = tx
+      .select({
+        id: todosTable.id,
+        completed: todosTable.completed,
+        completedAt: todosTable.completedAt,
+        priority: todosTable.priority,
+        dueAt: todosTable.dueAt,
+      })
+      .from(todosTable)
+      .where(and(...buildTodoFilters(req, filter)))
+      .for("update")
+      .as("previous");
+    const changes = { ...set, updatedAt: new Date() };
+    if (set.completed !== undefined) {
+      changes.completedAt = completedAtFor(set.completed);
+    }
+    const rows = await tx
+      .update(todosTable)
+      .set(changes)
+      .from(previous)
+      .where(eq(todosTable.id, previous.id))
+      .returning({
+        id: todosTable.id,
+        completed: todosTable.completed,
+        completedAt: todosTable.completedAt,
+        priority: todosTable.priority,
+        dueAt: todosTable.dueAt,
+        before: {
+          completed: previous.completed,
+          completedAt: previous.completedAt,
+          priority: previous.priority,
+          dueAt: previous.dueAt,
+        },
+      });
+
+    // Todos that changed the same way share one insert of their events
+    const byChange = new Map();
+    for (const { before, ...todo } of rows) {
+      const changed = diffTodo(before, todo);
+      if (Object.keys(changed).length === 0) {
+        continue;
+      }
+      const key = JSON.stringify(changed);
+      if (!byChange.has(key)) {
+        byChange.set(key, { changes: changed, todoIds: [] });
+      }
+      byChange.get(key).todoIds.push(todo.id);
+    }
+    for (const { changes: changed, todoIds } of byChange.values()) {
+      await recordEvents(tx, { todoIds, actorId: req.user.id, type: "updated", changes: changed });
+    }
+    return rows;
+  });
+  return sendSuccess(res, {
+    message: `${updated.length} todos updated successfully`,
+    data: { matched: updated.length, ids: updated.map((todo) => todo.id) },
+  });
+};
+
+// POST /todos/bulk. Everything runs in one transaction and every operation
+// gets a result. In atomic mode (the default) a single failure rolls the
+// whole batch back and the request fails with all the results; in partial
+// mode the operations that succeeded are kept.
+const bulkTodos = async (req, res) => {
+  const { mode, operations, filter } = req.body;
+  if ((operations === undefined) === (filter === undefined)) {
+    throw new ValidationError("Send either operations, or filter with set.");
+  }
+  if (filter !== undefined) {
+    return bulkUpdateByFilter(req, res);
+  }
+
+  const results = await inTransaction(async (tx) => {
+    const results = [];
+    for (const [index, operation] of operations.entries()) {
+      results.push(await runBulkOperation(tx, req, operation, index));
+    }
+    const failed = results.filter((result) => result.status === "failed").length;
+    if (mode === "atomic" && failed > 0) {
+      // Throwing rolls the transaction back
+      throw new AppError(`${failed} of ${results.length} operations failed, so none were applied.`, {
+        statusCode: 400,
+        code: "BULK_OPERATION_FAILED",
+        details: results.map((result) =>
+          result.status === "failed" ? result : { index: result.index, op: result.op, status: "rolled_back" }
+        ),
+      });
+    }
+    return results;
+  });
+
+  const failed = results.filter((result) => result.status === "failed").length;
+  return sendSuccess(res, {
+    message: failed > 0
+      ? `${results.length - failed} of ${results.length} operations applied`
+      : "bulk operations applied successfully",
+    data: { mode, succeeded: results.length - failed, failed, results },
+  });
+};
+
+// Columns of an export, in file order. Imports ignore the ones that only
+// make sense in the account they came from.
+const EXPORT_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "completed",
+  "completedAt",
+  "priority",
+  "dueAt",
+  "parentId",
+  "position",
+  "tags",
+  "createdAt",
+  "updatedAt",
+];
+const IMPORT_IGNORED_COLUMNS = ["id", "completedAt", "parentId", "position", "createdAt", "updatedAt"];
+
+const EXPORT_BATCH_SIZE = 500;
+const IMPORT_BATCH_SIZE = 200;
+// Largest import upload; the body is counted as it streams, so a chunked
+// upload without Content-Length is cut off there too.
+const IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+// Rejected rows listed in the import response; the count covers all of them.
+const MAX_REPORTED_REJECTIONS = 100;
+
+// Yields the matching todos batch by batch (keyset on id), so an export never
+// loads the whole list.
+async function* todosMatching(where) {
+  let lastId = 0;
+  for (;;) {
+    const rows = await db
+      .select(todoWithTags())
+      .from(todosTable)
+      .where(and(where, gt(todosTable.id, lastId)))
+      .orderBy(asc(todosTable.id))
+      .limit(EXPORT_BATCH_SIZE);
+    yield* rows;
+    if (rows.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+// GET /todos/export?format=csv|json|ndjson, with the filters of GET /todos.
+// The file is streamed as it is read.
+const exportTodos = async (req, res) => {
+  const { format, ...filters } = req.query;
+  const where = and(...buildTodoFilters(req, filters));
+  res.set({
+    "Content-Type": CONTENT_TYPES[format],
+    "Content-Disposition": `attachment; filename="todos.${format}"`,
+  });
+  await pipeline(Readable.from(serializeRecords(todosMatching(where), format, EXPORT_COLUMNS)), res);
+};
+
+// A row from the file as a todo body, or the problems with it.
+const readImportRow = (row, format) => {
+  const fields = { ...row };
+  for (const column of IMPORT_IGNORED_COLUMNS) {
+    delete fields[column];
+  }
+  if (format === "csv" && fields.tags !== undefined) {
+    fields.tags = fields.tags.split(";").map((tag) => tag.trim()).filter(Boolean);
+  }
+  // "row" (not "body") lets CSV strings through as booleans and dates
+  const { value, problems } = validateObject(fields, importTodoRow, "row");
+  return { todo: value, errors: problems.map((problem) => problem.message) };
+};
+
+// POST /todos/import with a CSV (header line first) or NDJSON body, picked by
+// ?format= or the Content-Type. The upload is read as a stream and inserted
+// in batches; rows that fail validation (or go past the field and line limits
+// of shared/import-export) are skipped and reported with their line number.
+// Bodies over IMPORT_MAX_BYTES are answered 413. A JSON body has already
+// been read by express.json(), so there's nothing left to stream: it's
+// answered 415 whatever ?format= says.
+//
+// Each batch commits on its own. If one fails (or the upload turns out too
+// large) after others committed, the error says so: its details carry the
+// same counts as a successful response and the line the import stopped at,
+// so the client knows what is already in and where to resume.
+const importTodos = async (req, res) => {
+  const format = req.query.format ?? formatFromContentType(req.get("content-type"));
+  if (!format) {
+    throw new AppError("Send text/csv or application/x-ndjson, or pass ?format=csv|ndjson.", {
+      statusCode: 415,
+      code: "UNSUPPORTED_MEDIA_TYPE",
+    });
+  }
+  if (req.body !== undefined) {
+    throw new AppError("Imports are read as text/csv or application/x-ndjson, not as JSON; send the file with one of those types.", {
+      statusCode: 415,
+      code: "UNSUPPORTED_MEDIA_TYPE",
+    });
+  }
+  if (Number(req.get("content-length")) > IMPORT_MAX_BYTES) {
+    throw new PayloadTooLargeError(`The file is larger than the ${IMPORT_MAX_BYTES} bytes allowed.`);
+  }
+
+  let imported = 0;
+  let rejectedCount = 0;
+  const rejected = [];
+  let batch = [];
+  // Line of the first row not imported yet
+  let pendingLine = 1;
+  const reject = (line, errors) => {
+    rejectedCount++;
+    if (rejected.length < MAX_REPORTED_REJECTIONS) {
+      rejected.push({ line, errors });
+    }
+  };
+  const flush = async () => {
+    const todos = batch;
+    batch = [];
+    await inTransaction(async (tx) => {
+      for (const { todo } of todos) {
+        await insertTodo(tx, req, todo);
+      }
+    });
+    imported += todos.length;
+  };
+
+  try {
+    for await (const { line, row, error } of readRecords(req, format, { maxBytes: IMPORT_MAX_BYTES })) {
+      if (batch.length === 0) {
+        pendingLine = line;
+      }
+      if (error) {
+        reject(line, [`row ${error}`]);
+        continue;
+      }
+      const { todo, errors } = readImportRow(row, format);
+      if (errors.length > 0) {
+        reject(line, errors);
+        continue;
+      }
+      batch.push({ line, todo });
+      if (batch.length >= IMPORT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    if (batch.length > 0) {
+      await flush();
+    }
+  } catch (error) {
+    if (imported === 0) {
+      throw error;
+    }
+    const appError = toAppError(error);
+    throw new AppError(
+      `${appError.message} The import stopped at line ${pendingLine}; the ${imported} todos before it were imported.`,
+      {
+        statusCode: appError.statusCode,
+        code: appError.code,
+        details: { imported, rejected: rejectedCount, rejectedRows: rejected, stoppedAtLine: pendingLine },
+      }
+    );
+  }
+
+  return sendSuccess(res, {
+    statusCode: imported > 0 ? 201 : 200,
+    message: `${imported} todos imported, ${rejectedCount} rows rejected`,
+    data: { imported, rejected: rejectedCount, rejectedRows: rejected },
   });
 };
 
@@ -112,4 +911,13 @@ module.exports = {
   createTodo,
   updateTodo,
   deleteTodo,
+  getSubtasks,
+  reorderSubtasks,
+  getTrash,
+  emptyTrash,
+  restoreTodo,
+  getTodoHistory,
+  bulkTodos,
+  exportTodos,
+  importTodos,
 };
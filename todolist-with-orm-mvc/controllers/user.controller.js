@@ -1,75 +1,198 @@
 
 
 const db = require("../db");
-const { usersTable } = require("../models");
+const { usersTable, userSessions, todosTable, tagsTable } = require("../models");
+const { eq, count } = require("drizzle-orm");
+const {
+    parseSort,
+    parsePagination,
+    orderByClause,
+    keysetCondition,
+    buildPage,
+} = require("../utils/pagination");
+const { hashPassword, verifyPassword } = require("../utils/password");
+const { NotFoundError, UnauthorizedError, ValidationError, ConflictError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
+const { userConfig } = require("../config");
+const { revokeSession } = require("../utils/sessions");
 
-// createUser, updateUser, getUserById, deleteUser
+// createUser, getAllUsers, updateUser, getUserById, deleteUser, login, logout
+
+// Every column except the password, which never leaves the server.
+const publicUser = {
+    id: usersTable.id,
+    firstName: usersTable.firstName,
+    lastName: usersTable.lastName,
+    email: usersTable.email,
+};
+
+// What any signed-in user may see of the others: no email addresses, so the
+// user list can't be harvested for them. A user's own email comes from
+// GET /users/:id.
+const listedUser = {
+    id: usersTable.id,
+    firstName: usersTable.firstName,
+    lastName: usersTable.lastName,
+};
 
 const createUser = async (req, res) => {
+    const { password, ...profile } = req.body;
+    // A duplicate email violates users_email_unique and becomes a 409
+    const [user] = await db
+        .insert(usersTable)
+        .values({ ...profile, password: await hashPassword(password) })
+        .returning(publicUser);
+    return sendSuccess(res, {
+        statusCode: 201,
+        message: 'user created successfully',
+        data: user
+    });
+};
+
+const getAllUsers = async (req, res) => {
+    let sort, page;
     try {
-        const users = await db.create().from(usersTable).values(req.body).returning();
-        res.status(201).json({
-            status: 'success',
-            data: users,
-            pagination: {}
-        });
+        sort = parseSort(req.query, listedUser);
+        page = parsePagination(req.query, sort);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch data.' });
+        throw new ValidationError(error.message);
     }
+
+    const { column, order } = sort;
+    const where = page.cursor ? keysetCondition(column, usersTable.id, order, page.cursor) : undefined;
+    const [rows, [{ total }]] = await Promise.all([
+        db
+            .select(listedUser)
+            .from(usersTable)
+            .where(where)
+            .orderBy(...orderByClause(column, usersTable.id, order))
+            .limit(page.limit + 1)
+            .offset(page.cursor ? 0 : page.offset),
+        db.select({ total: count() }).from(usersTable),
+    ]);
+
+    const { data, pagination } = buildPage(rows, { ...page, ...sort, total });
+    return sendSuccess(res, {
+        message: 'users fetched successfully',
+        data,
+        pagination
+    });
 };
 
 const getUserById = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const user = await db.select().from(usersTable).where(equals(usersTable.id, id)).get();
-        if (!user) {
-            return res.status(404).json({ error: 'User not found.' });
-        }
-        res.status(200).json({
-            status: 'success',
-            data: user,
-            pagination: {}
-        });
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch data.' });
+    const { id } = req.params;
+    const [user] = await db.select(publicUser).from(usersTable).where(eq(usersTable.id, id));
+    if (!user) {
+        throw new NotFoundError('User not found.');
     }
+    return sendSuccess(res, {
+        message: 'user fetched successfully',
+        data: user
+    });
 };
 const updateUser = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const updatedUser = await db.update(usersTable).set(req.body).where(equals(usersTable.id, id)).returning();
-        if (!updatedUser) {
-            return res.status(404).json({ error: 'User not found.' });
-        }
-        res.status(200).json({
-            status: 'success',
-            data: updatedUser,
-            pagination: {}
-        });
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch data.' });
+    const { id } = req.params;
+    if (Object.keys(req.body).length === 0) {
+        throw new ValidationError('Nothing to update.');
+    }
+    const [updatedUser] = await db.update(usersTable).set(req.body).where(eq(usersTable.id, id)).returning(publicUser);
+    if (!updatedUser) {
+        throw new NotFoundError('User not found.');
     }
+    return sendSuccess(res, {
+        message: 'user updated successfully',
+        data: updatedUser
+    });
 }
+
+// Applies the delete policy (config.js, overridable with ?policy=) to the
+// user's todos, then deletes the user and their sessions in one transaction.
 const deleteUser = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const deletedUser = await db.delete(usersTable).where(equals(usersTable.id, id)).returning();
-        if (!deletedUser) {
-            return res.status(404).json({ error: 'User not found.' });
+    const { id } = req.params;
+    const policy = req.query.policy ?? userConfig.deletePolicy;
+    const reassignTo = req.query.reassignTo ?? userConfig.reassignTo;
+
+    const deletedUser = await db.transaction(async (tx) => {
+        const [{ todos }] = await tx
+            .select({ todos: count() })
+            .from(todosTable)
+            .where(eq(todosTable.userId, id));
+
+        if (todos > 0 && policy === 'refuse') {
+            throw new ConflictError(`User still has ${todos} todo(s). Delete them first or use policy cascade or reassign.`);
         }
-        res.status(200).json({
-            status: 'success',
-            data: deletedUser,
-            pagination: {}
-        });
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch data.' });
+        if (todos > 0 && policy === 'cascade') {
+            await tx.delete(todosTable).where(eq(todosTable.userId, id));
+        }
+        if (todos > 0 && policy === 'reassign') {
+            if (!reassignTo || reassignTo === id) {
+                throw new ValidationError('reassignTo must be the id of another user.');
+            }
+            const [target] = await tx.select({ id: usersTable.id }).from(usersTable).where(eq(usersTable.id, reassignTo));
+            if (!target) {
+                throw new NotFoundError(`User ${reassignTo} to reassign todos to not found.`);
+            }
+            await tx.update(todosTable).set({ userId: reassignTo }).where(eq(todosTable.userId, id));
+        }
+
+        // Tags are personal; reassigned todos lose the deleted user's tags
+        await tx.delete(tagsTable).where(eq(tagsTable.userId, id));
+        await tx.delete(userSessions).where(eq(userSessions.userId, id));
+        const [user] = await tx.delete(usersTable).where(eq(usersTable.id, id)).returning(publicUser);
+        return user;
+    });
+    if (!deletedUser) {
+        throw new NotFoundError('User not found.');
     }
+    return sendSuccess(res, {
+        message: 'user deleted successfully',
+        data: deletedUser
+    });
 }
 
+// Starts a session for the user; the returned id goes in the `session-id` header.
+const login = async (req, res) => {
+    const { email, password } = req.body;
+    const [user] = await db
+        .select({ id: usersTable.id, password: usersTable.password })
+        .from(usersTable)
+        .where(eq(usersTable.email, email))
+        .limit(1);
+    const { valid, needsRehash } = user
+        ? await verifyPassword(password, user.password)
+        : { valid: false };
+    if (!valid) {
+        throw new UnauthorizedError('User does not exists with the provided email or password');
+    }
+    // Replace plaintext rows (and outdated scrypt costs) while we know the password
+    if (needsRehash) {
+        await db
+            .update(usersTable)
+            .set({ password: await hashPassword(password) })
+            .where(eq(usersTable.id, user.id));
+    }
+    const [session] = await db
+        .insert(userSessions)
+        .values({ userId: user.id })
+        .returning({ id: userSessions.id });
+    return sendSuccess(res, {
+        message: 'Login successfully',
+        data: { sessionId: session.id }
+    });
+};
+
+// Ends the session the request was made with; its id stops working at once.
+const logout = async (req, res) => {
+    await revokeSession(req.user.sessionId);
+    return sendSuccess(res, { message: 'Logged out successfully' });
+};
+
 module.exports = {
     createUser,
+    getAllUsers,
     getUserById,
     updateUser,
-    deleteUser
-};
\ No newline at end of file
+    deleteUser,
+    login,
+    logout
+};
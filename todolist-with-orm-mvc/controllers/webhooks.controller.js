@@ -0,0 +1,188 @@
+const { randomBytes } = require("node:crypto");
+const db = require("../db");
+const { webhookSubscriptions, webhookDeliveries } = require("../models");
+const { eq, and, count, asc, getTableColumns } = require("drizzle-orm");
+const {
+  parseSort,
+  parsePagination,
+  orderByClause,
+  keysetCondition,
+  buildPage,
+} = require("../utils/pagination");
+const { NotFoundError, ValidationError, ConflictError } = require("../utils/errors");
+const { sendSuccess } = require("../utils/response");
+const { assertPublicTarget, WebhookTargetError } = require("../utils/webhook-targets");
+// getAllWebhooks, getWebhookById, createWebhook, updateWebhook, deleteWebhook,
+// getWebhookDeliveries, retryWebhookDelivery
+
+// Webhooks are personal, like todos: other users' look like missing ones.
+const ownWebhook = (req) =>
+  and(eq(webhookSubscriptions.id, req.params.id), eq(webhookSubscriptions.userId, req.user.id));
+
+// The secret is only shown when it is set (on create, or when replaced).
+const { secret, ...publicWebhook } = getTableColumns(webhookSubscriptions);
+
+// Refuses URLs that resolve to loopback, private or link-local addresses
+const checkTarget = async (url) => {
+  try {
+    await assertPublicTarget(url);
+  } catch (error) {
+    if (error instanceof WebhookTargetError) {
+      throw new ValidationError(error.message, [{ location: "body", field: "url", message: error.message }]);
+    }
+    throw error;
+  }
+};
+
+const findOwnWebhook = async (req) => {
+  const [webhook] = await db.select(publicWebhook).from(webhookSubscriptions).where(ownWebhook(req));
+  if (!webhook) {
+    throw new NotFoundError("Webhook not found.");
+  }
+  return webhook;
+};
+
+const getAllWebhooks = async (req, res) => {
+  const webhooks = await db
+    .select(publicWebhook)
+    .from(webhookSubscriptions)
+    .where(eq(webhookSubscriptions.userId, req.user.id))
+    .orderBy(asc(webhookSubscriptions.id));
+  return sendSuccess(res, {
+    message: "webhooks fetched successfully",
+    data: webhooks,
+  });
+};
+
+const getWebhookById = async (req, res) => {
+  return sendSuccess(res, {
+    message: "webhook fetched successfully",
+    data: await findOwnWebhook(req),
+  });
+};
+
+const createWebhook = async (req, res) => {
+  await checkTarget(req.body.url);
+  const [webhook] = await db
+    .insert(webhookSubscriptions)
+    .values({
+      ...req.body,
+      userId: req.user.id,
+      secret: req.body.secret ?? randomBytes(32).toString("hex"),
+    })
+    .returning();
+  return sendSuccess(res, {
+    statusCode: 201,
+    message: "webhook created successfully",
+    data: webhook,
+  });
+};
+
+const updateWebhook = async (req, res) => {
+  if (Object.keys(req.body).length === 0) {
+    throw new ValidationError("Nothing to update.");
+  }
+  if (req.body.url) {
+    await checkTarget(req.body.url);
+  }
+  const [webhook] = await db
+    .update(webhookSubscriptions)
+    .set({ ...req.body, updatedAt: new Date() })
+    .where(ownWebhook(req))
+    .returning(req.body.secret ? getTableColumns(webhookSubscriptions) : publicWebhook);
+  if (!webhook) {
+    throw new NotFoundError("Webhook not found.");
+  }
+  return sendSuccess(res, {
+    message: "webhook updated successfully",
+    data: webhook,
+  });
+};
+
+// Its delivery log goes with it (cascade).
+const deleteWebhook = async (req, res) => {
+  const [webhook] = await db
+    .delete(webhookSubscriptions)
+    .where(ownWebhook(req))
+    .returning({ id: webhookSubscriptions.id });
+  if (!webhook) {
+    throw new NotFoundError("Webhook not found.");
+  }
+  return sendSuccess(res, {
+    message: "webhook deleted successfully",
+  });
+};
+
+// Delivery log of one webhook, newest first by default, optionally only
+// ?status=pending|succeeded|failed.
+const getWebhookDeliveries = async (req, res) => {
+  const webhook = await findOwnWebhook(req);
+  let sort, page;
+  try {
+    sort = parseSort(req.query, getTableColumns(webhookDeliveries), { defaultSort: "id", defaultOrder: "desc" });
+    page = parsePagination(req.query, sort);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  const { column, order } = sort;
+  const conditions = [eq(webhookDeliveries.subscriptionId, webhook.id)];
+  if (req.query.status) {
+    conditions.push(eq(webhookDeliveries.status, req.query.status));
+  }
+  const where = and(...conditions);
+  const pageWhere = page.cursor
+    ? and(where, keysetCondition(column, webhookDeliveries.id, order, page.cursor))
+    : where;
+  const [rows, [{ total }]] = await Promise.all([
+    db
+      .select()
+      .from(webhookDeliveries)
+      .where(pageWhere)
+      .orderBy(...orderByClause(column, webhookDeliveries.id, order))
+      .limit(page.limit + 1)
+      .offset(page.cursor ? 0 : page.offset),
+    db.select({ total: count() }).from(webhookDeliveries).where(where),
+  ]);
+
+  const { data, pagination } = buildPage(rows, { ...page, ...sort, total });
+  return sendSuccess(res, {
+    message: "webhook deliveries fetched successfully",
+    data,
+    pagination,
+  });
+};
+
+// Puts a failed delivery back in the queue with a fresh set of attempts.
+const retryWebhookDelivery = async (req, res) => {
+  const webhook = await findOwnWebhook(req);
+  const [delivery] = await db
+    .select({ id: webhookDeliveries.id, status: webhookDeliveries.status })
+    .from(webhookDeliveries)
+    .where(and(eq(webhookDeliveries.id, req.params.deliveryId), eq(webhookDeliveries.subscriptionId, webhook.id)));
+  if (!delivery) {
+    throw new NotFoundError("Delivery not found.");
+  }
+  if (delivery.status !== "failed") {
+    throw new ConflictError(`Only failed deliveries can be retried; this one is ${delivery.status}.`);
+  }
+  const [queued] = await db
+    .update(webhookDeliveries)
+    .set({ status: "pending", attempts: 0, nextAttemptAt: new Date() })
+    .where(eq(webhookDeliveries.id, delivery.id))
+    .returning();
+  return sendSuccess(res, {
+    message: "webhook delivery queued for retry",
+    data: queued,
+  });
+};
+
+module.exports = {
+  getAllWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  retryWebhookDelivery,
+};
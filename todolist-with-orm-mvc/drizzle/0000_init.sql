@@ -0,0 +1,18 @@
+CREATE TABLE "users" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"firstName" varchar(55) NOT NULL,
+	"lastName" varchar(55),
+	"email" varchar(255) NOT NULL,
+	"password" text NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "todos" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"title" text NOT NULL,
+	"description" text,
+	"completed" boolean DEFAULT false NOT NULL,
+	"user_id" integer NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "todos" ADD CONSTRAINT "todos_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "title_search_index" ON "todos" USING gin (to_tsvector('english', "title"));
\ No newline at end of file
@@ -0,0 +1,2 @@
+DROP INDEX "title_search_index";--> statement-breakpoint
+CREATE INDEX "todos_search_index" ON "todos" USING gin ((setweight(to_tsvector('english', coalesce("title", '')), 'A') || setweight(to_tsvector('english', coalesce("description", '')), 'B')));
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "users" ADD CONSTRAINT "users_email_unique" UNIQUE("email");
\ No newline at end of file
@@ -0,0 +1,27 @@
+CREATE TYPE "public"."todo_priority" AS ENUM('low', 'medium', 'high', 'urgent');--> statement-breakpoint
+CREATE TABLE "tags" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"user_id" integer NOT NULL,
+	"name" varchar(50) NOT NULL,
+	CONSTRAINT "tags_user_name_unique" UNIQUE("user_id","name")
+);
+--> statement-breakpoint
+CREATE TABLE "todo_tags" (
+	"todo_id" integer NOT NULL,
+	"tag_id" integer NOT NULL,
+	CONSTRAINT "todo_tags_todo_id_tag_id_pk" PRIMARY KEY("todo_id","tag_id")
+);
+--> statement-breakpoint
+ALTER TABLE "todos" ADD COLUMN "priority" "todo_priority" DEFAULT 'medium' NOT NULL;--> statement-breakpoint
+ALTER TABLE "todos" ADD COLUMN "due_at" timestamp;--> statement-breakpoint
+ALTER TABLE "todos" ADD COLUMN "completed_at" timestamp;--> statement-breakpoint
+ALTER TABLE "todos" ADD COLUMN "parent_id" integer;--> statement-breakpoint
+ALTER TABLE "todos" ADD COLUMN "position" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "todos" ADD COLUMN "created_at" timestamp DEFAULT now() NOT NULL;--> statement-breakpoint
+ALTER TABLE "todos" ADD COLUMN "updated_at" timestamp DEFAULT now() NOT NULL;--> statement-breakpoint
+ALTER TABLE "tags" ADD CONSTRAINT "tags_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "todo_tags" ADD CONSTRAINT "todo_tags_todo_id_todos_id_fk" FOREIGN KEY ("todo_id") REFERENCES "public"."todos"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "todo_tags" ADD CONSTRAINT "todo_tags_tag_id_tags_id_fk" FOREIGN KEY ("tag_id") REFERENCES "public"."tags"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "todos" ADD CONSTRAINT "todos_parent_id_todos_id_fk" FOREIGN KEY ("parent_id") REFERENCES "public"."todos"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "todos_parent_index" ON "todos" USING btree ("parent_id","position");--> statement-breakpoint
+CREATE INDEX "todos_due_index" ON "todos" USING btree ("user_id","due_at");
\ No newline at end of file
@@ -0,0 +1,14 @@
+CREATE TABLE "todo_events" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"todo_id" integer NOT NULL,
+	"actor_id" integer,
+	"type" varchar(20) NOT NULL,
+	"changes" jsonb DEFAULT '{}'::jsonb NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "todos" ADD COLUMN "deleted_at" timestamp;--> statement-breakpoint
+ALTER TABLE "todo_events" ADD CONSTRAINT "todo_events_todo_id_todos_id_fk" FOREIGN KEY ("todo_id") REFERENCES "public"."todos"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "todo_events" ADD CONSTRAINT "todo_events_actor_id_users_id_fk" FOREIGN KEY ("actor_id") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "todo_events_todo_index" ON "todo_events" USING btree ("todo_id","id");--> statement-breakpoint
+CREATE INDEX "todos_deleted_index" ON "todos" USING btree ("deleted_at");
\ No newline at end of file
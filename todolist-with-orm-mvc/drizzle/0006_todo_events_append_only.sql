@@ -0,0 +1,16 @@
+-- todo_events is an audit log: rows are inserted, never edited.
+-- The only update allowed is the foreign key clearing actor_id when the
+-- acting user is deleted (ON DELETE SET NULL).
+CREATE FUNCTION todo_events_append_only() RETURNS trigger AS $$
+BEGIN
+	IF NEW.actor_id IS NULL
+		AND (NEW.id, NEW.todo_id, NEW.type, NEW.changes, NEW.created_at)
+			IS NOT DISTINCT FROM (OLD.id, OLD.todo_id, OLD.type, OLD.changes, OLD.created_at) THEN
+		RETURN NEW;
+	END IF;
+	RAISE EXCEPTION 'todo_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+--> statement-breakpoint
+CREATE TRIGGER todo_events_append_only BEFORE UPDATE ON "todo_events"
+	FOR EACH ROW EXECUTE FUNCTION todo_events_append_only();
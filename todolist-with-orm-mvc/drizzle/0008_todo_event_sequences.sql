@@ -0,0 +1,32 @@
+CREATE TABLE "user_event_sequences" (
+	"user_id" integer PRIMARY KEY NOT NULL,
+	"last_seq" integer NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "todo_events" ADD COLUMN "seq" integer;--> statement-breakpoint
+ALTER TABLE "user_event_sequences" ADD CONSTRAINT "user_event_sequences_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "todo_events_actor_seq_index" ON "todo_events" USING btree ("actor_id","seq");--> statement-breakpoint
+-- Number the existing events of each actor in id order, and start each
+-- user's sequence after them.
+ALTER TABLE "todo_events" DISABLE TRIGGER todo_events_append_only;--> statement-breakpoint
+UPDATE "todo_events" SET "seq" = "numbered"."seq"
+	FROM (
+		SELECT "id", row_number() OVER (PARTITION BY "actor_id" ORDER BY "id") AS "seq"
+		FROM "todo_events"
+		WHERE "actor_id" IS NOT NULL
+	) AS "numbered"
+	WHERE "todo_events"."id" = "numbered"."id";--> statement-breakpoint
+ALTER TABLE "todo_events" ENABLE TRIGGER todo_events_append_only;--> statement-breakpoint
+INSERT INTO "user_event_sequences" ("user_id", "last_seq")
+	SELECT "actor_id", max("seq") FROM "todo_events" WHERE "actor_id" IS NOT NULL GROUP BY "actor_id";--> statement-breakpoint
+-- seq can't be edited either
+CREATE OR REPLACE FUNCTION todo_events_append_only() RETURNS trigger AS $$
+BEGIN
+	IF NEW.actor_id IS NULL
+		AND (NEW.id, NEW.todo_id, NEW.type, NEW.changes, NEW.created_at, NEW.seq)
+			IS NOT DISTINCT FROM (OLD.id, OLD.todo_id, OLD.type, OLD.changes, OLD.created_at, OLD.seq) THEN
+		RETURN NEW;
+	END IF;
+	RAISE EXCEPTION 'todo_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1 @@
+ALTER TABLE "user_sessions" ADD COLUMN "last_seen_at" timestamp DEFAULT now() NOT NULL;
\ No newline at end of file
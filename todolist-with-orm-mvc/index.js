@@ -1,18 +1,48 @@
 const express = require('express');
 const app = express();
 const port = 3000;
-const {loggerMiddleware} = require('./middleware/logger');
+const {loggerMiddleware, captureError} = require('./middleware/logger');
+const {authenticate} = require('./middleware/auth');
+const {notFoundHandler, errorHandler} = require('./middleware/error-handler');
 const todosRoutes = require('./routes/todos.routes');
 const usersRoutes = require('./routes/users.routes');
+const tagsRoutes = require('./routes/tags.routes');
+const webhooksRoutes = require('./routes/webhooks.routes');
+const {startTrashPurger} = require('./utils/trash');
+const {startSessionSweeper} = require('./utils/sessions');
+const {startTodoFeed} = require('./utils/todo-feed');
+const {startWebhookWorker} = require('./utils/webhooks');
 
 // Middlewares
-app.use(express.json());
+// First, so even requests with an unreadable body are logged
 app.use(loggerMiddleware);
+app.use(express.json());
+app.use(authenticate);
 
 
 // Routes
 app.use('/todos', todosRoutes);
 app.use('/users', usersRoutes);
+app.use('/tags', tagsRoutes);
+app.use('/webhooks', webhooksRoutes);
+
+// Unknown routes and every error end up in the same error envelope
+app.use(notFoundHandler);
+// Attaches the error to the request's log entry
+app.use(captureError);
+app.use(errorHandler);
+
+// Deleted todos are purged once their retention period is over
+startTrashPurger();
+// Expired sessions are deleted (they are already refused by authenticate)
+startSessionSweeper();
+// Relays todo changes to GET /todos/stream (across processes with TODO_FEED_TRANSPORT=postgres)
+startTodoFeed().catch((error) => {
+  console.error('Todo feed failed to start:', error);
+  process.exit(1);
+});
+// Sends queued webhook deliveries and retries the failed ones
+startWebhookWorker();
 
 app.listen(port, () => {
   console.log(`Book store app listening at http://localhost:${port}`);
@@ -0,0 +1,68 @@
+const db = require("../db");
+const { userSessions, usersTable } = require("../models");
+const { eq } = require("drizzle-orm");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+const { isSessionExpired, touchSession, revokeSession } = require("../utils/sessions");
+
+// Looks up the `session-id` header (see Authentication_&_Authorization/session_auth)
+// and sets req.user. Expired sessions are deleted and refused, live ones get
+// their idle deadline renewed (utils/sessions.js). Requests without the header
+// pass through anonymously so public routes (signup, login) keep working;
+// ensureAuthenticated guards the rest.
+exports.authenticate = async (req, res, next) => {
+  const sessionId = req.headers["session-id"];
+  if (!sessionId) {
+    return next();
+  }
+
+  try {
+    const [session] = await db
+      .select({
+        sessionId: userSessions.id,
+        createdAt: userSessions.createdAt,
+        lastSeenAt: userSessions.lastSeenAt,
+        id: usersTable.id,
+        firstName: usersTable.firstName,
+        lastName: usersTable.lastName,
+        email: usersTable.email,
+      })
+      .from(userSessions)
+      .innerJoin(usersTable, eq(userSessions.userId, usersTable.id))
+      .where(eq(userSessions.id, sessionId));
+
+    if (!session) {
+      return next(new UnauthorizedError("Invalid session ID"));
+    }
+    if (isSessionExpired(session)) {
+      await revokeSession(session.sessionId);
+      return next(new UnauthorizedError("Session expired"));
+    }
+    await touchSession({ id: session.sessionId, lastSeenAt: session.lastSeenAt });
+
+    const { createdAt, lastSeenAt, ...user } = session;
+    req.user = user;
+    next();
+  } catch (error) {
+    // A malformed id is not a valid uuid (22P02) and makes Postgres reject the query.
+    if (error.cause?.code === "22P02") {
+      return next(new UnauthorizedError("Invalid session ID"));
+    }
+    next(error);
+  }
+};
+
+exports.ensureAuthenticated = (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError("You must be authenticated"));
+  }
+  next();
+};
+
+// For /users/:id routes a user may only act on their own account. Runs after
+// validation, so req.params.id is already a number.
+exports.ensureSelf = (req, res, next) => {
+  if (req.params.id !== req.user.id) {
+    return next(new ForbiddenError("You can only access your own account."));
+  }
+  next();
+};
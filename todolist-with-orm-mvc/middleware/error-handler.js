@@ -0,0 +1,87 @@
+const { AppError, ValidationError, ConflictError, NotFoundError, PayloadTooLargeError } = require("../utils/errors");
+const { RequestValidationError } = require("../../shared/validate");
+const { InputTooLargeError } = require("../../shared/import-export");
+
+// "Key (email)=(a@b.c) already exists." -> "email"
+const keyColumn = (detail) => /Key \(([^)]+)\)=/.exec(detail ?? "")?.[1];
+
+// Postgres error codes we can blame on the request rather than the server.
+// https://www.postgresql.org/docs/current/errcodes-appendix.html
+const PG_ERRORS = {
+  // unique_violation
+  "23505": (pgError) => {
+    const field = keyColumn(pgError.detail);
+    return new ConflictError(
+      field ? `A record with this ${field} already exists.` : "A record with the same value already exists.",
+      field ? [{ field, message: `${field} already exists` }] : undefined
+    );
+  },
+  // foreign_key_violation: deleting a row still referenced, or referencing a missing one
+  "23503": (pgError) =>
+    new ConflictError(
+      /is still referenced/.test(pgError.detail ?? "")
+        ? "The record is still referenced by other records."
+        : "A referenced record does not exist."
+    ),
+  // not_null_violation
+  "23502": (pgError) =>
+    new ValidationError(`${pgError.column ?? "A required field"} is required.`),
+  // check_violation
+  "23514": () => new ValidationError("A value is not allowed."),
+  // invalid_text_representation (e.g. "abc" for an integer)
+  "22P02": () => new ValidationError("A value has an invalid format."),
+  // string_data_right_truncation
+  "22001": () => new ValidationError("A value is too long."),
+};
+
+// Drizzle wraps the driver error in `cause`.
+const postgresError = (error) =>
+  [error, error.cause].find((candidate) => candidate && PG_ERRORS[candidate.code]);
+
+// Maps any error to the AppError it is answered with. Also used where one
+// request reports several errors (bulk results).
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error instanceof RequestValidationError) {
+    return new ValidationError("Validation failed", error.details);
+  }
+  // An import upload that went past its size limit while being read
+  if (error instanceof InputTooLargeError) {
+    return new PayloadTooLargeError(error.message);
+  }
+  const pgError = postgresError(error);
+  if (pgError) {
+    return PG_ERRORS[pgError.code](pgError);
+  }
+  // Errors raised by Express itself, e.g. a malformed JSON body (400)
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new AppError(error.message, { statusCode: error.status, code: "BAD_REQUEST" });
+  }
+  return new AppError("Something went wrong.");
+};
+
+exports.toAppError = toAppError;
+
+exports.notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+// Last middleware of the app: every error ends up here and leaves as
+// { status: "error", code, message, details? }.
+exports.errorHandler = (error, req, res, next) => {
+  const appError = toAppError(error);
+  if (appError.statusCode >= 500) {
+    console.error(error);
+  }
+  if (res.headersSent) {
+    return next(error);
+  }
+  res.status(appError.statusCode).json({
+    status: "error",
+    code: appError.code,
+    message: appError.message,
+    ...(appError.details && { details: appError.details }),
+  });
+};
@@ -1,8 +1,9 @@
+const { createLogger, requestLogger, captureError } = require('../../shared/logger');
 
-const fs = require('node:fs');
+// One NDJSON entry per request in server.log. Level, file and rotation come
+// from the LOG_* environment variables (see shared/logger.js).
+const logger = createLogger();
 
-exports.loggerMiddleware = (req, res, next) => {
-    const log = `\n${new Date().toISOString()} - ${req.method} ${req.originalUrl}`;
-    fs.appendFileSync('server.log', log, 'utf-8');
-    next();
-}
\ No newline at end of file
+exports.logger = logger;
+exports.loggerMiddleware = requestLogger(logger);
+exports.captureError = captureError;
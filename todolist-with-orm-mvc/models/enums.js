@@ -0,0 +1,12 @@
+const { pgEnum } = require("drizzle-orm/pg-core");
+
+// Declared lowest to highest, so sorting by priority follows this order.
+const todoPriority = pgEnum("todo_priority", ["low", "medium", "high", "urgent"]);
+
+// pending until a delivery gets a 2xx answer, failed once it ran out of attempts.
+const webhookDeliveryStatus = pgEnum("webhook_delivery_status", ["pending", "succeeded", "failed"]);
+
+module.exports = {
+  todoPriority,
+  webhookDeliveryStatus,
+};
@@ -0,0 +1,37 @@
+const { pgTable, serial, integer, varchar, jsonb, timestamp, index, uniqueIndex } = require("drizzle-orm/pg-core");
+const usersTable = require("./users.model");
+const todosTable = require("./todos.model");
+
+// Append-only audit log of todo changes. `changes` maps each changed field to
+// { from, to }. Rows are never updated (a trigger rejects it); they go away
+// only with their todo when it is purged.
+const todoEvents = pgTable("todo_events", {
+  id: serial("id").primaryKey(),
+  todoId: integer("todo_id")
+    .references(() => todosTable.id, { onDelete: "cascade" })
+    .notNull(),
+  // Who made the change; kept as null when that user is deleted.
+  actorId: integer("actor_id").references(() => usersTable.id, { onDelete: "set null" }),
+  // created | updated | deleted | restored
+  type: varchar("type", { length: 20 }).notNull(),
+  changes: jsonb("changes").notNull().default({}),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  // Position among the actor's events, in commit order (ids are handed out
+  // before commit, so they can commit out of order). The live feed resumes
+  // by it. See user_event_sequences.
+  seq: integer("seq"),
+}, (table) => ({
+    todoIndex: index('todo_events_todo_index').on(table.todoId, table.id),
+    actorSeqIndex: uniqueIndex('todo_events_actor_seq_index').on(table.actorId, table.seq),
+  }));
+
+// Last seq given to each user's events. Bumping it locks the row until the
+// transaction commits, so a user's events are numbered in commit order.
+const userEventSequences = pgTable("user_event_sequences", {
+  userId: integer("user_id")
+    .primaryKey()
+    .references(() => usersTable.id, { onDelete: "cascade" }),
+  lastSeq: integer("last_seq").notNull(),
+});
+
+module.exports = { todoEvents, userEventSequences };
@@ -1,7 +1,21 @@
 const usersTable = require("./users.model");
 const todosTable = require("./todos.model");
+const userSessions = require("./sessions.model");
+const { tagsTable, todoTags } = require("./tags.model");
+const { todoPriority, webhookDeliveryStatus } = require("./enums");
+const { todoEvents, userEventSequences } = require("./events.model");
+const { webhookSubscriptions, webhookDeliveries } = require("./webhooks.model");
 
 module.exports = {
   usersTable,
   todosTable,
-};
\ No newline at end of file
+  todoPriority,
+  userSessions,
+  tagsTable,
+  todoTags,
+  todoEvents,
+  userEventSequences,
+  webhookDeliveryStatus,
+  webhookSubscriptions,
+  webhookDeliveries,
+};
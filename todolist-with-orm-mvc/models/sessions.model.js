@@ -0,0 +1,16 @@
+const { pgTable, uuid, integer, timestamp } = require("drizzle-orm/pg-core");
+const usersTable = require("./users.model");
+
+// Same design as Authentication_&_Authorization/session_auth: the session id
+// is a random uuid the client sends back in the `session-id` header.
+const userSessions = pgTable("user_sessions", {
+  id: uuid("id").primaryKey().defaultRandom(),
+  userId: integer("user_id")
+    .references(() => usersTable.id)
+    .notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  // Renewed by authenticated requests; expiry rules in config.js sessionConfig
+  lastSeenAt: timestamp("last_seen_at").defaultNow().notNull(),
+});
+
+module.exports = userSessions;
@@ -0,0 +1,31 @@
+const { pgTable, serial, varchar, integer, primaryKey, unique } = require("drizzle-orm/pg-core");
+const usersTable = require("./users.model");
+const todosTable = require("./todos.model");
+
+// Tags are personal: each user has their own set, with unique names.
+const tagsTable = pgTable("tags", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id")
+    .references(() => usersTable.id)
+    .notNull(),
+  name: varchar("name", { length: 50 }).notNull(),
+}, (table) => ({
+    userNameUnique: unique("tags_user_name_unique").on(table.userId, table.name),
+  }));
+
+// Many-to-many link between todos and tags.
+const todoTags = pgTable("todo_tags", {
+  todoId: integer("todo_id")
+    .references(() => todosTable.id, { onDelete: "cascade" })
+    .notNull(),
+  tagId: integer("tag_id")
+    .references(() => tagsTable.id, { onDelete: "cascade" })
+    .notNull(),
+}, (table) => ({
+    pk: primaryKey({ columns: [table.todoId, table.tagId] }),
+  }));
+
+module.exports = {
+  tagsTable,
+  todoTags,
+};
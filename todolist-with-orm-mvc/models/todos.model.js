@@ -1,6 +1,7 @@
-const { pgTable, serial, text, boolean, integer, index } = require("drizzle-orm/pg-core");
-const { sql } = require("drizzle-orm");
+const { pgTable, serial, text, boolean, integer, timestamp, index } = require("drizzle-orm/pg-core");
 const usersTable = require("./users.model");
+const { todoPriority } = require("./enums");
+const { todoSearchVector } = require("../utils/search");
 
 const todosTable = pgTable("todos", {
   id: serial("id").primaryKey(),
@@ -10,8 +11,25 @@ const todosTable = pgTable("todos", {
   userId: integer("user_id")
     .references(() => usersTable.id)
     .notNull(),
+  priority: todoPriority("priority").notNull().default("medium"),
+  dueAt: timestamp("due_at"),
+  // Set by the controller when `completed` flips to true, cleared when it flips back.
+  completedAt: timestamp("completed_at"),
+  // Subtasks point to their parent and are ordered by position among siblings.
+  parentId: integer("parent_id").references(() => todosTable.id, { onDelete: "cascade" }),
+  position: integer("position").notNull().default(0),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at")
+    .defaultNow()
+    .notNull()
+    .$onUpdate(() => new Date()),
+  // Soft delete: set while the todo is in the trash, purged after the retention period.
+  deletedAt: timestamp("deleted_at"),
 }, (table) => ({
-    titleSearchIndex: index('title_search_index').using('gin', sql`to_tsvector('english', ${table.title})`),
+    searchIndex: index('todos_search_index').using('gin', todoSearchVector(table)),
+    parentIndex: index('todos_parent_index').on(table.parentId, table.position),
+    dueIndex: index('todos_due_index').on(table.userId, table.dueAt),
+    deletedIndex: index('todos_deleted_index').on(table.deletedAt),
   }));
 
 module.exports = todosTable;
@@ -4,7 +4,7 @@ const usersTable = pgTable("users", {
   id: serial("id").primaryKey(),
   firstName: varchar({ length: 55 }).notNull(),
   lastName: varchar({ length: 55 }),
-  email: varchar({ length: 255 }).notNull(),
+  email: varchar({ length: 255 }).notNull().unique(),
   password: text("password").notNull(),
 });
 
@@ -0,0 +1,51 @@
+const { pgTable, serial, integer, text, varchar, boolean, jsonb, timestamp, index } = require("drizzle-orm/pg-core");
+const usersTable = require("./users.model");
+const { webhookDeliveryStatus } = require("./enums");
+
+// A user's webhook: todo events of the listed types are POSTed to `url`,
+// signed with `secret`.
+const webhookSubscriptions = pgTable("webhook_subscriptions", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id")
+    .references(() => usersTable.id, { onDelete: "cascade" })
+    .notNull(),
+  url: text("url").notNull(),
+  secret: varchar("secret", { length: 255 }).notNull(),
+  // Subset of created | updated | deleted | restored
+  eventTypes: text("event_types").array().notNull(),
+  active: boolean("active").default(true).notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+}, (table) => ({
+    userIndex: index('webhook_subscriptions_user_index').on(table.userId),
+  }));
+
+// Durable delivery queue and log in one: a row per event and subscription,
+// retried until it succeeds or runs out of attempts. `payload` is the exact
+// body sent, so deliveries outlive the todo event they describe.
+const webhookDeliveries = pgTable("webhook_deliveries", {
+  id: serial("id").primaryKey(),
+  subscriptionId: integer("subscription_id")
+    .references(() => webhookSubscriptions.id, { onDelete: "cascade" })
+    .notNull(),
+  eventId: integer("event_id").notNull(),
+  eventType: varchar("event_type", { length: 20 }).notNull(),
+  payload: jsonb("payload").notNull(),
+  status: webhookDeliveryStatus("status").default("pending").notNull(),
+  attempts: integer("attempts").default(0).notNull(),
+  // When the worker picks the delivery up next (also its lease while sending)
+  nextAttemptAt: timestamp("next_attempt_at").defaultNow().notNull(),
+  lastAttemptAt: timestamp("last_attempt_at"),
+  responseStatus: integer("response_status"),
+  lastError: text("last_error"),
+  deliveredAt: timestamp("delivered_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => ({
+    dueIndex: index('webhook_deliveries_due_index').on(table.status, table.nextAttemptAt),
+    subscriptionIndex: index('webhook_deliveries_subscription_index').on(table.subscriptionId, table.id),
+  }));
+
+module.exports = {
+  webhookSubscriptions,
+  webhookDeliveries,
+};
@@ -0,0 +1,18 @@
+const express= require('express');
+const router = express.Router();
+const {getAllTags, createTag, renameTag, deleteTag} = require('../controllers/tags.controller');
+const {ensureAuthenticated} = require('../middleware/auth');
+const {validate} = require('../../shared/validate');
+const asyncHandler = require('../utils/async-handler');
+const {tagParams, tagBody} = require('../schemas/tags.schema');
+
+// Tags belong to the session user, like todos
+router.use(ensureAuthenticated);
+
+// Define routes for tags. Todos are tagged through their `tags` field.
+router.get('/', asyncHandler(getAllTags));
+router.post('/', validate({ body: tagBody }), asyncHandler(createTag));
+router.patch('/:id', validate({ params: tagParams, body: tagBody }), asyncHandler(renameTag));
+router.delete('/:id', validate({ params: tagParams }), asyncHandler(deleteTag));
+
+module.exports = router;
@@ -1,12 +1,31 @@
 const express= require('express');
 const router = express.Router();
-const {getAllTodos, getTodoById, createTodo, updateTodo, deleteTodo} = require('../controllers/todolist.controller');
+const {getAllTodos, getTodoById, createTodo, updateTodo, deleteTodo, getSubtasks, reorderSubtasks, getTrash, emptyTrash, restoreTodo, getTodoHistory, bulkTodos, exportTodos, importTodos} = require('../controllers/todolist.controller');
+const {streamTodos} = require('../controllers/todo-stream.controller');
+const {ensureAuthenticated} = require('../middleware/auth');
+const {validate} = require('../../shared/validate');
+const asyncHandler = require('../utils/async-handler');
+const {todoParams, todoListQuery, pageQuery, exportTodosQuery, importTodosQuery, streamTodosQuery, createTodoBody, updateTodoBody, reorderSubtasksBody, bulkTodosBody} = require('../schemas/todos.schema');
+
+// Todos belong to the session user, so every route needs a session
+router.use(ensureAuthenticated);
 
 // Define routes for todos
-router.get('/', getAllTodos);
-router.get('/:id', getTodoById);
-router.post('/', createTodo);
-router.put('/:id', updateTodo);
-router.delete('/:id', deleteTodo);
+router.get('/', validate({ query: todoListQuery }), asyncHandler(getAllTodos));
+// The trash, export and stream are matched before /:id
+router.get('/trash', validate({ query: pageQuery }), asyncHandler(getTrash));
+router.delete('/trash', asyncHandler(emptyTrash));
+router.get('/export', validate({ query: exportTodosQuery }), asyncHandler(exportTodos));
+router.post('/import', validate({ query: importTodosQuery }), asyncHandler(importTodos));
+router.get('/stream', validate({ query: streamTodosQuery }), streamTodos);
+router.get('/:id', validate({ params: todoParams }), asyncHandler(getTodoById));
+router.post('/', validate({ body: createTodoBody }), asyncHandler(createTodo));
+router.post('/bulk', validate({ body: bulkTodosBody }), asyncHandler(bulkTodos));
+router.put('/:id', validate({ params: todoParams, body: updateTodoBody }), asyncHandler(updateTodo));
+router.delete('/:id', validate({ params: todoParams }), asyncHandler(deleteTodo));
+router.get('/:id/subtasks', validate({ params: todoParams }), asyncHandler(getSubtasks));
+router.put('/:id/subtasks/order', validate({ params: todoParams, body: reorderSubtasksBody }), asyncHandler(reorderSubtasks));
+router.post('/:id/restore', validate({ params: todoParams }), asyncHandler(restoreTodo));
+router.get('/:id/history', validate({ params: todoParams, query: pageQuery }), asyncHandler(getTodoHistory));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,11 +1,33 @@
 const express= require('express');
 const router = express.Router();
-const {createUser, updateUser, getUserById, deleteUser} = require('../controllers/user.controller');
+const {createUser, getAllUsers, updateUser, getUserById, deleteUser, login, logout} = require('../controllers/user.controller');
+const {getAllTodos} = require('../controllers/todolist.controller');
+const {ensureAuthenticated, ensureSelf} = require('../middleware/auth');
+const {rateLimit} = require('../../shared/rate-limit');
+const {validate} = require('../../shared/validate');
+const asyncHandler = require('../utils/async-handler');
+const {AppError} = require('../utils/errors');
+const {userParams, userListQuery, createUserBody, updateUserBody, loginBody, deleteUserQuery} = require('../schemas/users.schema');
+const {todoListQuery} = require('../schemas/todos.schema');
 
-// Define routes for todos
-router.post('/', createUser);
-router.get('/:id', getUserById);
-router.put('/:id', updateUser);
-router.delete('/:id', deleteUser);
+// At most 10 login attempts per IP every 15 minutes
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    prefix: 'login',
+    handler: (req, res, next, message) => next(new AppError(message, { statusCode: 429, code: 'TOO_MANY_REQUESTS' })),
+});
 
-module.exports = router;
\ No newline at end of file
+// Define routes for users
+router.post('/', validate({ body: createUserBody }), asyncHandler(createUser));
+router.post('/login', loginLimiter, validate({ body: loginBody }), asyncHandler(login));
+router.post('/logout', ensureAuthenticated, asyncHandler(logout));
+// The list leaves out email addresses; the full profile is only the user's own
+router.get('/', ensureAuthenticated, validate({ query: userListQuery }), asyncHandler(getAllUsers));
+router.get('/:id', ensureAuthenticated, validate({ params: userParams }), ensureSelf, asyncHandler(getUserById));
+// Todos are private, so users can only list their own (same as GET /todos)
+router.get('/:id/todos', ensureAuthenticated, validate({ params: userParams, query: todoListQuery }), ensureSelf, asyncHandler(getAllTodos));
+router.put('/:id', ensureAuthenticated, validate({ params: userParams, body: updateUserBody }), ensureSelf, asyncHandler(updateUser));
+router.delete('/:id', ensureAuthenticated, validate({ params: userParams, query: deleteUserQuery }), ensureSelf, asyncHandler(deleteUser));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express= require('express');
+const router = express.Router();
+const {getAllWebhooks, getWebhookById, createWebhook, updateWebhook, deleteWebhook, getWebhookDeliveries, retryWebhookDelivery} = require('../controllers/webhooks.controller');
+const {ensureAuthenticated} = require('../middleware/auth');
+const {validate} = require('../../shared/validate');
+const asyncHandler = require('../utils/async-handler');
+const {webhookParams, deliveryParams, createWebhookBody, updateWebhookBody, deliveryListQuery} = require('../schemas/webhooks.schema');
+
+// Webhooks deliver the session user's todo events, so they belong to them
+router.use(ensureAuthenticated);
+
+// Define routes for webhook subscriptions and their delivery log
+router.get('/', asyncHandler(getAllWebhooks));
+router.post('/', validate({ body: createWebhookBody }), asyncHandler(createWebhook));
+router.get('/:id', validate({ params: webhookParams }), asyncHandler(getWebhookById));
+router.put('/:id', validate({ params: webhookParams, body: updateWebhookBody }), asyncHandler(updateWebhook));
+router.delete('/:id', validate({ params: webhookParams }), asyncHandler(deleteWebhook));
+router.get('/:id/deliveries', validate({ params: webhookParams, query: deliveryListQuery }), asyncHandler(getWebhookDeliveries));
+router.post('/:id/deliveries/:deliveryId/retry', validate({ params: deliveryParams }), asyncHandler(retryWebhookDelivery));
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// Request schemas for the tags routes (see shared/validate.js).
+const { idParam } = require("../../shared/validate");
+
+const tagParams = { id: idParam };
+
+const tagBody = {
+  name: { type: "string", trim: true, minLength: 1, maxLength: 50, required: true },
+};
+
+module.exports = {
+  tagParams,
+  tagBody,
+};
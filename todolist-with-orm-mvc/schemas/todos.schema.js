@@ -0,0 +1,146 @@
+// Request schemas for the todos routes (see shared/validate.js).
+const { idParam } = require("../../shared/validate");
+const { todoPriority } = require("../models/enums");
+const { EXPORT_FORMATS, IMPORT_FORMATS } = require("../../shared/import-export");
+
+const todoParams = { id: idParam };
+
+const priority = { type: "string", enum: todoPriority.enumValues };
+const tags = {
+  type: "array",
+  maxLength: 20,
+  items: { type: "string", trim: true, minLength: 1, maxLength: 50 },
+};
+
+// Sort and paging only (GET /todos/trash, GET /todos/:id/history)
+const pageQuery = {
+  sort: { type: "string" },
+  order: { type: "string" },
+  limit: { type: "integer" },
+  offset: { type: "integer" },
+  cursor: { type: "string" },
+};
+
+// Filters of todo lists, also accepted by filter-based bulk updates
+const todoFilters = {
+  q: { type: "string", trim: true, maxLength: 200 },
+  completed: { type: "boolean" },
+  tag: { type: "string", trim: true, minLength: 1, maxLength: 50 },
+  priority,
+  dueAfter: { type: "date" },
+  dueBefore: { type: "date" },
+  overdue: { type: "boolean" },
+  parentId: { type: "integer", min: 1 },
+};
+
+// Filters, sort and paging of todo lists (GET /todos, GET /users/:id/todos)
+const todoListQuery = {
+  ...todoFilters,
+  ...pageQuery,
+};
+
+// GET /todos/export: the list filters plus the file format
+const exportTodosQuery = {
+  ...todoFilters,
+  format: { type: "string", enum: EXPORT_FORMATS, default: "json" },
+};
+
+// POST /todos/import: the format can also come from the Content-Type
+const importTodosQuery = {
+  format: { type: "string", enum: IMPORT_FORMATS },
+};
+
+// GET /todos/stream: resume point for clients that can't send Last-Event-ID
+const streamTodosQuery = {
+  lastEventId: { type: "integer", min: 0 },
+};
+
+// One imported row. Subtask links don't survive a move between accounts, so
+// a row always becomes a top-level todo.
+const importTodoRow = {
+  title: { type: "string", trim: true, minLength: 1, required: true },
+  description: { type: "string", nullable: true },
+  completed: { type: "boolean" },
+  priority,
+  dueAt: { type: "date", nullable: true },
+  tags,
+};
+
+const createTodoBody = {
+  title: { type: "string", trim: true, minLength: 1, required: true },
+  description: { type: "string", nullable: true },
+  completed: { type: "boolean" },
+  priority,
+  dueAt: { type: "date", nullable: true },
+  // Creates the todo as a subtask of this one
+  parentId: { type: "integer", min: 1 },
+  tags,
+};
+
+// id, userId and the timestamps are not editable, so they are not accepted
+const updateTodoBody = {
+  title: { type: "string", trim: true, minLength: 1 },
+  description: { type: "string", nullable: true },
+  completed: { type: "boolean" },
+  priority,
+  dueAt: { type: "date", nullable: true },
+  // null moves a subtask back to the top level
+  parentId: { type: "integer", min: 1, nullable: true },
+  // Replaces all tags of the todo
+  tags,
+};
+
+// New order of a todo's subtasks: every subtask id, once
+const reorderSubtasksBody = {
+  ids: { type: "array", required: true, items: { type: "integer", min: 1 } },
+};
+
+const MAX_BULK_OPERATIONS = 500;
+
+// POST /todos/bulk takes either a list of operations or a filter and the
+// fields to set on every matching todo. The contents of the operations,
+// filter and set objects are checked per item by the controller, so one bad
+// operation doesn't reject a best-effort batch.
+const bulkTodosBody = {
+  // atomic: all or nothing; partial: apply what succeeds
+  mode: { type: "string", enum: ["atomic", "partial"], default: "atomic" },
+  operations: {
+    type: "array",
+    minLength: 1,
+    maxLength: MAX_BULK_OPERATIONS,
+    items: { type: "object" },
+  },
+  filter: { type: "object" },
+  set: { type: "object" },
+};
+
+// One item of `operations`: { op: "create", data } | { op: "update", id, data } | { op: "delete", id }
+const bulkOperation = {
+  op: { type: "string", enum: ["create", "update", "delete"], required: true },
+  id: { type: "integer", min: 1 },
+  data: { type: "object" },
+};
+
+// Fields a filter-based bulk update can set
+const bulkSetBody = {
+  completed: { type: "boolean" },
+  priority,
+  dueAt: { type: "date", nullable: true },
+};
+
+module.exports = {
+  todoParams,
+  todoFilters,
+  todoListQuery,
+  pageQuery,
+  exportTodosQuery,
+  importTodosQuery,
+  streamTodosQuery,
+  importTodoRow,
+  createTodoBody,
+  updateTodoBody,
+  reorderSubtasksBody,
+  bulkTodosBody,
+  bulkOperation,
+  bulkSetBody,
+};
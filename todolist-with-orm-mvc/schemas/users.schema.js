@@ -0,0 +1,47 @@
+// Request schemas for the users routes (see shared/validate.js), sized like
+// the users table columns.
+const { idParam } = require("../../shared/validate");
+const { DELETE_POLICIES } = require("../config");
+
+const userParams = { id: idParam };
+
+const userListQuery = {
+  sort: { type: "string" },
+  order: { type: "string" },
+  limit: { type: "integer" },
+  offset: { type: "integer" },
+  cursor: { type: "string" },
+};
+
+const createUserBody = {
+  firstName: { type: "string", trim: true, minLength: 1, maxLength: 55, required: true },
+  lastName: { type: "string", trim: true, maxLength: 55, nullable: true },
+  email: { type: "string", trim: true, format: "email", maxLength: 255, required: true },
+  password: { type: "string", minLength: 8, maxLength: 128, required: true },
+};
+
+const updateUserBody = {
+  firstName: { ...createUserBody.firstName, required: false },
+  lastName: createUserBody.lastName,
+  email: { ...createUserBody.email, required: false },
+};
+
+const loginBody = {
+  email: { type: "string", trim: true, minLength: 1, required: true },
+  password: { type: "string", minLength: 1, required: true },
+};
+
+// Overrides of the configured delete policy for one request
+const deleteUserQuery = {
+  policy: { type: "string", enum: DELETE_POLICIES },
+  reassignTo: { type: "integer", min: 1 },
+};
+
+module.exports = {
+  userParams,
+  userListQuery,
+  createUserBody,
+  updateUserBody,
+  loginBody,
+  deleteUserQuery,
+};
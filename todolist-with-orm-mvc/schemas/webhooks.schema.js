@@ -0,0 +1,47 @@
+// Request schemas for the webhooks routes (see shared/validate.js).
+const { idParam } = require("../../shared/validate");
+const { pageQuery } = require("./todos.schema");
+
+// The todo event types a subscription can ask for
+const WEBHOOK_EVENT_TYPES = ["created", "updated", "deleted", "restored"];
+
+const webhookParams = { id: idParam };
+
+const deliveryParams = { id: idParam, deliveryId: idParam };
+
+const url = { type: "string", trim: true, maxLength: 2000, pattern: /^https?:\/\/[^\s/]+/ };
+const eventTypes = {
+  type: "array",
+  minLength: 1,
+  items: { type: "string", enum: WEBHOOK_EVENT_TYPES },
+};
+// Generated when left out; receivers need it to check signatures
+const secret = { type: "string", minLength: 16, maxLength: 255 };
+
+const createWebhookBody = {
+  url: { ...url, required: true },
+  eventTypes: { ...eventTypes, default: WEBHOOK_EVENT_TYPES },
+  secret,
+  active: { type: "boolean" },
+};
+
+const updateWebhookBody = {
+  url,
+  eventTypes,
+  secret,
+  active: { type: "boolean" },
+};
+
+const deliveryListQuery = {
+  status: { type: "string", enum: ["pending", "succeeded", "failed"] },
+  ...pageQuery,
+};
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  webhookParams,
+  deliveryParams,
+  createWebhookBody,
+  updateWebhookBody,
+  deliveryListQuery,
+};
@@ -0,0 +1,52 @@
+// Marks drizzle/0000_init.sql as applied on a database that already has the
+// users and todos tables, i.e. one set up with `drizzle-kit push` before the
+// app had migrations. Running 0000 there would fail on CREATE TABLE.
+//
+//   npm run db:baseline && npm run db:migrate
+//
+// Run it once per existing database, before its first db:migrate. A new
+// database doesn't need it: db:migrate creates everything.
+require("dotenv/config");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const { sql } = require("drizzle-orm");
+const db = require("../db");
+
+const MIGRATIONS = path.join(__dirname, "..", "drizzle");
+
+const baseline = async () => {
+  const journal = JSON.parse(fs.readFileSync(path.join(MIGRATIONS, "meta", "_journal.json"), "utf8"));
+  const initial = journal.entries[0];
+  // Hashed the way drizzle's migrator hashes it
+  const query = fs.readFileSync(path.join(MIGRATIONS, `${initial.tag}.sql`)).toString();
+
+  const { rows: [todos] } = await db.execute(sql`select to_regclass('public.todos') as "table"`);
+  if (!todos.table) {
+    console.log("There is no todos table, so this is a new database: run `npm run db:migrate` instead.");
+    return;
+  }
+  await db.execute(sql`create schema if not exists drizzle`);
+  await db.execute(sql`
+    create table if not exists drizzle.__drizzle_migrations (
+      id serial primary key,
+      hash text not null,
+      created_at bigint
+    )
+  `);
+  const { rows: applied } = await db.execute(sql`select id from drizzle.__drizzle_migrations limit 1`);
+  if (applied.length > 0) {
+    console.log("This database already has migrations recorded; nothing to do.");
+    return;
+  }
+  const hash = crypto.createHash("sha256").update(query).digest("hex");
+  await db.execute(sql`insert into drizzle.__drizzle_migrations (hash, created_at) values (${hash}, ${initial.when})`);
+  console.log(`Marked ${initial.tag} as applied. Run \`npm run db:migrate\` for the migrations after it.`);
+};
+
+baseline()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.$client.end());
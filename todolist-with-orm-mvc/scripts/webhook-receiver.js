@@ -0,0 +1,53 @@
+// Local HTTP receiver for trying out webhooks end to end.
+//
+//   node scripts/webhook-receiver.js --secret <webhook secret> [--port 4000] [--fail 2]
+//
+// Start the app with WEBHOOK_ALLOWED_HOSTS=localhost (loopback addresses are
+// refused otherwise), create a webhook pointing at http://localhost:4000/ and
+// change some todos.
+// Every request is checked against the secret and printed. --fail N answers
+// 500 to the first N deliveries, to watch the retries arrive (lower
+// WEBHOOK_BACKOFF_SECONDS to see them sooner).
+const http = require("node:http");
+const { parseArgs } = require("node:util");
+const { SIGNATURE_HEADER, verifySignature } = require("../utils/webhook-signature");
+
+const { values } = parseArgs({
+  options: {
+    secret: { type: "string" },
+    port: { type: "string", default: process.env.WEBHOOK_RECEIVER_PORT || "4000" },
+    fail: { type: "string", default: "0" },
+  },
+});
+if (!values.secret) {
+  console.error("Usage: node scripts/webhook-receiver.js --secret <webhook secret> [--port 4000] [--fail N]");
+  process.exit(1);
+}
+
+let toFail = Number(values.fail);
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf-8");
+    const delivery = `#${req.headers["x-webhook-id"]} ${req.headers["x-webhook-event"]}`;
+    if (!verifySignature(values.secret, req.headers[SIGNATURE_HEADER.toLowerCase()], body)) {
+      console.log(`${delivery}: bad signature, rejected`);
+      res.writeHead(401).end();
+      return;
+    }
+    if (toFail > 0) {
+      toFail--;
+      console.log(`${delivery}: failing on purpose (${toFail} more to fail)`);
+      res.writeHead(500).end();
+      return;
+    }
+    console.log(`${delivery}: ${body}`);
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(Number(values.port), () => {
+  console.log(`Webhook receiver listening at http://localhost:${values.port}/`);
+});
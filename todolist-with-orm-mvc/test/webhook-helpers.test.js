@@ -0,0 +1,145 @@
+// The webhook helpers that need no database: signatures, retry backoff and
+// the private address blocklist. Runs with a plain `npm test`.
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Read by config.js when the modules below are loaded
+process.env.WEBHOOK_BACKOFF_SECONDS = "30";
+process.env.WEBHOOK_MAX_BACKOFF_SECONDS = "300";
+process.env.WEBHOOK_ALLOWED_HOSTS = "localhost, ::1";
+
+const { signPayload, verifySignature } = require("../utils/webhook-signature");
+const { backoffDelay } = require("../utils/webhooks");
+const {
+  WebhookTargetError,
+  isPrivateAddress,
+  isAllowedHost,
+  assertPublicTarget,
+} = require("../utils/webhook-targets");
+
+describe("webhook signatures", () => {
+  const secret = "whsec_test";
+  const body = JSON.stringify({ type: "todo.created", data: { id: 1 } });
+  const now = 1_700_000_000_000;
+  const timestamp = now / 1000;
+
+  it("verifies a signature made for the same body and secret", () => {
+    const header = signPayload(secret, body, timestamp);
+    assert.match(header, /^t=1700000000,v1=[0-9a-f]{64}$/);
+    assert.equal(verifySignature(secret, header, body, { now }), true);
+  });
+
+  it("rejects another body or another secret", () => {
+    const header = signPayload(secret, body, timestamp);
+    assert.equal(verifySignature(secret, header, `${body} `, { now }), false);
+    assert.equal(verifySignature("whsec_other", header, body, { now }), false);
+  });
+
+  it("rejects signatures older or newer than the tolerance", () => {
+    const header = signPayload(secret, body, timestamp);
+    const toleranceMs = 5 * 60 * 1000;
+    assert.equal(verifySignature(secret, header, body, { now: now + toleranceMs }), true);
+    assert.equal(verifySignature(secret, header, body, { now: now + toleranceMs + 1000 }), false);
+    assert.equal(verifySignature(secret, header, body, { now: now - toleranceMs - 1000 }), false);
+    assert.equal(verifySignature(secret, header, body, { now: now + 60_000, toleranceMs: 30_000 }), false);
+  });
+
+  it("rejects missing and malformed headers", () => {
+    const [, v1] = signPayload(secret, body, timestamp).split(",");
+    for (const header of [undefined, null, "", "garbage", v1, `t=abc,${v1}`, `t=${timestamp}`, `t=${timestamp},v1=`]) {
+      assert.equal(verifySignature(secret, header, body, { now }), false, String(header));
+    }
+    // A truncated digest has the wrong length
+    assert.equal(verifySignature(secret, `t=${timestamp},${v1.slice(0, -2)}`, body, { now }), false);
+  });
+});
+
+describe("webhook backoff", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("doubles the delay after each failed attempt up to the cap", () => {
+    // Jitter factor 0.8 + 0.5 * 0.4 = 1
+    mock.method(Math, "random", () => 0.5);
+    assert.deepEqual(
+      [1, 2, 3, 4, 5, 6, 10].map(backoffDelay),
+      [30_000, 60_000, 120_000, 240_000, 300_000, 300_000, 300_000]
+    );
+  });
+
+  it("spreads retries by ±20%", () => {
+    mock.method(Math, "random", () => 0);
+    assert.equal(backoffDelay(2), 48_000);
+    mock.method(Math, "random", () => 0.999999);
+    assert.equal(backoffDelay(2), 72_000);
+    // The cap is applied before the jitter
+    assert.equal(backoffDelay(20), 360_000);
+  });
+});
+
+describe("webhook target addresses", () => {
+  it("blocks loopback, private, link-local and reserved IPv4 addresses", () => {
+    for (const address of [
+      "0.0.0.0",
+      "10.1.2.3",
+      "100.64.0.1",
+      "127.0.0.1",
+      "169.254.169.254",
+      "172.16.0.1",
+      "172.31.255.255",
+      "192.168.1.1",
+      "198.18.0.1",
+      "224.0.0.1",
+      "255.255.255.255",
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it("lets public IPv4 addresses through", () => {
+    for (const address of ["8.8.8.8", "1.1.1.1", "172.32.0.1", "93.184.216.34"]) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  it("blocks non-public IPv6 addresses", () => {
+    for (const address of ["::", "::1", "fc00::1", "fd12:3456::1", "fe80::1", "ff02::1", "64:ff9b::a00:1"]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    assert.equal(isPrivateAddress("2606:4700:4700::1111"), false);
+  });
+
+  it("treats IPv4-mapped IPv6 addresses as their IPv4 address", () => {
+    for (const address of ["::ffff:10.0.0.1", "::ffff:127.0.0.1", "::ffff:169.254.169.254", "::ffff:7f00:1"]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    assert.equal(isPrivateAddress("::ffff:8.8.8.8"), false);
+  });
+
+  it("allows the hosts in WEBHOOK_ALLOWED_HOSTS, whatever their case or brackets", () => {
+    assert.equal(isAllowedHost("localhost"), true);
+    assert.equal(isAllowedHost("LocalHost"), true);
+    assert.equal(isAllowedHost("[::1]"), true);
+    assert.equal(isAllowedHost("127.0.0.1"), false);
+  });
+
+  it("refuses URLs with a private IP literal, however it is written", async () => {
+    for (const url of [
+      "http://10.0.0.1/hook",
+      "https://169.254.169.254/latest/meta-data",
+      "http://[::ffff:127.0.0.1]:8080/",
+      "http://[fe80::1]/",
+      // WHATWG URLs normalize these to 127.0.0.1
+      "http://2130706433/",
+      "http://0x7f.1/",
+    ]) {
+      await assert.rejects(assertPublicTarget(url), WebhookTargetError, url);
+    }
+  });
+
+  it("accepts public IP literals and allowed hosts", async () => {
+    await assertPublicTarget("https://8.8.8.8/hook");
+    await assertPublicTarget("http://[2606:4700:4700::1111]/hook");
+    await assertPublicTarget("http://localhost:4000/hook");
+    await assertPublicTarget("http://[::1]:4000/hook");
+  });
+});
@@ -0,0 +1,233 @@
+// Webhook deliveries against a local HTTP receiver: signatures, retries with
+// backoff, the delivery log and refused private targets.
+//
+//   DATABASE_URL=postgres://... npm test
+//
+// Needs a migrated database (npm run db:migrate); the suite is skipped when
+// DATABASE_URL isn't set. It creates its own user and removes it at the end.
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+// Short backoff so retries come within the test, and the receiver on
+// 127.0.0.1 is allowed although it's a loopback address
+process.env.WEBHOOK_BACKOFF_SECONDS = "0.2";
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+
+const skip = !process.env.DATABASE_URL && "DATABASE_URL is not set";
+
+// Records every request and answers with the next status scripted for its
+// path (200 once the script runs out)
+const startReceiver = async () => {
+  const receiver = { requests: [], statuses: {} };
+  receiver.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      receiver.requests.push({
+        at: Date.now(),
+        url: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString("utf8"),
+      });
+      res.writeHead(receiver.statuses[req.url]?.shift() ?? 200).end();
+    });
+  });
+  await new Promise((resolve) => receiver.server.listen(0, "127.0.0.1", resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+  return receiver;
+};
+
+// The routes under test, with req.user set the way authenticate would
+const startApi = async (userId) => {
+  const express = require("express");
+  const webhooksRoutes = require("../routes/webhooks.routes");
+  const { errorHandler } = require("../middleware/error-handler");
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: userId };
+    next();
+  });
+  app.use("/webhooks", webhooksRoutes);
+  app.use(errorHandler);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, path, body) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: { "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { server, call };
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("webhook deliveries", { skip }, () => {
+  let db, models, eq, deliverDueWebhooks, inTransaction, recordEvent, verifySignature;
+  let receiver, api, user, todo;
+
+  // Runs the worker until the delivery leaves `pending` (or gives up)
+  const deliverUntilSettled = async (deliveryId, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      await deliverDueWebhooks();
+      const [delivery] = await db
+        .select()
+        .from(models.webhookDeliveries)
+        .where(eq(models.webhookDeliveries.id, deliveryId));
+      if (delivery.status !== "pending" || Date.now() > deadline) {
+        return delivery;
+      }
+      await wait(50);
+    }
+  };
+
+  // Records a todo event, which queues a delivery per matching subscription
+  const recordCreated = () =>
+    inTransaction((tx) => recordEvent(tx, { todoId: todo.id, actorId: user.id, type: "created" }));
+
+  const deliveriesOf = (subscriptionId) =>
+    db
+      .select()
+      .from(models.webhookDeliveries)
+      .where(eq(models.webhookDeliveries.subscriptionId, subscriptionId));
+
+  const subscribe = async (values) => {
+    const [subscription] = await db
+      .insert(models.webhookSubscriptions)
+      .values({ userId: user.id, secret: "test-secret-0123456789", eventTypes: ["created"], ...values })
+      .returning();
+    return subscription;
+  };
+
+  before(async () => {
+    db = require("../db");
+    models = require("../models");
+    ({ eq } = require("drizzle-orm"));
+    ({ deliverDueWebhooks } = require("../utils/webhooks"));
+    ({ inTransaction, recordEvent } = require("../utils/history"));
+    ({ verifySignature } = require("../utils/webhook-signature"));
+
+    [user] = await db
+      .insert(models.usersTable)
+      .values({ firstName: "Webhook", email: `webhooks-${Date.now()}@test.local`, password: "x" })
+      .returning();
+    [todo] = await db.insert(models.todosTable).values({ title: "Ship it", userId: user.id }).returning();
+    receiver = await startReceiver();
+    api = await startApi(user.id);
+  });
+
+  // Each test only gets deliveries for its own subscriptions
+  afterEach(async () => {
+    await db
+      .update(models.webhookSubscriptions)
+      .set({ active: false })
+      .where(eq(models.webhookSubscriptions.userId, user.id));
+  });
+
+  after(async () => {
+    if (user) {
+      await db.delete(models.webhookSubscriptions).where(eq(models.webhookSubscriptions.userId, user.id));
+      await db.delete(models.todosTable).where(eq(models.todosTable.userId, user.id));
+      await db.delete(models.usersTable).where(eq(models.usersTable.id, user.id));
+    }
+    receiver?.server.close();
+    api?.server.close();
+    await db?.$client.end();
+  });
+
+  it("signs each delivery with the subscription's secret", async () => {
+    const subscription = await subscribe({ url: `${receiver.url}/signed` });
+    await recordCreated();
+    const [queued] = await deliveriesOf(subscription.id);
+    const delivery = await deliverUntilSettled(queued.id);
+
+    assert.equal(delivery.status, "succeeded");
+    const request = receiver.requests.find((r) => r.url === "/signed");
+    assert.ok(request, "the receiver got the delivery");
+    assert.equal(request.headers["x-webhook-id"], String(delivery.id));
+    assert.equal(request.headers["x-webhook-event"], "created");
+    assert.ok(verifySignature(subscription.secret, request.headers["x-webhook-signature"], request.body));
+    assert.equal(verifySignature("another-secret-0123456", request.headers["x-webhook-signature"], request.body), false);
+    assert.equal(JSON.parse(request.body).todoId, todo.id);
+  });
+
+  it("retries failed deliveries with backoff until one succeeds", async () => {
+    const subscription = await subscribe({ url: `${receiver.url}/flaky` });
+    receiver.statuses["/flaky"] = [500, 503];
+    await recordCreated();
+    const [queued] = await deliveriesOf(subscription.id);
+
+    await deliverDueWebhooks();
+    const [afterFirst] = await deliveriesOf(subscription.id);
+    assert.equal(afterFirst.status, "pending");
+    assert.equal(afterFirst.attempts, 1);
+    assert.equal(afterFirst.responseStatus, 500);
+    assert.equal(afterFirst.lastError, "HTTP 500");
+    // 200ms, with up to 20% jitter
+    const delay = afterFirst.nextAttemptAt - afterFirst.lastAttemptAt;
+    assert.ok(delay >= 160 && delay <= 240, `first backoff was ${delay}ms`);
+
+    const delivery = await deliverUntilSettled(queued.id);
+    assert.equal(delivery.status, "succeeded");
+    assert.equal(delivery.attempts, 3);
+    const attempts = receiver.requests.filter((r) => r.url === "/flaky");
+    assert.equal(attempts.length, 3);
+    // The second retry waits about twice as long as the first
+    assert.ok(attempts[1].at - attempts[0].at >= 160);
+    assert.ok(attempts[2].at - attempts[1].at >= 320);
+  });
+
+  it("shows attempts in the delivery log and retries failed deliveries on request", async () => {
+    const subscription = await subscribe({ url: `${receiver.url}/down` });
+    receiver.statuses["/down"] = [500, 500, 500];
+    await recordCreated();
+    const [queued] = await deliveriesOf(subscription.id);
+    const delivery = await deliverUntilSettled(queued.id);
+    assert.equal(delivery.status, "failed");
+
+    let response = await api.call("GET", `/webhooks/${subscription.id}/deliveries?status=failed`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.pagination.total, 1);
+    const [logged] = response.body.data;
+    assert.equal(logged.id, delivery.id);
+    assert.equal(logged.attempts, 3);
+    assert.equal(logged.responseStatus, 500);
+    assert.equal(logged.lastError, "HTTP 500");
+
+    response = await api.call("POST", `/webhooks/${subscription.id}/deliveries/${delivery.id}/retry`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.status, "pending");
+    assert.equal(response.body.data.attempts, 0);
+    assert.equal((await deliverUntilSettled(delivery.id)).status, "succeeded");
+
+    response = await api.call("POST", `/webhooks/${subscription.id}/deliveries/${delivery.id}/retry`);
+    assert.equal(response.status, 409);
+  });
+
+  it("refuses private and loopback targets", async () => {
+    for (const url of ["http://169.254.169.254/latest/meta-data", "http://localhost:8080/", "http://10.0.0.1/"]) {
+      const response = await api.call("POST", "/webhooks", { url });
+      assert.equal(response.status, 400, url);
+      assert.equal(response.body.details[0].field, "url");
+    }
+
+    // Saved before the check existed, or through another path: the delivery
+    // is refused without connecting
+    const subscription = await subscribe({ url: "http://10.0.0.1/internal" });
+    await recordCreated();
+    const [queued] = await deliveriesOf(subscription.id);
+    await deliverDueWebhooks();
+    const [delivery] = await deliveriesOf(subscription.id);
+    assert.equal(delivery.id, queued.id);
+    assert.equal(delivery.responseStatus, null);
+    assert.match(delivery.lastError, /private/);
+  });
+});
@@ -0,0 +1,6 @@
+// Wraps an async route handler so a rejected promise reaches next() and the
+// error handler, instead of leaving the request hanging.
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
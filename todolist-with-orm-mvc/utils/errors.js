@@ -0,0 +1,68 @@
+// Typed application errors. Controllers throw them and the error handler
+// (middleware/error-handler.js) turns them into the error envelope:
+//   { status: "error", code, message, details? }
+
+class AppError extends Error {
+  constructor(message, { statusCode = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = "Invalid request.", details) {
+    super(message, { statusCode: 400, code: "VALIDATION_ERROR", details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "You must be authenticated") {
+    super(message, { statusCode: 401, code: "UNAUTHORIZED" });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "You are not allowed to do this.") {
+    super(message, { statusCode: 403, code: "FORBIDDEN" });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Resource not found.") {
+    super(message, { statusCode: 404, code: "NOT_FOUND" });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "The request conflicts with existing data.", details) {
+    super(message, { statusCode: 409, code: "CONFLICT", details });
+  }
+}
+
+// A conditional request (If-Match) named a version that is no longer current.
+class PreconditionFailedError extends AppError {
+  constructor(message = "The resource has changed since you fetched it.") {
+    super(message, { statusCode: 412, code: "PRECONDITION_FAILED" });
+  }
+}
+
+// The request body is larger than the route accepts.
+class PayloadTooLargeError extends AppError {
+  constructor(message = "The request body is too large.") {
+    super(message, { statusCode: 413, code: "PAYLOAD_TOO_LARGE" });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+};
@@ -0,0 +1,140 @@
+// Audit history of todos (todo_events). Events are written in the same
+// transaction as the change they describe, together with their webhook
+// deliveries (utils/webhooks.js), and published to the live feed
+// (utils/todo-feed.js) once it commits.
+//
+// Inside inTransaction they are written last, just before the commit: that
+// is where each user's events get their `seq`, and the lock it takes on the
+// user's sequence row is then held only for the commit itself.
+const { sql } = require("drizzle-orm");
+const db = require("../db");
+const { todoEvents, userEventSequences } = require("../models");
+const { todoFeed } = require("./todo-feed");
+const { enqueueWebhooks } = require("./webhooks");
+
+// Events recorded so far by a transaction opened with inTransaction, not
+// written yet
+const PENDING = Symbol("pendingTodoEvents");
+
+// Rows per INSERT, well under the 65535 parameters of one statement
+const INSERT_BATCH_SIZE = 1000;
+
+// Fields whose changes are recorded. updatedAt is left out: every event
+// already carries its own time.
+const AUDITED_FIELDS = [
+  "title",
+  "description",
+  "completed",
+  "completedAt",
+  "priority",
+  "dueAt",
+  "parentId",
+  "position",
+  "tags",
+  "deletedAt",
+];
+
+const toJson = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+// { field: { from, to } } for every audited field of `after` that differs
+// from `before`. Pass {} as `before` for a new todo.
+const diffTodo = (before, after) => {
+  const changes = {};
+  for (const field of AUDITED_FIELDS) {
+    if (!(field in after)) {
+      continue;
+    }
+    const from = toJson(before[field]);
+    const to = toJson(after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+// Numbers the events after their actor's previous ones, inserts them and
+// queues their webhooks. Returns the rows.
+const writeEvents = async (tx, events) => {
+  const counts = new Map();
+  for (const { actorId } of events) {
+    if (actorId !== null) {
+      counts.set(actorId, (counts.get(actorId) ?? 0) + 1);
+    }
+  }
+  // One order for every transaction, so two can't wait on each other
+  const nextSeq = new Map();
+  for (const actorId of [...counts.keys()].sort((a, b) => a - b)) {
+    const [{ lastSeq }] = await tx
+      .insert(userEventSequences)
+      .values({ userId: actorId, lastSeq: counts.get(actorId) })
+      .onConflictDoUpdate({
+        target: userEventSequences.userId,
+        set: { lastSeq: sql`${userEventSequences.lastSeq} + excluded.last_seq` },
+      })
+      .returning({ lastSeq: userEventSequences.lastSeq });
+    nextSeq.set(actorId, lastSeq - counts.get(actorId) + 1);
+  }
+
+  const rows = [];
+  for (let start = 0; start < events.length; start += INSERT_BATCH_SIZE) {
+    const values = events.slice(start, start + INSERT_BATCH_SIZE).map((event) => {
+      if (event.actorId === null) {
+        return event;
+      }
+      const seq = nextSeq.get(event.actorId);
+      nextSeq.set(event.actorId, seq + 1);
+      return { ...event, seq };
+    });
+    rows.push(...(await tx.insert(todoEvents).values(values).returning()));
+  }
+  await enqueueWebhooks(tx, rows);
+  return rows;
+};
+
+// Appends one event per todo id. `type` is created | updated | deleted | restored.
+// Outside inTransaction the events are written right away and not published.
+const recordEvents = async (tx, { todoIds, actorId, type, changes = {} }) => {
+  if (todoIds.length === 0) {
+    return;
+  }
+  const events = todoIds.map((todoId) => ({ todoId, actorId, type, changes }));
+  if (tx[PENDING]) {
+    tx[PENDING].push(...events);
+    return;
+  }
+  await writeEvents(tx, events);
+};
+
+const recordEvent = (tx, { todoId, ...event }) => recordEvents(tx, { todoIds: [todoId], ...event });
+
+// Runs `fn` in a transaction (a savepoint when `executor` is a transaction
+// itself), writes the events it recorded at the end and publishes them once
+// they are committed. Events of a rolled back transaction or savepoint are
+// never written.
+const inTransaction = async (fn, executor = db) => {
+  const pending = [];
+  let written = [];
+  const result = await executor.transaction(async (tx) => {
+    tx[PENDING] = pending;
+    const value = await fn(tx);
+    if (!executor[PENDING] && pending.length > 0) {
+      written = await writeEvents(tx, pending);
+    }
+    return value;
+  });
+  if (executor[PENDING]) {
+    // Released savepoint: the events wait for the outer transaction
+    executor[PENDING].push(...pending);
+  } else {
+    todoFeed.publish(written);
+  }
+  return result;
+};
+
+module.exports = {
+  inTransaction,
+  diffTodo,
+  recordEvent,
+  recordEvents,
+};
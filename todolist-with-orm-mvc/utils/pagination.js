@@ -0,0 +1,129 @@
+// Shared paging rules for list endpoints.
+// Clients can page with ?limit=&offset= or with the opaque ?cursor= returned
+// in the previous response (keyset pagination, stable under inserts).
+const { and, or, eq, gt, lt, isNull, sql } = require("drizzle-orm");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const toNonNegativeInt = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer.`);
+  }
+  return number;
+};
+
+// Cursors are base64url encoded JSON so clients treat them as opaque strings.
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload), "utf-8").toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    if (!payload || typeof payload !== "object" || !("id" in payload)) {
+      throw new Error("Malformed cursor");
+    }
+    return payload;
+  } catch {
+    throw new Error("cursor is invalid.");
+  }
+};
+
+// Reads ?sort=<column>&order=asc|desc. `columns` is the table's column map
+// (getTableColumns), so any column of the table can be sorted on. Computed
+// SQL expressions (e.g. a search rank) can be added to the map as well.
+const parseSort = (query, columns, { defaultSort = "id", defaultOrder = "asc" } = {}) => {
+  const sortKey = query.sort ?? defaultSort;
+  if (!Object.hasOwn(columns, sortKey)) {
+    throw new Error(`Cannot sort by ${sortKey}. Allowed: ${Object.keys(columns).join(", ")}.`);
+  }
+  const order = (query.order ?? (query.sort ? "asc" : defaultOrder)).toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    throw new Error("order must be asc or desc.");
+  }
+  return { sortKey, order, column: columns[sortKey] };
+};
+
+// Reads limit/offset/cursor from the query string. A cursor is only valid for
+// the sort it was issued with. Throws on bad input so the controller can
+// answer with a 400.
+const parsePagination = (query, { sortKey, order }) => {
+  const limit =
+    query.limit === undefined ? DEFAULT_LIMIT : toNonNegativeInt(query.limit, "limit");
+  if (limit === 0 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be between 1 and ${MAX_LIMIT}.`);
+  }
+  const offset = query.offset === undefined ? 0 : toNonNegativeInt(query.offset, "offset");
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (cursor && query.offset !== undefined) {
+    throw new Error("Use either cursor or offset, not both.");
+  }
+  if (cursor && (cursor.sort !== sortKey || cursor.order !== order)) {
+    throw new Error("cursor does not match the requested sort.");
+  }
+  return { limit, offset, cursor };
+};
+
+// ORDER BY for a list sorted on `column`, with the primary key as tie-breaker
+// so every row has a unique position. NULLs always sort last.
+const orderByClause = (column, idColumn, order) => {
+  const direction = order === "desc" ? sql`desc` : sql`asc`;
+  if (column === idColumn) {
+    return [sql`${idColumn} ${direction}`];
+  }
+  return [sql`${column} ${direction} nulls last`, sql`${idColumn} ${direction}`];
+};
+
+// WHERE condition selecting the rows that come after the cursor position in
+// the ordering produced by orderByClause.
+const keysetCondition = (column, idColumn, order, cursor) => {
+  const after = order === "desc" ? lt : gt;
+  if (column === idColumn) {
+    return after(idColumn, cursor.id);
+  }
+  if (cursor.value === null) {
+    return and(isNull(column), after(idColumn, cursor.id));
+  }
+  // JSON has no date type, so timestamps travel as ISO strings.
+  const value = column.dataType === "date" ? new Date(cursor.value) : cursor.value;
+  return or(
+    after(column, value),
+    isNull(column),
+    and(eq(column, value), after(idColumn, cursor.id))
+  );
+};
+
+// Rows are fetched with limit + 1 so we know whether another page exists
+// without a second query. Trims that look-ahead row and builds the
+// `pagination` block of the response.
+const buildPage = (rows, { limit, offset, cursor, total, sortKey, order }) => {
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  const last = data[data.length - 1];
+  const nextCursor = hasMore
+    ? encodeCursor({ sort: sortKey, order, value: last[sortKey] ?? null, id: last.id })
+    : null;
+  return {
+    data,
+    pagination: {
+      total,
+      limit,
+      offset: cursor ? null : offset,
+      hasMore,
+      nextCursor,
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseSort,
+  parsePagination,
+  orderByClause,
+  keysetCondition,
+  buildPage,
+};
@@ -0,0 +1,30 @@
+// Password hashing with scrypt, in the hash format of shared/password-hash.js
+// (the one session_auth uses too):
+//   $scrypt$N=16384,r=8,p=1$<salt base64>$<hash base64>
+const { timingSafeEqual, createHash } = require("node:crypto");
+const passwordHash = require("../../shared/password-hash");
+const { passwordConfig } = require("../config");
+
+const hashPassword = (password) => passwordHash.hashPassword(password, passwordConfig);
+
+// Rows created before hashing hold the password as given. Digests keep the
+// comparison constant-time whatever the lengths.
+const matchesPlaintext = (password, stored) =>
+  timingSafeEqual(
+    createHash("sha256").update(password).digest(),
+    createHash("sha256").update(stored).digest()
+  );
+
+// { valid, needsRehash }: needsRehash is true for plaintext rows and hashes
+// made with another cost, so login can replace them.
+const verifyPassword = async (password, stored) => {
+  if (!passwordHash.isHash(stored)) {
+    return { valid: matchesPlaintext(password, stored), needsRehash: true };
+  }
+  return passwordHash.verifyHash(password, stored, passwordConfig);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+};
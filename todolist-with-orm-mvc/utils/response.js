@@ -0,0 +1,13 @@
+// Success half of the response envelope shared by every route:
+//   { status: "success", message, data, pagination? }
+// Errors use { status: "error", code, message, details? } (see
+// middleware/error-handler.js).
+const sendSuccess = (res, { statusCode = 200, message, data = null, pagination }) =>
+  res.status(statusCode).json({
+    status: "success",
+    message,
+    data,
+    ...(pagination && { pagination }),
+  });
+
+module.exports = { sendSuccess };
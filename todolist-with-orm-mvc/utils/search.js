@@ -0,0 +1,27 @@
+// Full-text search helpers for todos.
+// The same vector expression is used by the GIN index in todos.model.js and by
+// the queries below, otherwise Postgres can't use the index.
+const { sql } = require("drizzle-orm");
+
+// Weighted document: a match in the title (A) ranks above one in the
+// description (B).
+const todoSearchVector = (table) =>
+  sql`(setweight(to_tsvector('english', coalesce(${table.title}, '')), 'A') || setweight(to_tsvector('english', coalesce(${table.description}, '')), 'B'))`;
+
+// websearch_to_tsquery never fails on user input and understands "quoted
+// phrases", OR and -negation. Its output is rewritten so every lexeme also
+// matches as a prefix ('gro' -> 'gro':* matches "groceries").
+const todoSearchQuery = (q) =>
+  sql`regexp_replace(websearch_to_tsquery('english', ${q})::text, ${"'([^']+)'"}, ${"'\\1':*"}, 'g')::tsquery`;
+
+const HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2";
+
+// Snippet of `column` with matched terms wrapped in <mark>.
+const headline = (column, query) =>
+  sql`ts_headline('english', coalesce(${column}, ''), ${query}, ${HEADLINE_OPTIONS})`;
+
+module.exports = {
+  todoSearchVector,
+  todoSearchQuery,
+  headline,
+};
@@ -0,0 +1,59 @@
+// Session expiry and logout, with the rules of shared/session-policy.js (the
+// ones session_auth applies to its sessions).
+const { eq, lte, or } = require("drizzle-orm");
+const db = require("../db");
+const { userSessions } = require("../models");
+const { sessionConfig } = require("../config");
+const sessionPolicy = require("../../shared/session-policy");
+
+const isSessionExpired = (session, now = Date.now()) =>
+  sessionPolicy.isSessionExpired(session, sessionConfig, now);
+
+// Sliding renewal: pushes the idle deadline forward, at most once per touch interval.
+const touchSession = async (session, now = Date.now()) => {
+  if (!sessionPolicy.needsTouch(session, sessionConfig, now)) {
+    return;
+  }
+  await db
+    .update(userSessions)
+    .set({ lastSeenAt: new Date(now) })
+    .where(eq(userSessions.id, session.id));
+};
+
+const revokeSession = async (sessionId) => {
+  await db.delete(userSessions).where(eq(userSessions.id, sessionId));
+};
+
+const sweepExpiredSessions = async (now = Date.now()) => {
+  const { createdBefore, lastSeenBefore } = sessionPolicy.expiryCutoffs(sessionConfig, now);
+  const deleted = await db
+    .delete(userSessions)
+    .where(or(lte(userSessions.createdAt, createdBefore), lte(userSessions.lastSeenAt, lastSeenBefore)))
+    .returning({ id: userSessions.id });
+  return deleted.length;
+};
+
+// Runs sweepExpiredSessions on an interval. The timer is unref'd like the
+// trash purger's; the returned function stops it.
+const startSessionSweeper = (intervalMs = sessionConfig.sweepIntervalMs) => {
+  const timer = setInterval(async () => {
+    try {
+      const count = await sweepExpiredSessions();
+      if (count > 0) {
+        console.log(`Session sweeper removed ${count} expired session(s)`);
+      }
+    } catch (error) {
+      console.error("Session sweeper failed:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  isSessionExpired,
+  touchSession,
+  revokeSession,
+  sweepExpiredSessions,
+  startSessionSweeper,
+};
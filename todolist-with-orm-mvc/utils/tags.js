@@ -0,0 +1,46 @@
+// Helpers for the many-to-many link between todos and tags.
+const { and, eq, inArray, sql, getTableName } = require("drizzle-orm");
+const { tagsTable, todoTags } = require("../models/tags.model");
+
+// "table"."column". Drizzle leaves out the table name in single-table queries,
+// which makes the correlated subqueries below ambiguous.
+const qualified = (column) =>
+  sql`${sql.identifier(getTableName(column.table))}.${sql.identifier(column.name)}`;
+
+const tagsOfTodo = (todoId) =>
+  sql`from ${todoTags} inner join ${tagsTable} on ${qualified(tagsTable.id)} = ${qualified(todoTags.tagId)} where ${qualified(todoTags.todoId)} = ${qualified(todoId)}`;
+
+// Sorted tag names of the todo whose id column is `todoId`, as a text array.
+// Used as a correlated subquery in todo selections.
+const todoTagNames = (todoId) =>
+  sql`coalesce((select array_agg(${qualified(tagsTable.name)} order by ${qualified(tagsTable.name)}) ${tagsOfTodo(todoId)}), '{}')`;
+
+// Condition matching todos tagged with `name`.
+const hasTag = (todoId, name) =>
+  sql`exists (select 1 ${tagsOfTodo(todoId)} and ${qualified(tagsTable.name)} = ${name})`;
+
+// Replaces the tags of a todo by `names`, creating the user's missing tags on
+// the way. Runs inside the caller's transaction. Returns the sorted names.
+const replaceTodoTags = async (tx, todoId, userId, names) => {
+  const unique = [...new Set(names.map((name) => name.trim()).filter(Boolean))].sort();
+  await tx.delete(todoTags).where(eq(todoTags.todoId, todoId));
+  if (unique.length === 0) {
+    return [];
+  }
+  await tx
+    .insert(tagsTable)
+    .values(unique.map((name) => ({ userId, name })))
+    .onConflictDoNothing();
+  const tags = await tx
+    .select({ id: tagsTable.id })
+    .from(tagsTable)
+    .where(and(eq(tagsTable.userId, userId), inArray(tagsTable.name, unique)));
+  await tx.insert(todoTags).values(tags.map((tag) => ({ todoId, tagId: tag.id })));
+  return unique;
+};
+
+module.exports = {
+  todoTagNames,
+  hasTag,
+  replaceTodoTags,
+};
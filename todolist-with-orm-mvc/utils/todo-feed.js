@@ -0,0 +1,158 @@
+// In-process bus for todo changes, feeding GET /todos/stream.
+//
+// Controllers record changes as todo_events rows (utils/history.js); once the
+// transaction commits, the rows are published here. Streams are positioned
+// by the events' `seq`, which numbers each user's events in commit order and
+// is stored with them, so a client can resume with Last-Event-ID in any
+// process: what it missed is read back from todo_events.
+const EventEmitter = require("node:events");
+const { Client } = require("pg");
+const { and, eq, gt, inArray, asc } = require("drizzle-orm");
+const db = require("../db");
+const { todoEvents } = require("../models");
+const { feedConfig } = require("../config");
+
+const CHANNEL = "todo_feed";
+
+// What subscribers receive for one todo_events row.
+const toFeedEvent = (row) => ({
+  id: row.id,
+  type: row.type,
+  todoId: row.todoId,
+  // Todos are only changed by their owner, so the actor is also whose feed
+  // the event belongs to.
+  userId: row.actorId,
+  changes: row.changes,
+  createdAt: row.createdAt,
+  seq: row.seq,
+});
+
+// Emits "event" for every published event, and "resync" when events may
+// have been missed (the LISTEN connection was down): streams then read what
+// they lack from todo_events.
+class TodoFeed extends EventEmitter {
+  constructor({ replaySize }) {
+    super();
+    // One listener per open stream
+    this.setMaxListeners(0);
+    this.replaySize = replaySize;
+    this.transport = null;
+  }
+
+  // Publishes committed todo_events rows: delivered right here, or to every
+  // process through Postgres when that transport is on.
+  publish(rows) {
+    if (rows.length === 0) {
+      return;
+    }
+    if (this.transport) {
+      this.transport.send(rows).catch((error) => {
+        console.error("Todo feed publish failed:", error);
+      });
+      return;
+    }
+    this.deliver(rows.map(toFeedEvent));
+  }
+
+  deliver(events) {
+    for (const event of events) {
+      this.emit("event", event);
+    }
+  }
+
+  // Calls `listener` with every new event of the user's todos, and `onResync`
+  // when some may have been missed. Returns the unsubscribe function.
+  subscribe(userId, listener, onResync) {
+    const handler = (event) => {
+      if (event.userId === userId) {
+        listener(event);
+      }
+    };
+    this.on("event", handler);
+    if (onResync) {
+      this.on("resync", onResync);
+    }
+    return () => {
+      this.off("event", handler);
+      if (onResync) {
+        this.off("resync", onResync);
+      }
+    };
+  }
+
+  // The user's events after `seq`, read from todo_events, or null when there
+  // are more than replaySize of them (the client has to reload instead).
+  async since(userId, seq) {
+    const rows = await db
+      .select()
+      .from(todoEvents)
+      .where(and(eq(todoEvents.actorId, userId), gt(todoEvents.seq, seq)))
+      .orderBy(asc(todoEvents.seq))
+      .limit(this.replaySize + 1);
+    return rows.length > this.replaySize ? null : rows.map(toFeedEvent);
+  }
+
+  // Switches to LISTEN/NOTIFY. Notifications only carry event ids (payloads
+  // are limited to 8000 bytes); every process loads the rows and delivers
+  // them, the publishing one included. Notifications sent while the listener
+  // is reconnecting are lost, so a reconnect is followed by a "resync".
+  async usePostgres({ reconnectMs = 5000 } = {}) {
+    let reconnecting = false;
+    const listen = async () => {
+      const client = new Client({ connectionString: process.env.DATABASE_URL });
+      client.on("notification", async (message) => {
+        try {
+          const { ids } = JSON.parse(message.payload);
+          const rows = await db
+            .select()
+            .from(todoEvents)
+            .where(inArray(todoEvents.id, ids))
+            .orderBy(asc(todoEvents.seq));
+          this.deliver(rows.map(toFeedEvent));
+        } catch (error) {
+          console.error("Todo feed notification failed:", error);
+        }
+      });
+      client.on("error", (error) => {
+        console.error("Todo feed listener lost its connection:", error.message);
+        client.end().catch(() => {});
+        reconnecting = true;
+        setTimeout(() => listen().catch(retry), reconnectMs).unref();
+      });
+      await client.connect();
+      await client.query(`LISTEN ${CHANNEL}`);
+      if (reconnecting) {
+        reconnecting = false;
+        this.emit("resync");
+      }
+    };
+    const retry = (error) => {
+      console.error("Todo feed listener failed to connect:", error.message);
+      setTimeout(() => listen().catch(retry), reconnectMs).unref();
+    };
+
+    await listen();
+    this.transport = {
+      send: (rows) =>
+        db.$client.query("select pg_notify($1, $2)", [
+          CHANNEL,
+          JSON.stringify({ ids: rows.map((row) => row.id) }),
+        ]),
+    };
+  }
+}
+
+const todoFeed = new TodoFeed({ replaySize: feedConfig.replaySize });
+
+// Starts the configured transport. Called once at startup.
+const startTodoFeed = async () => {
+  if (feedConfig.transport === "postgres") {
+    await todoFeed.usePostgres();
+  }
+};
+
+module.exports = {
+  toFeedEvent,
+  todoFeed,
+  startTodoFeed,
+};
@@ -0,0 +1,74 @@
+// Soft delete for todos. A deleted todo takes its subtasks into the trash
+// with the same deletedAt, so restoring it brings back exactly that subtree.
+const { sql, and, isNotNull, lt, eq } = require("drizzle-orm");
+const db = require("../db");
+const { todosTable } = require("../models");
+const { trashConfig } = require("../config");
+
+// Moves a todo and its live subtasks to the trash. Returns the trashed ids.
+const trashSubtree = async (tx, todoId, now = new Date()) => {
+  const { rows } = await tx.execute(sql`
+    with recursive subtree(id) as (
+      select id from ${todosTable} where id = ${todoId}
+      union all
+      select t.id from ${todosTable} t inner join subtree s on t.parent_id = s.id where t.deleted_at is null
+    )
+    update ${todosTable} set deleted_at = ${now.toISOString()}::timestamp
+    where id in (select id from subtree) and deleted_at is null
+    returning id`);
+  return rows.map((row) => row.id);
+};
+
+// Takes a todo and the subtasks trashed together with it out of the trash.
+// Returns the restored ids.
+const restoreSubtree = async (tx, todoId) => {
+  const { rows } = await tx.execute(sql`
+    with recursive subtree(id) as (
+      select id from ${todosTable} where id = ${todoId}
+      union all
+      select t.id from ${todosTable} t inner join subtree s on t.parent_id = s.id
+      where t.deleted_at = (select deleted_at from ${todosTable} where id = ${todoId})
+    )
+    update ${todosTable} set deleted_at = null, updated_at = ${new Date().toISOString()}::timestamp
+    where id in (select id from subtree)
+    returning id`);
+  return rows.map((row) => row.id);
+};
+
+// Permanently deletes trashed todos: everything older than the retention
+// period, or (with userId) all of that user's trash right away. Subtasks,
+// tag links and history go with them (cascades).
+const purgeTrash = async ({ userId, now = Date.now() } = {}) => {
+  const condition = userId
+    ? and(isNotNull(todosTable.deletedAt), eq(todosTable.userId, userId))
+    : lt(todosTable.deletedAt, new Date(now - trashConfig.retentionMs));
+  const purged = await db
+    .delete(todosTable)
+    .where(condition)
+    .returning({ id: todosTable.id });
+  return purged.length;
+};
+
+// Runs purgeTrash on an interval. The timer is unref'd (it shouldn't hold the
+// server open on shutdown); the returned function stops it.
+const startTrashPurger = (intervalMs = trashConfig.purgeIntervalMs) => {
+  const timer = setInterval(async () => {
+    try {
+      const count = await purgeTrash();
+      if (count > 0) {
+        console.log(`Trash purger removed ${count} todo(s)`);
+      }
+    } catch (error) {
+      console.error("Trash purger failed:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  trashSubtree,
+  restoreSubtree,
+  purgeTrash,
+  startTrashPurger,
+};
@@ -0,0 +1,42 @@
+// Webhook signatures, shared by the delivery worker and the local receiver
+// (scripts/webhook-receiver.js). No database here, so receivers can use it
+// on its own.
+//
+// Header: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Signing the timestamp with the body lets receivers reject replayed requests.
+const { createHmac, timingSafeEqual } = require("node:crypto");
+
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+
+const hmac = (secret, timestamp, body) =>
+  createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+
+// True when `header` is a valid signature of `body` made less than
+// `toleranceMs` ago.
+const verifySignature = (secret, header, body, { toleranceMs = 5 * 60 * 1000, now = Date.now() } = {}) => {
+  const parts = Object.fromEntries(
+    String(header ?? "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+      .filter((pair) => pair.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return false;
+  }
+  if (Math.abs(now - timestamp * 1000) > toleranceMs) {
+    return false;
+  }
+  const expected = Buffer.from(hmac(secret, timestamp, body), "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  verifySignature,
+};
@@ -0,0 +1,106 @@
+// Where webhooks may be delivered. Any user can create a subscription and read
+// what its URL answered in the delivery log, so a URL pointing inside our
+// network (loopback, private ranges, link-local such as the cloud metadata
+// service at 169.254.169.254) would let them probe and read internal services.
+// Such addresses are refused, both when a subscription is saved and when a
+// delivery connects: the host is checked again on every attempt, after DNS
+// resolution, so a name that starts resolving to an internal address later is
+// caught too.
+//
+// Hosts listed in WEBHOOK_ALLOWED_HOSTS (e.g. "localhost" for
+// scripts/webhook-receiver.js) are delivered to whatever they resolve to.
+const dns = require("node:dns");
+const net = require("node:net");
+const { webhookConfig } = require("../config");
+
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64 of IPv4 addresses
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv6");
+}
+
+// True for loopback, private, link-local and other non-public addresses.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) count as their IPv4 address.
+const isPrivateAddress = (address) =>
+  blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// URL hostnames keep the brackets of IPv6 addresses
+const bareHostname = (hostname) => hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+
+const isAllowedHost = (hostname) => webhookConfig.allowedHosts.includes(bareHostname(hostname));
+
+class WebhookTargetError extends Error {
+  constructor(hostname) {
+    super(`${hostname} is a loopback, private or link-local address; webhooks can only be delivered to public hosts.`);
+    this.name = "WebhookTargetError";
+    this.code = "EWEBHOOKTARGET";
+  }
+}
+
+// dns.lookup for http.request that fails for private addresses, so the
+// address that is checked is the one the request connects to.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (!isAllowedHost(hostname) && addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(new WebhookTargetError(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Throws a WebhookTargetError when `url` points at a private address. Names
+// that don't resolve (yet) are let through: delivery checks them again.
+const assertPublicTarget = async (url) => {
+  const hostname = bareHostname(new URL(url).hostname);
+  if (isAllowedHost(hostname)) {
+    return;
+  }
+  if (net.isIP(hostname)) {
+    if (isPrivateAddress(hostname)) {
+      throw new WebhookTargetError(hostname);
+    }
+    return;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    return;
+  }
+  if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+    throw new WebhookTargetError(hostname);
+  }
+};
+
+module.exports = {
+  WebhookTargetError,
+  isPrivateAddress,
+  isAllowedHost,
+  lookupPublicAddress,
+  assertPublicTarget,
+};
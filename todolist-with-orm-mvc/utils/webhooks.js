@@ -0,0 +1,208 @@
+// Outgoing webhooks. Todo events are queued as webhook_deliveries rows in the
+// same transaction that records them (see utils/history.js), so a committed
+// change always gets its deliveries and a rolled back one never does. A
+// background worker sends them and retries failures with exponential backoff.
+const http = require("node:http");
+const https = require("node:https");
+const { and, eq, lte, inArray, asc } = require("drizzle-orm");
+const db = require("../db");
+const { webhookSubscriptions, webhookDeliveries } = require("../models");
+const { webhookConfig } = require("../config");
+const { toFeedEvent, todoFeed } = require("./todo-feed");
+const { SIGNATURE_HEADER, signPayload } = require("./webhook-signature");
+const { assertPublicTarget, lookupPublicAddress } = require("./webhook-targets");
+
+// Queues one delivery per recorded event and active subscription of the
+// event's owner that asked for its type.
+const enqueueWebhooks = async (tx, events) => {
+  const userIds = [...new Set(events.map((event) => toFeedEvent(event).userId))];
+  const subscriptions = await tx
+    .select({
+      id: webhookSubscriptions.id,
+      userId: webhookSubscriptions.userId,
+      eventTypes: webhookSubscriptions.eventTypes,
+    })
+    .from(webhookSubscriptions)
+    .where(and(inArray(webhookSubscriptions.userId, userIds), eq(webhookSubscriptions.active, true)));
+  if (subscriptions.length === 0) {
+    return;
+  }
+
+  const deliveries = [];
+  for (const event of events.map(toFeedEvent)) {
+    for (const subscription of subscriptions) {
+      if (subscription.userId === event.userId && subscription.eventTypes.includes(event.type)) {
+        deliveries.push({
+          subscriptionId: subscription.id,
+          eventId: event.id,
+          eventType: event.type,
+          payload: event,
+        });
+      }
+    }
+  }
+  if (deliveries.length > 0) {
+    await tx.insert(webhookDeliveries).values(deliveries);
+  }
+};
+
+// Delay before attempt `attempts + 1`: backoffMs, doubling each time, capped,
+// with ±20% jitter so failed deliveries don't all come back at once.
+const backoffDelay = (attempts) => {
+  const delay = Math.min(webhookConfig.backoffMs * 2 ** (attempts - 1), webhookConfig.maxBackoffMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Takes due deliveries for this worker. Moving nextAttemptAt past the request
+// timeout works as a lease: other workers (SKIP LOCKED) and later polls leave
+// them alone, and if this process dies they become due again.
+const claimDueDeliveries = async () => {
+  const now = new Date();
+  const due = db
+    .select({ id: webhookDeliveries.id })
+    .from(webhookDeliveries)
+    .where(and(eq(webhookDeliveries.status, "pending"), lte(webhookDeliveries.nextAttemptAt, now)))
+    .orderBy(asc(webhookDeliveries.nextAttemptAt))
+    .limit(webhookConfig.batchSize)
+    .for("update", { skipLocked: true });
+  return db
+    .update(webhookDeliveries)
+    .set({ nextAttemptAt: new Date(now.getTime() + webhookConfig.timeoutMs * 2) })
+    .where(inArray(webhookDeliveries.id, due))
+    .returning();
+};
+
+// POSTs `body` and resolves to the response status. The connection goes
+// through lookupPublicAddress, so it never reaches a private address, and
+// redirects aren't followed: a redirect is not a delivery.
+const post = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: lookupPublicAddress,
+        signal: AbortSignal.timeout(webhookConfig.timeoutMs),
+      },
+      (response) => {
+        // Only the status matters
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// POSTs the payload once. Resolves to { ok, responseStatus, error }.
+const send = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  try {
+    // IP literals don't go through the lookup
+    await assertPublicTarget(subscription.url);
+    const status = await post(
+      subscription.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "todolist-webhooks/1.0",
+        "X-Webhook-Id": String(delivery.id),
+        "X-Webhook-Event": delivery.eventType,
+        [SIGNATURE_HEADER]: signPayload(subscription.secret, body),
+      },
+      body
+    );
+    const ok = status >= 200 && status < 300;
+    return { ok, responseStatus: status, error: ok ? null : `HTTP ${status}` };
+  } catch (error) {
+    return { ok: false, responseStatus: null, error: error.cause?.message ?? error.message };
+  }
+};
+
+const attempt = async (delivery, subscription) => {
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  const result = subscription?.active
+    ? await send(delivery, subscription)
+    : { ok: false, responseStatus: null, error: "Subscription is inactive." };
+  const exhausted = !subscription?.active || attempts >= webhookConfig.maxAttempts;
+
+  const changes = {
+    attempts,
+    lastAttemptAt: now,
+    responseStatus: result.responseStatus,
+    lastError: result.error,
+  };
+  if (result.ok) {
+    Object.assign(changes, { status: "succeeded", deliveredAt: now });
+  } else if (exhausted) {
+    changes.status = "failed";
+  } else {
+    changes.nextAttemptAt = new Date(now.getTime() + backoffDelay(attempts));
+  }
+  await db.update(webhookDeliveries).set(changes).where(eq(webhookDeliveries.id, delivery.id));
+};
+
+// Sends one batch of due deliveries. Returns how many were claimed.
+const deliverDueWebhooks = async () => {
+  const deliveries = await claimDueDeliveries();
+  if (deliveries.length === 0) {
+    return 0;
+  }
+  const subscriptionIds = [...new Set(deliveries.map((delivery) => delivery.subscriptionId))];
+  const subscriptions = await db
+    .select()
+    .from(webhookSubscriptions)
+    .where(inArray(webhookSubscriptions.id, subscriptionIds));
+  const byId = new Map(subscriptions.map((subscription) => [subscription.id, subscription]));
+  await Promise.all(
+    deliveries.map((delivery) => attempt(delivery, byId.get(delivery.subscriptionId)))
+  );
+  return deliveries.length;
+};
+
+// Polls the queue, and also wakes up right away when todo events are
+// published so fresh deliveries don't wait for the next poll. The timer is
+// unref'd; the returned function stops the worker.
+const startWebhookWorker = (intervalMs = webhookConfig.pollIntervalMs) => {
+  let running = false;
+  let again = false;
+  const run = async () => {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        let claimed;
+        // Keep going while batches come back full
+        do {
+          claimed = await deliverDueWebhooks();
+        } while (claimed === webhookConfig.batchSize);
+      } while (again);
+    } catch (error) {
+      console.error("Webhook worker failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+  const wake = () => setImmediate(run);
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  todoFeed.on("event", wake);
+  return () => {
+    clearInterval(timer);
+    todoFeed.off("event", wake);
+  };
+};
+
+module.exports = {
+  backoffDelay,
+  enqueueWebhooks,
+  deliverDueWebhooks,
+  startWebhookWorker,
+};